@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * GXK Calculator CLI - Run calculator plans from the command line
+ *
+ * Usage:
+ *   gxk-calc plan <structure> <level> [<structure> <level> ...] [options]
+ *   gxk-calc list
+ *
+ * Options:
+ *   --levels <file>   Current levels: a structureLevels object or an exported profile
+ *                     (its extra speed bonuses and cost reductions are used too)
+ *   --speed <n>       Base construction speed bonus percentage (defaults to the profile's)
+ *   --format <f>      Output format: table (default), json, csv or markdown
+ *   --db <file>       Structures database (defaults to data/structures_database.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CalculatorModule = require('../js/calculator.js');
+
+const FORMATS = ['table', 'json', 'csv', 'markdown'];
+
+const USAGE = `Usage:
+  gxk-calc plan <structure> <level> [<structure> <level> ...] [options]
+  gxk-calc list [--db <file>]
+
+Options:
+  --levels <file>   Current levels: a structureLevels object or an exported profile
+  --speed <n>       Base construction speed bonus percentage (defaults to the profile's)
+  --format <f>      Output format: ${FORMATS.join(', ')} (default table)
+  --db <file>       Structures database (default data/structures_database.json)
+
+Example:
+  gxk-calc plan "Headquarters" 25 --levels base.json --speed 87.5 --format table`;
+
+/**
+ * Split command line arguments into positional arguments and --options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { positional, options }
+ * @throws {Error} When an option other than --help has no value
+ */
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--help' || args[i] === '-h') {
+            options.help = true;
+        } else if (args[i].startsWith('--')) {
+            // Split at the first "=" only, as values such as share codes can contain more
+            const option = args[i].slice(2);
+            const equals = option.indexOf('=');
+            if (equals >= 0) {
+                options[option.slice(0, equals)] = option.slice(equals + 1);
+            } else {
+                if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+                    throw new Error(`--${option} needs a value`);
+                }
+                options[option] = args[++i];
+            }
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, options };
+}
+
+function readJson(file, description) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${description} ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Find a structure by name, ignoring case
+ * @param {string} name - Name given on the command line
+ * @param {Object} structuresData - The structures database
+ * @returns {string} - Structure name as it appears in the database
+ */
+function resolveStructure(name, structuresData) {
+    const match = Object.keys(structuresData).find(structure => structure.toLowerCase() === name.toLowerCase());
+    if (!match) {
+        throw new Error(`Unknown structure "${name}". Run "gxk-calc list" to see all structures.`);
+    }
+    return match;
+}
+
+function formatNumber(amount) {
+    return Math.round(amount).toLocaleString('en-US');
+}
+
+function padTable(rows) {
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => String(row[col]).length)));
+    return rows.map(row => row.map((cell, col) => {
+        const text = String(cell);
+        return col === 0 ? text.padEnd(widths[col]) : text.padStart(widths[col]);
+    }).join('   ').trimEnd()).join('\n');
+}
+
+function renderTreeLines(node, prefix, isLast, resources, lines) {
+    if (node.targetLevel <= node.currentLevel) {
+        return;
+    }
+    const costs = resources
+        .filter(resource => node.costs[resource] > 0)
+        .map(resource => `${CalculatorModule.getResourceInfo(resource).name.toLowerCase()} ${formatNumber(node.costs[resource])}`);
+    costs.push(CalculatorModule.formatTime(node.time));
+    lines.push(`${prefix}${isLast ? '└─ ' : '├─ '}${node.structure} ${node.currentLevel} → ${node.targetLevel}  (${costs.join(', ')})`);
+
+    const children = node.children.filter(child => child.targetLevel > child.currentLevel);
+    children.forEach((child, index) => {
+        renderTreeLines(child, prefix + (isLast ? '   ' : '│  '), index === children.length - 1, resources, lines);
+    });
+}
+
+function formatTable(report) {
+    const { result, tree, resources } = report;
+    const sections = [];
+
+    sections.push(`${report.targets.map(t => `${t.structure} ${t.currentLevel} → ${t.targetLevel}`).join(', ')}` +
+        ` (speed bonus ${report.constructionSpeedBonus.base}%` +
+        (report.constructionSpeedBonus.extra.length > 0 ? ` plus ${report.constructionSpeedBonus.extra.length} extra` : '') + ')');
+
+    const totals = [['Resource', 'Own', 'Dependencies', 'Total']];
+    for (let resource of resources) {
+        totals.push([
+            CalculatorModule.getResourceInfo(resource).name,
+            formatNumber(result.individualCosts[resource] || 0),
+            formatNumber(result.dependencyCosts[resource] || 0),
+            formatNumber(result.totalCosts[resource] || 0)
+        ]);
+    }
+    totals.push([
+        'Time',
+        CalculatorModule.formatTime(result.individualTimes),
+        CalculatorModule.formatTime(result.dependencyTimes),
+        CalculatorModule.formatTime(result.totalTime)
+    ]);
+    sections.push('Totals\n' + padTable(totals));
+
+    const reduced = resources.filter(resource => (result.grossCosts[resource] || 0) > (result.totalCosts[resource] || 0));
+    if (reduced.length > 0) {
+        const savings = [['Resource', 'Gross', 'Discounted', 'Saved']];
+        for (let resource of reduced) {
+            savings.push([
+                CalculatorModule.getResourceInfo(resource).name,
+                formatNumber(result.grossCosts[resource]),
+                formatNumber(result.totalCosts[resource] || 0),
+                formatNumber(result.grossCosts[resource] - (result.totalCosts[resource] || 0))
+            ]);
+        }
+        sections.push('Cost reductions\n' + padTable(savings));
+    }
+
+    if (result.dependencies.length > 0) {
+        const breakdown = [['Dependency', 'Level'].concat(resources.map(r => CalculatorModule.getResourceInfo(r).name), ['Time'])];
+        for (let dependency of result.dependencies) {
+            breakdown.push([dependency.name, dependency.level]
+                .concat(resources.map(resource => formatNumber(dependency.resources[resource] || 0)))
+                .concat([CalculatorModule.formatTime(dependency.time)]));
+        }
+        sections.push('Dependencies\n' + padTable(breakdown));
+    }
+
+    const roots = tree.structure ? [tree] : tree.children;
+    const lines = [];
+    roots.forEach((root, index) => renderTreeLines(root, '', index === roots.length - 1, resources, lines));
+    if (lines.length > 0) {
+        sections.push('Dependency tree\n' + lines.join('\n'));
+    }
+
+    return sections.join('\n\n');
+}
+
+function formatJson(report) {
+    return JSON.stringify({
+        targets: report.targets,
+        constructionSpeedBonus: report.constructionSpeedBonus,
+        totalCosts: report.result.totalCosts,
+        grossCosts: report.result.grossCosts,
+        individualCosts: report.result.individualCosts,
+        dependencyCosts: report.result.dependencyCosts,
+        totalTime: report.result.totalTime,
+        individualTime: report.result.individualTimes,
+        dependencyTime: report.result.dependencyTimes,
+        dependencies: report.result.dependencies,
+        tree: report.tree
+    }, null, 2);
+}
+
+/**
+ * Calculate a plan for the given targets
+ * A single target uses the same calculation as the web page's "Calculate Resources".
+ * Report targets hold only their own levels' costs; dependencies are listed separately.
+ */
+function buildReport(targets, constructionSpeedBonus, structuresData, currentLevels) {
+    let result;
+    let tree;
+    let reportTargets;
+
+    if (targets.length === 1) {
+        const { structure, level } = targets[0];
+        const currentLevel = currentLevels[structure] || 1;
+        result = CalculatorModule.calculateResourcesRecursive(
+            structure, level, currentLevel, constructionSpeedBonus, structuresData, currentLevels
+        );
+        tree = CalculatorModule.buildDependencyTree(
+            structure, level, currentLevel, structuresData, currentLevels, constructionSpeedBonus
+        );
+        reportTargets = [{
+            structure,
+            currentLevel,
+            targetLevel: level,
+            costs: result.individualCosts,
+            time: result.individualTimes
+        }];
+    } else {
+        result = CalculatorModule.calculatePlan(targets, constructionSpeedBonus, structuresData, currentLevels);
+        tree = CalculatorModule.buildPlanTree(targets, structuresData, currentLevels, constructionSpeedBonus);
+        reportTargets = result.targets.map(target => Object.assign({}, target, {
+            costs: target.individualCosts,
+            time: target.individualTime
+        }));
+    }
+
+    const resources = CalculatorModule.getResourceOrder(structuresData).filter(resource =>
+        CalculatorModule.getResourceInfo(resource).primary || (result.totalCosts[resource] || 0) > 0
+    );
+
+    return { targets: reportTargets, result, tree, resources, constructionSpeedBonus, currentLevels };
+}
+
+function runPlan(positional, options, structuresData) {
+    if (positional.length === 0 || positional.length % 2 !== 0) {
+        throw new Error('plan needs one or more <structure> <level> pairs');
+    }
+
+    const targets = [];
+    for (let i = 0; i < positional.length; i += 2) {
+        const structure = resolveStructure(positional[i], structuresData);
+        const level = parseInt(positional[i + 1]);
+        const maxLevel = CalculatorModule.getStructureInfo(structure, structuresData).maxLevel;
+        if (!(level >= 1 && level <= maxLevel)) {
+            throw new Error(`Level for ${structure} must be between 1 and ${maxLevel}`);
+        }
+        targets.push({ structure, level });
+    }
+
+    let currentLevels = {};
+    const constructionSpeedBonus = { base: 0, extra: [], costReductions: [] };
+    if (options.levels) {
+        const profile = CalculatorModule.parseProfileImport(readJson(options.levels, 'levels file'));
+        if (!profile) {
+            throw new Error(`${options.levels} is not a levels object or profile export`);
+        }
+        currentLevels = profile.levels;
+        constructionSpeedBonus.base = profile.constructionSpeedBonus;
+        constructionSpeedBonus.extra = profile.settings.speedBonuses || [];
+        constructionSpeedBonus.costReductions = profile.settings.costReductions || [];
+    }
+    if (options.speed !== undefined) {
+        constructionSpeedBonus.base = parseFloat(options.speed);
+        if (isNaN(constructionSpeedBonus.base) || constructionSpeedBonus.base < 0) {
+            throw new Error('--speed must be a number of 0 or more');
+        }
+    }
+
+    const format = options.format || 'table';
+    if (!FORMATS.includes(format)) {
+        throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const report = buildReport(targets, constructionSpeedBonus, structuresData, currentLevels);
+    const formatters = {
+        table: formatTable,
+        json: formatJson,
+        csv: CalculatorModule.formatReportCsv,
+        markdown: CalculatorModule.formatReportMarkdown
+    };
+    return formatters[format](report);
+}
+
+function runList(structuresData) {
+    const rows = [['Structure', 'Max Level']];
+    for (let structure of Object.keys(structuresData).sort()) {
+        rows.push([structure, CalculatorModule.getStructureInfo(structure, structuresData).maxLevel]);
+    }
+    return padTable(rows);
+}
+
+function main(args) {
+    try {
+        const { positional, options } = parseArgs(args);
+        const command = positional.shift();
+
+        if (options.help || !command || command === 'help') {
+            console.log(USAGE);
+            return 0;
+        }
+
+        const dbFile = options.db || path.join(__dirname, '..', 'data', 'structures_database.json');
+        const database = CalculatorModule.parseDatabase(readJson(dbFile, 'structures database'));
+        if (!database) {
+            throw new Error(`${dbFile} is not a structures database`);
+        }
+        const structuresData = database.structures;
+
+        if (command === 'plan') {
+            console.log(runPlan(positional, options, structuresData));
+        } else if (command === 'list') {
+            console.log(runList(structuresData));
+        } else {
+            throw new Error(`Unknown command "${command}"`);
+        }
+        return 0;
+    } catch (error) {
+        console.error(`gxk-calc: ${error.message}`);
+        console.error('Run "gxk-calc --help" for usage.');
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
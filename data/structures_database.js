@@ -0,0 +1,2 @@
+// Generated by tools/build-database-script.js from structures_database.json - do not edit
+window.STRUCTURES_DATABASE = {"meta":{"version":"2026.10.19","date":"2026-10-19","changelog":[{"version":"2026.03.15","date":"2026-03-15","notes":["First versioned release. Structure data is unchanged from the unversioned database."]},{"version":"2026.10.19","date":"2026-10-19","notes":["Added a meta section to every structure with its category, icon, minimum and maximum level, and whether it is an unlock toggle.","Sectors and Debris are unlock toggles: level 1 is locked and level 2 is unlocked."]}]},"structures":{"Alliance Hall":{"name":"Alliance Hall","meta":{"category":"core","icon":"🤝","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"food":500,"metal":500,"wood":500,"energy":500},"upgrade_time":40},"2":{"costs":{"food":800,"metal":800,"wood":800,"energy":800},"requirements":["Level 2 Lumberyard"],"upgrade_time":75},"3":{"costs":{"food":1250,"metal":1250,"wood":1250,"energy":1250},"requirements":["Level 3 Lumberyard"],"upgrade_time":150},"4":{"costs":{"food":2000,"metal":2000,"wood":2000,"energy":2000},"requirements":["Level 4 Lumberyard"],"upgrade_time":300},"5":{"costs":{"food":4000,"metal":4000,"wood":4000,"energy":4000,"tech":1500},"requirements":["Level 5 Lumberyard"],"upgrade_time":600},"6":{"costs":{"food":7500,"metal":7500,"wood":7500,"energy":7500,"tech":5000},"requirements":["Level 6 Lumberyard"],"upgrade_time":1000},"7":{"costs":{"food":15000,"metal":15000,"wood":15000,"energy":15000,"tech":10000},"requirements":["Level 7 Lumberyard"],"upgrade_time":1750},"8":{"costs":{"food":30000,"metal":30000,"wood":30000,"energy":30000,"tech":17500},"requirements":["Level 8 Lumberyard"],"upgrade_time":3750},"9":{"costs":{"food":60000,"metal":60000,"wood":60000,"energy":60000,"tech":35000},"requirements":["Level 9 Lumberyard"],"upgrade_time":7000},"10":{"costs":{"food":100000,"metal":100000,"wood":100000,"energy":100000,"tech":60000},"requirements":["Level 10 Lumberyard"],"upgrade_time":13500},"11":{"costs":{"food":150000,"metal":150000,"wood":150000,"energy":150000,"tech":90000},"requirements":["Level 11 Lumberyard"],"upgrade_time":18500},"12":{"costs":{"food":225000,"metal":225000,"wood":225000,"energy":225000,"tech":150000},"requirements":["Level 12 Lumberyard"],"upgrade_time":28500},"13":{"costs":{"food":400000,"metal":400000,"wood":400000,"energy":400000,"tech":200000},"requirements":["Level 13 Lumberyard"],"upgrade_time":42500},"14":{"costs":{"food":600000,"metal":600000,"wood":600000,"energy":600000,"tech":300000},"requirements":["Level 14 Lumberyard"],"upgrade_time":62500},"15":{"costs":{"food":800000,"metal":800000,"wood":800000,"energy":800000,"tech":400000},"requirements":["Level 15 Lumberyard"],"upgrade_time":82500},"16":{"costs":{"food":1000000,"metal":1000000,"wood":1000000,"energy":1000000,"tech":500000},"requirements":["Level 16 Lumberyard"],"upgrade_time":112500},"17":{"costs":{"food":1250000,"metal":1250000,"wood":1250000,"energy":1250000,"tech":600000},"requirements":["Level 17 Lumberyard"],"upgrade_time":160000},"18":{"costs":{"food":1750000,"metal":1750000,"wood":1750000,"energy":1750000,"tech":750000},"requirements":["Level 18 Lumberyard"],"upgrade_time":200000},"19":{"costs":{"food":2500000,"metal":2500000,"wood":2500000,"energy":2500000,"tech":1000000},"requirements":["Level 19 Lumberyard"],"upgrade_time":300000},"20":{"costs":{"food":3000000,"metal":3000000,"wood":3000000,"energy":3000000,"tech":1250000},"requirements":["Level 20 Lumberyard"],"upgrade_time":525000},"21":{"costs":{"food":3500000,"metal":3500000,"wood":3500000,"energy":3500000,"tech":1500000},"requirements":["Level 21 Lumberyard"],"upgrade_time":725000},"22":{"costs":{"food":4000000,"metal":4000000,"wood":4000000,"energy":4000000,"tech":1750000},"requirements":["Level 22 Lumberyard"],"upgrade_time":1050000},"23":{"costs":{"food":4500000,"metal":4500000,"wood":4500000,"energy":4500000,"tech":2000000},"requirements":["Level 23 Lumberyard"],"upgrade_time":1650000},"24":{"costs":{"food":5000000,"metal":5000000,"wood":5000000,"energy":5000000,"tech":2500000},"requirements":["Level 24 Lumberyard"],"upgrade_time":2150000},"25":{"costs":{"food":6000000,"metal":6000000,"wood":6000000,"energy":6000000,"tech":3000000},"requirements":["Level 25 Lumberyard"],"upgrade_time":2587500},"26":{"costs":{"food":7000000,"metal":7000000,"wood":7000000,"energy":7000000,"tech":3500000},"requirements":["Level 26 Lumberyard"],"upgrade_time":3150000},"27":{"costs":{"food":8000000,"metal":8000000,"wood":8000000,"energy":8000000,"tech":4000000},"requirements":["Level 27 Lumberyard"],"upgrade_time":4125000},"28":{"costs":{"food":10000000,"metal":10000000,"wood":10000000,"energy":10000000,"tech":5000000,"pure":2},"requirements":["Level 28 Lumberyard"],"upgrade_time":5525000},"29":{"costs":{"food":12500000,"metal":12500000,"wood":12500000,"energy":12500000,"tech":6000000,"pure":5},"requirements":["Level 29 Lumberyard"],"upgrade_time":9750000},"30":{"costs":{"food":15000000,"metal":15000000,"wood":15000000,"energy":15000000,"tech":8750000,"pure":10},"requirements":["Level 30 Lumberyard"],"upgrade_time":16200000},"31":{"costs":{"food":20000000,"metal":20000000,"wood":20000000,"energy":20000000,"tech":12000000,"pure":15},"requirements":["Level 31 Lumberyard"],"upgrade_time":23500000},"32":{"costs":{"food":25000000,"metal":25000000,"wood":25000000,"energy":25000000,"tech":20000000,"pure":25},"requirements":["Level 32 Lumberyard"],"upgrade_time":29500000},"33":{"costs":{"food":31250000,"metal":31250000,"wood":31250000,"energy":31250000,"tech":27500000,"pure":35},"requirements":["Level 33 Lumberyard"],"upgrade_time":35500000},"34":{"costs":{"food":37500000,"metal":37500000,"wood":37500000,"energy":37500000,"tech":37500000,"pure":50},"requirements":["Level 34 Lumberyard"],"upgrade_time":41500000},"35":{"costs":{"food":43750000,"metal":43750000,"wood":43750000,"energy":43750000,"tech":50000000,"pure":70},"requirements":["Level 35 Lumberyard"],"upgrade_time":47500000}}},"Barracks":{"name":"Barracks","meta":{"category":"military","icon":"🪖","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":400,"metal":250,"wood":250,"energy":250},"requirements":["Level 1 Farm"],"upgrade_time":50},"2":{"costs":{"food":600,"metal":350,"wood":350,"energy":350},"requirements":["Level 2 Farm"],"upgrade_time":125},"3":{"costs":{"food":1000,"metal":600,"wood":600,"energy":600},"requirements":["Level 3 Farm"],"upgrade_time":240},"4":{"costs":{"food":2000,"metal":1000,"wood":1000,"energy":1000},"requirements":["Level 4 Farm"],"upgrade_time":450},"5":{"costs":{"food":3000,"metal":1750,"wood":1750,"energy":1750},"requirements":["Level 5 Farm"],"upgrade_time":960},"6":{"costs":{"food":6000,"metal":3500,"wood":3500,"energy":3500,"tech":2000},"requirements":["Level 6 Farm"],"upgrade_time":1750},"7":{"costs":{"food":12500,"metal":7500,"wood":7500,"energy":7500,"tech":5000},"requirements":["Level 7 Farm"],"upgrade_time":2750},"8":{"costs":{"food":25000,"metal":15000,"wood":15000,"energy":15000,"tech":10000},"requirements":["Level 8 Farm"],"upgrade_time":6000},"9":{"costs":{"food":45000,"metal":25000,"wood":25000,"energy":25000,"tech":20000},"requirements":["Level 9 Farm"],"upgrade_time":10000},"10":{"costs":{"food":80000,"metal":45000,"wood":45000,"energy":45000,"tech":35000},"requirements":["Level 10 Farm"],"upgrade_time":20000},"11":{"costs":{"food":120000,"metal":75000,"wood":75000,"energy":75000,"tech":60000},"requirements":["Level 11 Farm"],"upgrade_time":30000},"12":{"costs":{"food":165000,"metal":115000,"wood":115000,"energy":115000,"tech":90000},"requirements":["Level 12 Farm"],"upgrade_time":40000},"13":{"costs":{"food":225000,"metal":150000,"wood":150000,"energy":150000,"tech":120000,"experimental":30},"requirements":["Level 13 Farm"],"upgrade_time":62500},"14":{"costs":{"food":350000,"metal":200000,"wood":200000,"energy":200000,"tech":150000},"requirements":["Level 14 Farm"],"upgrade_time":90000},"15":{"costs":{"food":500000,"metal":300000,"wood":300000,"energy":300000,"tech":200000},"requirements":["Level 15 Farm"],"upgrade_time":120000},"16":{"costs":{"food":750000,"metal":400000,"wood":400000,"energy":400000,"tech":300000},"requirements":["Level 16 Farm"],"upgrade_time":150000},"17":{"costs":{"food":1000000,"metal":500000,"wood":500000,"energy":500000,"tech":400000},"requirements":["Level 17 Farm"],"upgrade_time":225000},"18":{"costs":{"food":1500000,"metal":750000,"wood":750000,"energy":750000,"tech":500000},"requirements":["Level 18 Farm"],"upgrade_time":300000},"19":{"costs":{"food":2250000,"metal":1250000,"wood":1250000,"energy":1250000,"tech":1000000,"experimental":450},"requirements":["Level 19 Farm"],"upgrade_time":500000},"20":{"costs":{"food":3000000,"metal":1750000,"wood":1750000,"energy":1750000,"tech":1500000},"requirements":["Level 20 Farm"],"upgrade_time":750000},"21":{"costs":{"food":3750000,"metal":2250000,"wood":2250000,"energy":2250000,"tech":2000000},"requirements":["Level 21 Farm"],"upgrade_time":1000000},"22":{"costs":{"food":4500000,"metal":2750000,"wood":2750000,"energy":2750000,"tech":2500000},"requirements":["Level 22 Farm"],"upgrade_time":1400000},"23":{"costs":{"food":5500000,"metal":3500000,"wood":3500000,"energy":3500000,"tech":3000000},"requirements":["Level 23 Farm"],"upgrade_time":2100000},"24":{"costs":{"food":6500000,"metal":4250000,"wood":4250000,"energy":4250000,"tech":3500000},"requirements":["Level 24 Farm"],"upgrade_time":2550000},"25":{"costs":{"food":7500000,"metal":5000000,"wood":5000000,"energy":5000000,"tech":4000000,"experimental":3000},"requirements":["Level 25 Farm"],"upgrade_time":3000000},"26":{"costs":{"food":8500000,"metal":6000000,"wood":6000000,"energy":6000000,"tech":5000000},"requirements":["Level 26 Farm"],"upgrade_time":4000000},"27":{"costs":{"food":10000000,"metal":7000000,"wood":7000000,"energy":7000000,"tech":6000000},"requirements":["Level 27 Farm"],"upgrade_time":5500000},"28":{"costs":{"food":15000000,"metal":10625000,"wood":10625000,"energy":10625000,"tech":8750000,"pure":2},"requirements":["Level 28 Farm"],"upgrade_time":6650000},"29":{"costs":{"food":21000000,"metal":15000000,"wood":15000000,"energy":15000000,"tech":12000000,"pure":5},"requirements":["Level 29 Farm"],"upgrade_time":12500000},"30":{"costs":{"food":32000000,"metal":22000000,"wood":22000000,"energy":22000000,"tech":20000000,"pure":10},"requirements":["Level 30 Farm"],"upgrade_time":21500000},"31":{"costs":{"food":45000000,"metal":30000000,"wood":30000000,"energy":30000000,"tech":30000000,"pure":15},"requirements":["Level 31 Farm"],"upgrade_time":32500000},"32":{"costs":{"food":60000000,"metal":40000000,"wood":40000000,"energy":40000000,"tech":40000000,"pure":25},"requirements":["Level 32 Farm"],"upgrade_time":42500000}}},"Bunker":{"name":"Bunker","meta":{"category":"military","icon":"🛡️","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":400,"metal":250,"wood":150,"energy":80},"requirements":["Level 3 Steel Works","Level 5 Headquarters"],"upgrade_time":30},"2":{"costs":{"food":600,"metal":400,"wood":325,"energy":160},"requirements":["Level 5 Steel Works"],"upgrade_time":100},"3":{"costs":{"food":1200,"metal":650,"wood":600,"energy":240},"requirements":["Level 6 Steel Works"],"upgrade_time":240},"4":{"costs":{"food":2000,"metal":1000,"wood":800,"energy":400},"requirements":["Level 7 Steel Works"],"upgrade_time":500},"5":{"costs":{"food":3000,"metal":1750,"wood":1500,"energy":750,"tech":500},"requirements":["Level 8 Steel Works"],"upgrade_time":960},"6":{"costs":{"food":6000,"metal":3500,"wood":3000,"energy":1250,"tech":1250},"requirements":["Level 8 Steel Works"],"upgrade_time":1400},"7":{"costs":{"food":12000,"metal":7500,"wood":6000,"energy":2500,"tech":3000},"requirements":["Level 9 Steel Works"],"upgrade_time":2750},"8":{"costs":{"food":24000,"metal":15000,"wood":12000,"energy":5000,"tech":5000},"requirements":["Level 9 Steel Works"],"upgrade_time":4500},"9":{"costs":{"food":48000,"metal":30000,"wood":25000,"energy":12000,"tech":10000},"requirements":["Level 10 Steel Works"],"upgrade_time":6750},"10":{"costs":{"food":95000,"metal":50000,"wood":32000,"energy":20000,"tech":15000},"requirements":["Level 10 Steel Works"],"upgrade_time":8500},"11":{"costs":{"food":130000,"metal":75000,"wood":50000,"energy":25000,"tech":20000},"requirements":["Level 11 Steel Works"],"upgrade_time":11500},"12":{"costs":{"food":180000,"metal":120000,"wood":75000,"energy":40000,"tech":35000},"requirements":["Level 12 Steel Works"],"upgrade_time":18500},"13":{"costs":{"food":275000,"metal":175000,"wood":125000,"energy":60000,"tech":50000},"requirements":["Level 13 Steel Works"],"upgrade_time":28500},"14":{"costs":{"food":375000,"metal":250000,"wood":175000,"energy":80000,"tech":65000},"requirements":["Level 14 Steel Works"],"upgrade_time":42500},"15":{"costs":{"food":500000,"metal":350000,"wood":250000,"energy":120000,"tech":80000,"experimental":50},"requirements":["Level 15 Steel Works"],"upgrade_time":60000},"16":{"costs":{"food":750000,"metal":500000,"wood":325000,"energy":180000,"tech":120000,"experimental":75},"requirements":["Level 16 Steel Works"],"upgrade_time":82500},"17":{"costs":{"food":1250000,"metal":650000,"wood":400000,"energy":250000,"tech":180000,"experimental":100},"requirements":["Level 17 Steel Works"],"upgrade_time":105000},"18":{"costs":{"food":1750000,"metal":900000,"wood":600000,"energy":350000,"tech":250000,"experimental":125},"requirements":["Level 18 Steel Works"],"upgrade_time":135000},"19":{"costs":{"food":2250000,"metal":1250000,"wood":800000,"energy":500000,"tech":350000,"experimental":150},"requirements":["Level 19 Steel Works"],"upgrade_time":195000},"20":{"costs":{"food":2750000,"metal":1600000,"wood":1000000,"energy":650000,"tech":500000,"experimental":200},"requirements":["Level 20 Steel Works"],"upgrade_time":295000},"21":{"costs":{"food":3250000,"metal":2000000,"wood":1250000,"energy":800000,"tech":650000,"experimental":250},"requirements":["Level 21 Steel Works"],"upgrade_time":445000},"22":{"costs":{"food":4000000,"metal":2400000,"wood":1500000,"energy":1000000,"tech":800000,"experimental":300},"requirements":["Level 22 Steel Works"],"upgrade_time":745000},"23":{"costs":{"food":5000000,"metal":2800000,"wood":1750000,"energy":1250000,"tech":1000000,"experimental":350},"requirements":["Level 23 Steel Works"],"upgrade_time":1150000},"24":{"costs":{"food":6000000,"metal":3200000,"wood":2000000,"energy":1500000,"tech":1250000,"experimental":400},"requirements":["Level 24 Steel Works"],"upgrade_time":1550000},"25":{"costs":{"food":7000000,"metal":3600000,"wood":2250000,"energy":1750000,"tech":1500000,"experimental":450},"requirements":["Level 25 Steel Works"],"upgrade_time":2050000},"26":{"costs":{"food":8000000,"metal":4000000,"wood":2500000,"energy":2000000,"tech":1750000,"experimental":500},"requirements":["Level 26 Steel Works"],"upgrade_time":2550000},"27":{"costs":{"food":9000000,"metal":5000000,"wood":3000000,"energy":2500000,"tech":2000000,"experimental":625},"requirements":["Level 27 Steel Works"],"upgrade_time":3050000},"28":{"costs":{"food":12500000,"metal":7500000,"wood":5000000,"energy":3750000,"tech":3125000,"experimental":750,"pure":2},"requirements":["Level 28 Steel Works"],"upgrade_time":4050000},"29":{"costs":{"food":18750000,"metal":12000000,"wood":7500000,"energy":6000000,"tech":4500000,"experimental":1000,"pure":5},"requirements":["Level 29 Steel Works"],"upgrade_time":5550000},"30":{"costs":{"food":30000000,"metal":20000000,"wood":12000000,"energy":10000000,"tech":8000000,"experimental":1250,"pure":10},"requirements":["Level 30 Steel Works"],"upgrade_time":7350000},"31":{"costs":{"food":45000000,"metal":30000000,"wood":20000000,"energy":17500000,"tech":12500000,"experimental":2500,"pure":15},"requirements":["Level 31 Steel Works"],"upgrade_time":15000000},"32":{"costs":{"food":65000000,"metal":45000000,"wood":30000000,"energy":27500000,"tech":22500000,"experimental":5000,"pure":25},"requirements":["Level 32 Steel Works"],"upgrade_time":25000000}}},"Chasers Quarters":{"name":"Chasers Quarters","meta":{"category":"military","icon":"🏃","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":200,"metal":800,"wood":400,"energy":400},"upgrade_time":45},"2":{"costs":{"food":450,"metal":1000,"wood":600,"energy":600},"requirements":["Level 2 Headquarters"],"upgrade_time":75},"3":{"costs":{"food":800,"metal":2000,"wood":1000,"energy":1000},"requirements":["Level 3 Headquarters"],"upgrade_time":150},"4":{"costs":{"food":1500,"metal":3500,"wood":2000,"energy":2000},"requirements":["Level 4 Headquarters"],"upgrade_time":300},"5":{"costs":{"food":2750,"metal":6000,"wood":3000,"energy":3000,"tech":1000},"requirements":["Level 5 Headquarters","Level 3 Recovery Center"],"upgrade_time":600},"6":{"costs":{"food":7000,"metal":10000,"wood":8000,"energy":8000,"tech":2000},"requirements":["Level 6 Recovery Center"],"upgrade_time":1000},"7":{"costs":{"food":14000,"metal":20000,"wood":16000,"energy":16000,"tech":5000},"requirements":["Level 7 Recovery Center"],"upgrade_time":2000},"8":{"costs":{"food":25000,"metal":40000,"wood":32000,"energy":32000,"tech":10000},"requirements":["Level 8 Recovery Center"],"upgrade_time":5500},"9":{"costs":{"food":45000,"metal":60000,"wood":50000,"energy":50000,"tech":15000},"requirements":["Level 9 Recovery Center"],"upgrade_time":9500},"10":{"costs":{"food":60000,"metal":100000,"wood":75000,"energy":75000,"tech":25000},"requirements":["Level 10 Recovery Center"],"upgrade_time":18500},"11":{"costs":{"food":85000,"metal":150000,"wood":125000,"energy":125000,"tech":50000},"requirements":["Level 11 Recovery Center"],"upgrade_time":27500},"12":{"costs":{"food":125000,"metal":250000,"wood":175000,"energy":175000,"tech":75000},"requirements":["Level 12 Recovery Center"],"upgrade_time":37500},"13":{"costs":{"food":175000,"metal":400000,"wood":250000,"energy":250000,"tech":125000},"requirements":["Level 13 Recovery Center"],"upgrade_time":70000},"14":{"costs":{"food":250000,"metal":550000,"wood":400000,"energy":400000,"tech":175000},"requirements":["Level 14 Recovery Center"],"upgrade_time":115000},"15":{"costs":{"food":400000,"metal":750000,"wood":550000,"energy":550000,"tech":250000,"experimental":50},"requirements":["Level 15 Recovery Center"],"upgrade_time":140000},"16":{"costs":{"food":600000,"metal":1000000,"wood":750000,"energy":750000,"tech":350000,"experimental":75},"requirements":["Level 16 Recovery Center"],"upgrade_time":195000},"17":{"costs":{"food":800000,"metal":1250000,"wood":1000000,"energy":1000000,"tech":500000,"experimental":100},"requirements":["Level 17 Recovery Center"],"upgrade_time":325000},"18":{"costs":{"food":1000000,"metal":1500000,"wood":1250000,"energy":1250000,"tech":750000,"experimental":125},"requirements":["Level 18 Recovery Center"],"upgrade_time":450000},"19":{"costs":{"food":1250000,"metal":1750000,"wood":1500000,"energy":1500000,"tech":1000000,"experimental":150},"requirements":["Level 19 Recovery Center"],"upgrade_time":600000},"20":{"costs":{"food":1500000,"metal":2000000,"wood":1750000,"energy":1750000,"tech":1250000,"experimental":200},"requirements":["Level 20 Recovery Center"],"upgrade_time":1100000},"21":{"costs":{"food":1750000,"metal":2500000,"wood":2000000,"energy":2000000,"tech":1500000,"experimental":250},"requirements":["Level 21 Recovery Center"],"upgrade_time":1500000},"22":{"costs":{"food":2000000,"metal":3000000,"wood":2250000,"energy":2250000,"tech":1750000,"experimental":300},"requirements":["Level 22 Recovery Center"],"upgrade_time":2100000},"23":{"costs":{"food":2250000,"metal":4000000,"wood":2500000,"energy":2500000,"tech":2000000,"experimental":350},"requirements":["Level 23 Recovery Center"],"upgrade_time":2750000},"24":{"costs":{"food":2500000,"metal":5000000,"wood":3000000,"energy":3000000,"tech":2250000,"experimental":400},"requirements":["Level 24 Recovery Center"],"upgrade_time":3500000},"25":{"costs":{"food":3000000,"metal":7500000,"wood":5000000,"energy":5000000,"tech":2500000,"experimental":450},"requirements":["Level 25 Recovery Center"],"upgrade_time":4325000},"26":{"costs":{"food":4000000,"metal":10000000,"wood":6000000,"energy":6000000,"tech":3000000,"experimental":500},"requirements":["Level 26 Recovery Center"],"upgrade_time":5400000},"27":{"costs":{"food":5500000,"metal":12500000,"wood":7000000,"energy":7000000,"tech":4000000,"experimental":625},"requirements":["Level 27 Recovery Center"],"upgrade_time":7000000},"28":{"costs":{"food":8750000,"metal":18750000,"wood":10625000,"energy":10625000,"tech":6500000,"experimental":750,"pure":2},"requirements":["Level 28 Recovery Center"],"upgrade_time":9000000},"29":{"costs":{"food":12750000,"metal":27500000,"wood":18000000,"energy":18000000,"tech":9000000,"experimental":1000,"pure":5},"requirements":["Level 29 Recovery Center"],"upgrade_time":15000000},"30":{"costs":{"food":20000000,"metal":40000000,"wood":30000000,"energy":30000000,"tech":15000000,"experimental":1250,"pure":10},"requirements":["Level 30 Recovery Center"],"upgrade_time":25000000},"31":{"costs":{"food":30000000,"metal":65000000,"wood":42500000,"energy":42500000,"tech":22500000,"experimental":2500,"pure":15},"requirements":["Level 31 Recovery Center"],"upgrade_time":35000000},"32":{"costs":{"food":42500000,"metal":95000000,"wood":57500000,"energy":57500000,"tech":32500000,"experimental":5000,"pure":15},"requirements":["Level 32 Recovery Center"],"upgrade_time":47500000}}},"Debris":{"name":"Debris","meta":{"category":"territory","icon":"🪨","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"upgrade_time":2}}},"Factory":{"name":"Factory","meta":{"category":"economy","icon":"🏭","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"food":200,"metal":200,"wood":200,"energy":200},"requirements":["Level 1 Headquarters"],"upgrade_time":30},"2":{"costs":{"food":400,"metal":400,"wood":400,"energy":400,"tech":150},"requirements":["Level 2 Headquarters"],"upgrade_time":125},"3":{"costs":{"food":650,"metal":650,"wood":650,"energy":650,"tech":250},"requirements":["Level 3 Headquarters"],"upgrade_time":192},"4":{"costs":{"food":1000,"metal":1000,"wood":1000,"energy":1000,"tech":400},"requirements":["Level 4 Headquarters"],"upgrade_time":325},"5":{"costs":{"food":1500,"metal":1500,"wood":1500,"energy":1500,"tech":600},"requirements":["Level 5 Headquarters"],"upgrade_time":575},"6":{"costs":{"food":2500,"metal":2500,"wood":2500,"energy":2500,"tech":1000},"requirements":["Level 6 Headquarters"],"upgrade_time":1200},"7":{"costs":{"food":5000,"metal":5000,"wood":5000,"energy":5000,"tech":2000},"requirements":["Level 7 Headquarters"],"upgrade_time":3000},"8":{"costs":{"food":10000,"metal":10000,"wood":10000,"energy":10000,"tech":4000},"requirements":["Level 8 Headquarters"],"upgrade_time":6000},"9":{"costs":{"food":25000,"metal":25000,"wood":25000,"energy":25000,"tech":10000},"requirements":["Level 9 Headquarters"],"upgrade_time":9000},"10":{"costs":{"food":37500,"metal":37500,"wood":37500,"energy":37500,"tech":15000},"requirements":["Level 10 Headquarters"],"upgrade_time":16500},"11":{"costs":{"food":62500,"metal":62500,"wood":62500,"energy":62500,"tech":25000},"requirements":["Level 11 Headquarters"],"upgrade_time":18000},"12":{"costs":{"food":87500,"metal":87500,"wood":87500,"energy":87500,"tech":35000},"requirements":["Level 12 Headquarters"],"upgrade_time":23500},"13":{"costs":{"food":125000,"metal":125000,"wood":125000,"energy":125000,"tech":50000},"requirements":["Level 13 Headquarters"],"upgrade_time":33500},"14":{"costs":{"food":175000,"metal":175000,"wood":175000,"energy":175000,"tech":70000},"requirements":["Level 14 Headquarters"],"upgrade_time":53500},"15":{"costs":{"food":225000,"metal":225000,"wood":225000,"energy":225000,"tech":90000},"requirements":["Level 15 Headquarters"],"upgrade_time":67500},"16":{"costs":{"food":325000,"metal":325000,"wood":325000,"energy":325000,"tech":125000},"requirements":["Level 16 Headquarters"],"upgrade_time":87500},"17":{"costs":{"food":450000,"metal":450000,"wood":450000,"energy":450000,"tech":175000},"requirements":["Level 17 Headquarters"],"upgrade_time":200000},"18":{"costs":{"food":625000,"metal":625000,"wood":625000,"energy":625000,"tech":250000},"requirements":["Level 18 Headquarters"],"upgrade_time":287500},"19":{"costs":{"food":875000,"metal":875000,"wood":875000,"energy":875000,"tech":350000},"requirements":["Level 19 Headquarters"],"upgrade_time":468750},"20":{"costs":{"food":1125000,"metal":1125000,"wood":1125000,"energy":1125000,"tech":450000},"requirements":["Level 20 Headquarters"],"upgrade_time":865000},"21":{"costs":{"food":1375000,"metal":1375000,"wood":1375000,"energy":1375000,"tech":550000},"requirements":["Level 21 Headquarters"],"upgrade_time":1080000},"22":{"costs":{"food":1625000,"metal":1625000,"wood":1625000,"energy":1625000,"tech":650000},"requirements":["Level 22 Headquarters"],"upgrade_time":1470000},"23":{"costs":{"food":1875000,"metal":1875000,"wood":1875000,"energy":1875000,"tech":750000},"requirements":["Level 23 Headquarters"],"upgrade_time":2000000},"24":{"costs":{"food":2500000,"metal":2500000,"wood":2500000,"energy":2500000,"tech":1000000},"requirements":["Level 24 Headquarters"],"upgrade_time":2310000},"25":{"costs":{"food":3250000,"metal":3250000,"wood":3250000,"energy":3250000,"tech":1250000},"requirements":["Level 25 Headquarters"],"upgrade_time":2587500},"26":{"costs":{"food":3750000,"metal":3750000,"wood":3750000,"energy":3750000,"tech":1500000},"requirements":["Level 26 Headquarters"],"upgrade_time":3150000},"27":{"costs":{"food":4500000,"metal":4500000,"wood":4500000,"energy":4500000,"tech":1750000},"requirements":["Level 27 Headquarters"],"upgrade_time":3650000},"28":{"costs":{"food":6250000,"metal":6250000,"wood":6250000,"energy":6250000,"tech":2500000,"pure":2},"requirements":["Level 28 Headquarters"],"upgrade_time":5000000},"29":{"costs":{"food":10000000,"metal":10000000,"wood":10000000,"energy":10000000,"tech":4250000,"pure":5},"requirements":["Level 29 Headquarters"],"upgrade_time":10400000},"30":{"costs":{"food":15000000,"metal":15000000,"wood":15000000,"energy":15000000,"tech":6000000,"pure":10},"requirements":["Level 30 Headquarters"],"upgrade_time":18000000},"31":{"costs":{"food":22500000,"metal":22500000,"wood":22500000,"energy":22500000,"tech":8500000,"pure":15},"requirements":["Level 31 Headquarters"],"upgrade_time":24000000},"32":{"costs":{"food":30000000,"metal":30000000,"wood":30000000,"energy":30000000,"tech":12000000,"pure":20},"requirements":["Level 32 Headquarters"],"upgrade_time":30000000},"33":{"costs":{"food":37500000,"metal":37500000,"wood":37500000,"energy":37500000,"tech":16500000,"pure":25},"requirements":["Level 33 Headquarters"],"upgrade_time":36000000},"34":{"costs":{"food":45000000,"metal":45000000,"wood":45000000,"energy":45000000,"tech":21500000,"pure":30},"requirements":["Level 34 Headquarters"],"upgrade_time":42000000},"35":{"costs":{"food":52500000,"metal":52500000,"wood":52500000,"energy":52500000,"tech":28000000,"pure":40},"requirements":["Level 35 Headquarters"],"upgrade_time":48000000}}},"Farm":{"name":"Farm","meta":{"category":"economy","icon":"🌾","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"metal":75,"wood":75,"energy":75},"requirements":["Level 1 Headquarters"],"upgrade_time":30},"2":{"costs":{"metal":150,"wood":150,"energy":150},"requirements":["Level 2 Headquarters"],"upgrade_time":125},"3":{"costs":{"metal":250,"wood":250,"energy":250},"requirements":["Level 3 Headquarters"],"upgrade_time":192},"4":{"costs":{"metal":400,"wood":400,"energy":400},"requirements":["Level 4 Headquarters"],"upgrade_time":325},"5":{"costs":{"metal":600,"wood":600,"energy":600},"requirements":["Level 5 Headquarters"],"upgrade_time":575},"6":{"costs":{"metal":1000,"wood":1000,"energy":1000},"requirements":["Level 6 Headquarters"],"upgrade_time":1200},"7":{"costs":{"metal":2000,"wood":2000,"energy":2000},"requirements":["Level 7 Headquarters"],"upgrade_time":3000},"8":{"costs":{"metal":4000,"wood":4000,"energy":4000},"requirements":["Level 8 Headquarters"],"upgrade_time":6000},"9":{"costs":{"metal":10000,"wood":10000,"energy":10000},"requirements":["Level 9 Headquarters"],"upgrade_time":9000},"10":{"costs":{"metal":15000,"wood":15000,"energy":15000},"requirements":["Level 10 Headquarters"],"upgrade_time":16000},"11":{"costs":{"metal":25000,"wood":25000,"energy":25000},"requirements":["Level 11 Headquarters"],"upgrade_time":21000},"12":{"costs":{"metal":35000,"wood":35000,"energy":35000},"requirements":["Level 12 Headquarters"],"upgrade_time":23500},"13":{"costs":{"metal":50000,"wood":50000,"energy":50000},"requirements":["Level 13 Headquarters"],"upgrade_time":33500},"14":{"costs":{"metal":70000,"wood":70000,"energy":70000},"requirements":["Level 14 Headquarters"],"upgrade_time":53500},"15":{"costs":{"metal":90000,"wood":90000,"energy":90000},"requirements":["Level 15 Headquarters"],"upgrade_time":67500},"16":{"costs":{"metal":125000,"wood":125000,"energy":125000},"requirements":["Level 16 Headquarters"],"upgrade_time":87500},"17":{"costs":{"metal":175000,"wood":175000,"energy":175000},"requirements":["Level 17 Headquarters"],"upgrade_time":200000},"18":{"costs":{"metal":250000,"wood":250000,"energy":250000},"requirements":["Level 18 Headquarters"],"upgrade_time":287500},"19":{"costs":{"metal":350000,"wood":350000,"energy":350000},"requirements":["Level 19 Headquarters"],"upgrade_time":468750},"20":{"costs":{"metal":450000,"wood":450000,"energy":450000},"requirements":["Level 20 Headquarters"],"upgrade_time":865000},"21":{"costs":{"metal":550000,"wood":550000,"energy":550000},"requirements":["Level 21 Headquarters"],"upgrade_time":1080000},"22":{"costs":{"metal":650000,"wood":650000,"energy":650000},"requirements":["Level 22 Headquarters"],"upgrade_time":1470000},"23":{"costs":{"metal":750000,"wood":750000,"energy":750000},"requirements":["Level 23 Headquarters"],"upgrade_time":2000000},"24":{"costs":{"metal":1000000,"wood":1000000,"energy":1000000},"requirements":["Level 24 Headquarters"],"upgrade_time":2310000},"25":{"costs":{"metal":1250000,"wood":1250000,"energy":1250000},"requirements":["Level 25 Headquarters"],"upgrade_time":2587500},"26":{"costs":{"metal":1500000,"wood":1500000,"energy":1500000},"requirements":["Level 26 Headquarters"],"upgrade_time":3150000},"27":{"costs":{"metal":1750000,"wood":1750000,"energy":1750000,"tech":100000},"requirements":["Level 27 Headquarters"],"upgrade_time":3650000},"28":{"costs":{"metal":2500000,"wood":2500000,"energy":2500000,"tech":250000,"pure":2},"requirements":["Level 28 Headquarters"],"upgrade_time":5000000},"29":{"costs":{"metal":4250000,"wood":4250000,"energy":4250000,"tech":500000,"pure":5},"requirements":["Level 29 Headquarters"],"upgrade_time":10400000},"30":{"costs":{"metal":6000000,"wood":6000000,"energy":6000000,"tech":1000000,"pure":10},"requirements":["Level 30 Headquarters"],"upgrade_time":18000000},"31":{"costs":{"metal":8500000,"wood":8500000,"energy":8500000,"tech":2000000,"pure":15},"requirements":["Level 31 Headquarters"],"upgrade_time":24000000},"32":{"costs":{"metal":12000000,"wood":12000000,"energy":12000000,"tech":5000000,"pure":25},"requirements":["Level 32 Headquarters"],"upgrade_time":30000000},"33":{"costs":{"metal":17000000,"wood":17000000,"energy":17000000,"tech":10000000,"pure":40},"requirements":["Level 33 Headquarters"],"upgrade_time":36000000},"34":{"costs":{"metal":23500000,"wood":23500000,"energy":23500000,"tech":20000000,"pure":65},"requirements":["Level 34 Headquarters"],"upgrade_time":42000000},"35":{"costs":{"metal":31500000,"wood":31500000,"energy":31500000,"tech":40000000,"pure":100},"requirements":["Level 35 Headquarters"],"upgrade_time":48000000}}},"Garrison":{"name":"Garrison","meta":{"category":"military","icon":"🏰","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":500,"metal":400,"wood":400,"energy":300},"requirements":["Level 1 Alliance Hall"],"upgrade_time":45},"2":{"costs":{"food":800,"metal":600,"wood":600,"energy":500},"requirements":["Level 2 Alliance Hall"],"upgrade_time":75},"3":{"costs":{"food":1500,"metal":1250,"wood":1250,"energy":800},"requirements":["Level 3 Alliance Hall"],"upgrade_time":150},"4":{"costs":{"food":2500,"metal":2000,"wood":2000,"energy":1500},"requirements":["Level 4 Alliance Hall"],"upgrade_time":300},"5":{"costs":{"food":4000,"metal":3000,"wood":3000,"energy":2500,"tech":750},"requirements":["Level 5 Alliance Hall"],"upgrade_time":600},"6":{"costs":{"food":8000,"metal":6500,"wood":6500,"energy":4500,"tech":2000},"requirements":["Level 6 Alliance Hall"],"upgrade_time":1200},"7":{"costs":{"food":15000,"metal":12000,"wood":12000,"energy":10000,"tech":5000},"requirements":["Level 7 Alliance Hall"],"upgrade_time":2500},"8":{"costs":{"food":30000,"metal":25000,"wood":25000,"energy":20000,"tech":10000},"requirements":["Level 8 Alliance Hall"],"upgrade_time":5000},"9":{"costs":{"food":60000,"metal":50000,"wood":50000,"energy":40000,"tech":20000},"requirements":["Level 9 Alliance Hall"],"upgrade_time":8500},"10":{"costs":{"food":100000,"metal":75000,"wood":75000,"energy":60000,"tech":35000},"requirements":["Level 10 Alliance Hall"],"upgrade_time":16500},"11":{"costs":{"food":175000,"metal":125000,"wood":125000,"energy":100000,"tech":50000},"requirements":["Level 11 Alliance Hall"],"upgrade_time":20000},"12":{"costs":{"food":250000,"metal":175000,"wood":175000,"energy":150000,"tech":75000},"requirements":["Level 12 Alliance Hall"],"upgrade_time":30000},"13":{"costs":{"food":400000,"metal":250000,"wood":250000,"energy":200000,"tech":100000},"requirements":["Level 13 Alliance Hall"],"upgrade_time":42500},"14":{"costs":{"food":600000,"metal":400000,"wood":400000,"energy":300000,"tech":150000},"requirements":["Level 14 Alliance Hall"],"upgrade_time":57500},"15":{"costs":{"food":850000,"metal":600000,"wood":600000,"energy":500000,"tech":200000,"experimental":50},"requirements":["Level 15 Alliance Hall"],"upgrade_time":85000},"16":{"costs":{"food":1200000,"metal":850000,"wood":850000,"energy":700000,"tech":300000,"experimental":75},"requirements":["Level 16 Alliance Hall"],"upgrade_time":125000},"17":{"costs":{"food":1750000,"metal":1200000,"wood":1200000,"energy":900000,"tech":400000,"experimental":100},"requirements":["Level 17 Alliance Hall"],"upgrade_time":175000},"18":{"costs":{"food":2500000,"metal":1750000,"wood":1750000,"energy":1250000,"tech":600000,"experimental":125},"requirements":["Level 18 Alliance Hall"],"upgrade_time":215000},"19":{"costs":{"food":3000000,"metal":2250000,"wood":2250000,"energy":1750000,"tech":800000,"experimental":150},"requirements":["Level 19 Alliance Hall"],"upgrade_time":355000},"20":{"costs":{"food":3500000,"metal":2750000,"wood":2750000,"energy":2250000,"tech":1000000,"experimental":200},"requirements":["Level 20 Alliance Hall"],"upgrade_time":585000},"21":{"costs":{"food":4000000,"metal":3250000,"wood":3250000,"energy":2750000,"tech":1250000,"experimental":250},"requirements":["Level 21 Alliance Hall"],"upgrade_time":825000},"22":{"costs":{"food":4500000,"metal":3750000,"wood":3750000,"energy":3250000,"tech":1500000,"experimental":300},"requirements":["Level 22 Alliance Hall"],"upgrade_time":1260000},"23":{"costs":{"food":5000000,"metal":4250000,"wood":4250000,"energy":3750000,"tech":1750000,"experimental":350},"requirements":["Level 23 Alliance Hall"],"upgrade_time":1750000},"24":{"costs":{"food":5500000,"metal":4750000,"wood":4750000,"energy":4250000,"tech":2000000,"experimental":400},"requirements":["Level 24 Alliance Hall"],"upgrade_time":2750000},"25":{"costs":{"food":6000000,"metal":5250000,"wood":5250000,"energy":4750000,"tech":2250000,"experimental":450},"requirements":["Level 25 Alliance Hall"],"upgrade_time":2887500},"26":{"costs":{"food":6500000,"metal":5750000,"wood":5750000,"energy":5250000,"tech":2500000,"experimental":500},"requirements":["Level 26 Alliance Hall"],"upgrade_time":3150000},"27":{"costs":{"food":7000000,"metal":6250000,"wood":6250000,"energy":5750000,"tech":2750000,"experimental":625},"requirements":["Level 27 Alliance Hall"],"upgrade_time":3750000},"28":{"costs":{"food":10000000,"metal":8500000,"wood":8500000,"energy":8000000,"tech":3750000,"experimental":750,"pure":2},"requirements":["Level 28 Alliance Hall"],"upgrade_time":5450000},"29":{"costs":{"food":14500000,"metal":10750000,"wood":10750000,"energy":9750000,"tech":6000000,"experimental":1000,"pure":5},"requirements":["Level 29 Alliance Hall"],"upgrade_time":8750000},"30":{"costs":{"food":20000000,"metal":16000000,"wood":16000000,"energy":15000000,"tech":10000000,"experimental":1250,"pure":10},"requirements":["Level 30 Alliance Hall"],"upgrade_time":18000000},"31":{"costs":{"food":30000000,"metal":25000000,"wood":25000000,"energy":22500000,"tech":15000000,"experimental":2500,"pure":15},"requirements":["Level 31 Alliance Hall"],"upgrade_time":27000000},"32":{"costs":{"food":42500000,"metal":37500000,"wood":37500000,"energy":35000000,"tech":22500000,"experimental":5000,"pure":25},"requirements":["Level 32 Alliance Hall"],"upgrade_time":34000000}}},"Geothermal Plant":{"name":"Geothermal Plant","meta":{"category":"economy","icon":"♨️","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"food":75,"metal":75,"wood":75},"requirements":["Level 1 Headquarters"],"upgrade_time":30},"2":{"costs":{"food":150,"metal":150,"wood":150},"requirements":["Level 2 Headquarters"],"upgrade_time":125},"3":{"costs":{"food":250,"metal":250,"wood":250},"requirements":["Level 3 Headquarters"],"upgrade_time":192},"4":{"costs":{"food":400,"metal":400,"wood":400},"requirements":["Level 4 Headquarters"],"upgrade_time":325},"5":{"costs":{"food":600,"metal":600,"wood":600},"requirements":["Level 5 Headquarters"],"upgrade_time":575},"6":{"costs":{"food":1000,"metal":1000,"wood":1000},"requirements":["Level 6 Headquarters"],"upgrade_time":1200},"7":{"costs":{"food":2000,"metal":2000,"wood":2000},"requirements":["Level 7 Headquarters"],"upgrade_time":3000},"8":{"costs":{"food":4000,"metal":4000,"wood":4000},"requirements":["Level 8 Headquarters"],"upgrade_time":6000},"9":{"costs":{"food":10000,"metal":10000,"wood":10000},"requirements":["Level 9 Headquarters"],"upgrade_time":9000},"10":{"costs":{"food":15000,"metal":15000,"wood":15000},"requirements":["Level 10 Headquarters"],"upgrade_time":16000},"11":{"costs":{"food":25000,"metal":25000,"wood":25000},"requirements":["Level 11 Headquarters"],"upgrade_time":21000},"12":{"costs":{"food":35000,"metal":35000,"wood":35000},"requirements":["Level 12 Headquarters"],"upgrade_time":23500},"13":{"costs":{"food":50000,"metal":50000,"wood":50000},"requirements":["Level 13 Headquarters"],"upgrade_time":33500},"14":{"costs":{"food":70000,"metal":70000,"wood":70000},"requirements":["Level 14 Headquarters"],"upgrade_time":53500},"15":{"costs":{"food":90000,"metal":90000,"wood":90000},"requirements":["Level 15 Headquarters"],"upgrade_time":67500},"16":{"costs":{"food":125000,"metal":125000,"wood":125000},"requirements":["Level 16 Headquarters"],"upgrade_time":87500},"17":{"costs":{"food":175000,"metal":175000,"wood":175000},"requirements":["Level 17 Headquarters"],"upgrade_time":200000},"18":{"costs":{"food":250000,"metal":250000,"wood":250000},"requirements":["Level 18 Headquarters"],"upgrade_time":287500},"19":{"costs":{"food":350000,"metal":350000,"wood":350000},"requirements":["Level 19 Headquarters"],"upgrade_time":468750},"20":{"costs":{"food":450000,"metal":450000,"wood":450000},"requirements":["Level 20 Headquarters"],"upgrade_time":865000},"21":{"costs":{"food":550000,"metal":550000,"wood":550000},"requirements":["Level 21 Headquarters"],"upgrade_time":1080000},"22":{"costs":{"food":650000,"metal":650000,"wood":650000},"requirements":["Level 22 Headquarters"],"upgrade_time":1470000},"23":{"costs":{"food":750000,"metal":750000,"wood":750000},"requirements":["Level 23 Headquarters"],"upgrade_time":2000000},"24":{"costs":{"food":1000000,"metal":1000000,"wood":1000000},"requirements":["Level 24 Headquarters"],"upgrade_time":2310000},"25":{"costs":{"food":1250000,"metal":1250000,"wood":1250000},"requirements":["Level 25 Headquarters"],"upgrade_time":2587500},"26":{"costs":{"food":1500000,"metal":1500000,"wood":1500000},"requirements":["Level 26 Headquarters"],"upgrade_time":3150000},"27":{"costs":{"food":1750000,"metal":1750000,"wood":1750000,"tech":100000},"requirements":["Level 27 Headquarters"],"upgrade_time":3650000},"28":{"costs":{"food":2500000,"metal":2500000,"wood":2500000,"tech":250000,"pure":2},"requirements":["Level 28 Headquarters"],"upgrade_time":5000000},"29":{"costs":{"food":4250000,"metal":4250000,"wood":4250000,"tech":500000,"pure":5},"requirements":["Level 29 Headquarters"],"upgrade_time":10400000},"30":{"costs":{"food":6000000,"metal":6000000,"wood":6000000,"tech":1000000,"pure":10},"requirements":["Level 30 Headquarters"],"upgrade_time":18000000},"31":{"costs":{"food":8500000,"metal":8500000,"wood":8500000,"tech":2000000,"pure":15},"requirements":["Level 31 Headquarters"],"upgrade_time":24000000},"32":{"costs":{"food":12000000,"metal":12000000,"wood":12000000,"tech":5000000,"pure":25},"requirements":["Level 32 Headquarters"],"upgrade_time":30000000},"33":{"costs":{"food":15500000,"metal":15500000,"wood":15500000,"tech":10000000,"pure":40},"requirements":["Level 33 Headquarters"],"upgrade_time":36000000},"34":{"costs":{"food":20500000,"metal":20500000,"wood":20500000,"tech":20000000,"pure":60},"requirements":["Level 34 Headquarters"],"upgrade_time":42000000},"35":{"costs":{"food":25500000,"metal":25500000,"wood":25500000,"tech":40000000,"pure":85},"requirements":["Level 35 Headquarters"],"upgrade_time":48000000}}},"Guard Post":{"name":"Guard Post","meta":{"category":"military","icon":"🗼","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":500,"metal":750,"wood":750,"energy":750},"requirements":["Level 6 Headquarters","Level 1 Factory"],"upgrade_time":45},"2":{"costs":{"food":1000,"metal":1250,"wood":1250,"energy":1250},"requirements":["Level 2 Factory"],"upgrade_time":100},"3":{"costs":{"food":1500,"metal":2000,"wood":2000,"energy":2000},"requirements":["Level 3 Factory"],"upgrade_time":215},"4":{"costs":{"food":2000,"metal":2750,"wood":2750,"energy":2750},"requirements":["Level 4 Factory"],"upgrade_time":450},"5":{"costs":{"food":4000,"metal":5500,"wood":5500,"energy":5500,"tech":2250},"requirements":["Level 5 Factory"],"upgrade_time":750},"6":{"costs":{"food":7500,"metal":10000,"wood":10000,"energy":10000,"tech":3750},"requirements":["Level 6 Factory"],"upgrade_time":1350},"7":{"costs":{"food":15000,"metal":20000,"wood":20000,"energy":20000,"tech":7500},"requirements":["Level 7 Factory"],"upgrade_time":2400},"8":{"costs":{"food":30000,"metal":40000,"wood":40000,"energy":40000,"tech":15000},"requirements":["Level 8 Factory"],"upgrade_time":5250},"9":{"costs":{"food":60000,"metal":80000,"wood":80000,"energy":80000,"tech":35000},"requirements":["Level 9 Factory"],"upgrade_time":9000},"10":{"costs":{"food":100000,"metal":165000,"wood":165000,"energy":165000,"tech":75000},"requirements":["Level 10 Factory"],"upgrade_time":15600},"11":{"costs":{"food":150000,"metal":275000,"wood":275000,"energy":275000,"tech":125000},"requirements":["Level 11 Factory"],"upgrade_time":17500},"12":{"costs":{"food":200000,"metal":400000,"wood":400000,"energy":400000,"tech":175000},"requirements":["Level 12 Factory"],"upgrade_time":30000},"13":{"costs":{"food":300000,"metal":600000,"wood":600000,"energy":600000,"tech":250000},"requirements":["Level 13 Factory"],"upgrade_time":56250},"14":{"costs":{"food":450000,"metal":800000,"wood":800000,"energy":800000,"tech":350000},"requirements":["Level 14 Factory"],"upgrade_time":72500},"15":{"costs":{"food":600000,"metal":1000000,"wood":1000000,"energy":1000000,"tech":450000,"experimental":50},"requirements":["Level 15 Factory"],"upgrade_time":105000},"16":{"costs":{"food":750000,"metal":1200000,"wood":1200000,"energy":1200000,"tech":600000,"experimental":75},"requirements":["Level 16 Factory"],"upgrade_time":145000},"17":{"costs":{"food":900000,"metal":1400000,"wood":1400000,"energy":1400000,"tech":750000,"experimental":100},"requirements":["Level 17 Factory"],"upgrade_time":185000},"18":{"costs":{"food":1100000,"metal":1600000,"wood":1600000,"energy":1600000,"tech":900000,"experimental":125},"requirements":["Level 18 Factory"],"upgrade_time":245000},"19":{"costs":{"food":1300000,"metal":1800000,"wood":1800000,"energy":1800000,"tech":1100000,"experimental":150},"requirements":["Level 19 Factory"],"upgrade_time":345000},"20":{"costs":{"food":1500000,"metal":2000000,"wood":2000000,"energy":2000000,"tech":1300000,"experimental":200},"requirements":["Level 20 Factory"],"upgrade_time":485000},"21":{"costs":{"food":1750000,"metal":2500000,"wood":2500000,"energy":2500000,"tech":1500000,"experimental":250},"requirements":["Level 21 Factory"],"upgrade_time":730000},"22":{"costs":{"food":2000000,"metal":3000000,"wood":3000000,"energy":3000000,"tech":1750000,"experimental":300},"requirements":["Level 22 Factory"],"upgrade_time":1050000},"23":{"costs":{"food":2250000,"metal":3500000,"wood":3500000,"energy":3500000,"tech":2000000,"experimental":350},"requirements":["Level 23 Factory"],"upgrade_time":1650000},"24":{"costs":{"food":2500000,"metal":4000000,"wood":4000000,"energy":4000000,"tech":2250000,"experimental":350},"requirements":["Level 24 Factory"],"upgrade_time":2250000},"25":{"costs":{"food":2750000,"metal":4500000,"wood":4500000,"energy":4500000,"tech":2500000,"experimental":450},"requirements":["Level 25 Factory"],"upgrade_time":2850000},"26":{"costs":{"food":3000000,"metal":5000000,"wood":5000000,"energy":5000000,"tech":2750000,"experimental":500},"requirements":["Level 26 Factory"],"upgrade_time":3510000},"27":{"costs":{"food":4000000,"metal":6000000,"wood":6000000,"energy":6000000,"tech":3000000,"experimental":625},"requirements":["Level 27 Factory"],"upgrade_time":4600000},"28":{"costs":{"food":5625000,"metal":8750000,"wood":8750000,"energy":8750000,"tech":5000000,"experimental":750,"pure":2},"requirements":["Level 28 Factory"],"upgrade_time":4600000},"29":{"costs":{"food":7500000,"metal":12000000,"wood":12000000,"energy":12000000,"tech":6750000,"experimental":1000,"pure":5},"requirements":["Level 29 Factory"],"upgrade_time":7300000},"30":{"costs":{"food":12000000,"metal":20000000,"wood":20000000,"energy":20000000,"tech":10000000,"experimental":1250,"pure":10},"requirements":["Level 30 Factory"],"upgrade_time":12150000},"31":{"costs":{"food":20000000,"metal":30000000,"wood":30000000,"energy":30000000,"tech":15000000,"experimental":2500,"pure":15},"requirements":["Level 31 Factory"],"upgrade_time":21150000},"32":{"costs":{"food":30000000,"metal":42500000,"wood":42500000,"energy":42500000,"tech":25000000,"experimental":5000,"pure":25},"requirements":["Level 32 Factory"],"upgrade_time":32150000}}},"Headquarters":{"name":"Headquarters","meta":{"category":"core","icon":"🏛️","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"food":200,"metal":100,"wood":100,"energy":200},"upgrade_time":30},"2":{"costs":{"food":800,"metal":1500,"wood":1500,"energy":800},"requirements":["Level 1 Walls"],"upgrade_time":150},"3":{"costs":{"food":1200,"metal":2500,"wood":2500,"energy":1200},"requirements":["Level 2 Walls","Level 1 Lumberyard","Level 1 Steel Works"],"upgrade_time":240},"4":{"costs":{"food":2500,"metal":5000,"wood":5000,"energy":2500},"requirements":["Level 3 Walls","Level 1 Barracks"],"upgrade_time":350},"5":{"costs":{"food":5000,"metal":10000,"wood":10000,"energy":5000},"requirements":["Level 4 Walls"],"upgrade_time":600},"6":{"costs":{"food":7500,"metal":15000,"wood":15000,"energy":7500},"requirements":["Level 5 Walls","Level 1 Warehouse"],"upgrade_time":1800},"7":{"costs":{"food":15000,"metal":30000,"wood":30000,"energy":15000},"requirements":["Level 6 Walls","Level 6 Research Lab"],"upgrade_time":7500},"8":{"costs":{"food":30000,"metal":60000,"wood":60000,"energy":30000},"requirements":["Level 7 Walls","Level 7 Radar Tower"],"upgrade_time":15000},"9":{"costs":{"food":60000,"metal":120000,"wood":120000,"energy":60000},"requirements":["Level 8 Walls","Level 8 Barracks"],"upgrade_time":30000},"10":{"costs":{"food":100000,"metal":200000,"wood":200000,"energy":100000,"tech":25000},"requirements":["Level 9 Walls","Level 9 Chasers Quarters"],"upgrade_time":65000},"11":{"costs":{"food":125000,"metal":250000,"wood":250000,"energy":125000,"tech":75000},"requirements":["Level 10 Walls","Level 10 Training Camp"],"upgrade_time":100000},"12":{"costs":{"food":225000,"metal":450000,"wood":450000,"energy":225000,"tech":150000},"requirements":["Level 11 Walls","Level 11 Alliance Hall"],"upgrade_time":150000},"13":{"costs":{"food":350000,"metal":700000,"wood":700000,"energy":350000,"tech":225000},"requirements":["Level 12 Walls","Level 12 Monster Biodome"],"upgrade_time":225000},"14":{"costs":{"food":500000,"metal":1000000,"wood":1000000,"energy":500000,"tech":300000},"requirements":["Level 13 Walls","Level 13 Bunker"],"upgrade_time":350000},"15":{"costs":{"food":750000,"metal":1500000,"wood":1500000,"energy":750000,"tech":400000},"requirements":["Level 14 Walls","Level 14 Factory"],"upgrade_time":500000},"16":{"costs":{"food":1250000,"metal":2250000,"wood":2250000,"energy":1250000,"tech":600000},"requirements":["Level 15 Walls","Level 15 Warehouse"],"upgrade_time":750000},"17":{"costs":{"food":1500000,"metal":3000000,"wood":3000000,"energy":1500000,"tech":800000},"requirements":["Level 16 Walls","Level 16 Garrison"],"upgrade_time":1250000},"18":{"costs":{"food":2500000,"metal":4500000,"wood":4500000,"energy":2500000,"tech":1000000},"requirements":["Level 17 Walls","Level 17 Guard Post"],"upgrade_time":2250000},"19":{"costs":{"food":3500000,"metal":6000000,"wood":6000000,"energy":3500000,"tech":1500000},"requirements":["Level 18 Walls","Level 18 Recovery Bay"],"upgrade_time":3750000},"20":{"costs":{"food":4500000,"metal":7500000,"wood":7500000,"energy":4500000,"tech":2000000},"requirements":["Level 19 Walls","Level 19 Monster Biodome"],"upgrade_time":4750000},"21":{"costs":{"food":5500000,"metal":9000000,"wood":9000000,"energy":5500000,"tech":2500000},"requirements":["Level 20 Walls","Level 20 Training Camp"],"upgrade_time":6000000},"22":{"costs":{"food":6500000,"metal":10500000,"wood":10500000,"energy":6500000,"tech":3000000},"requirements":["Level 21 Walls","Level 21 Radar Tower"],"upgrade_time":8750000},"23":{"costs":{"food":7500000,"metal":12000000,"wood":12000000,"energy":7500000,"tech":3500000},"requirements":["Level 22 Walls","Level 22 Chasers Quarters"],"upgrade_time":12500000},"24":{"costs":{"food":8500000,"metal":13500000,"wood":13500000,"energy":8500000,"tech":4000000},"requirements":["Level 23 Walls","Level 23 Factory"],"upgrade_time":15000000},"25":{"costs":{"food":9500000,"metal":15000000,"wood":15000000,"energy":9500000,"tech":4500000},"requirements":["Level 24 Walls","Level 24 Garrison"],"upgrade_time":17250000},"26":{"costs":{"food":10500000,"metal":16500000,"wood":16500000,"energy":10500000,"tech":5000000},"requirements":["Level 25 Walls","Level 25 Alliance Hall"],"upgrade_time":22500000},"27":{"costs":{"food":11500000,"metal":18000000,"wood":18000000,"energy":11500000,"tech":6000000},"requirements":["Level 26 Walls","Level 26 Bunker"],"upgrade_time":27500000},"28":{"costs":{"food":15500000,"metal":25000000,"wood":25000000,"energy":15500000,"tech":9000000,"pure":2},"requirements":["Level 27 Walls","Level 27 Barracks"],"upgrade_time":40000000},"29":{"costs":{"food":20000000,"metal":27500000,"wood":27500000,"energy":20000000,"tech":12000000,"pure":5},"requirements":["Level 28 Walls","Level 28 Monster Biodome"],"upgrade_time":65000000},"30":{"costs":{"food":27500000,"metal":50000000,"wood":50000000,"energy":27500000,"tech":20000000,"pure":10},"requirements":["Level 29 Walls","Level 29 Recovery Center"],"upgrade_time":90000000},"31":{"costs":{"food":42500000,"metal":75000000,"wood":75000000,"energy":42500000,"tech":32500000,"pure":15},"requirements":["Level 30 Walls","Level 30 Chasers Quarters"],"upgrade_time":120000000},"32":{"costs":{"food":60000000,"metal":100000000,"wood":100000000,"energy":60000000,"tech":50000000,"pure":25},"requirements":["Level 31 Walls","Level 31 Radar Tower"],"upgrade_time":150000000},"33":{"costs":{"food":80000000,"metal":130000000,"wood":130000000,"energy":80000000,"tech":70000000,"pure":35},"requirements":["Level 32 Walls","Level 32 Research Lab","Level 32 Monster Biodome"],"upgrade_time":180000000},"34":{"costs":{"food":105000000,"metal":165000000,"wood":165000000,"energy":105000000,"tech":95000000,"pure":50},"requirements":["Level 33 Walls","Level 33 Warehouse","Level 32 Radar Tower","Level 32 Guard Post"],"upgrade_time":210000000},"35":{"costs":{"food":135000000,"metal":205000000,"wood":205000000,"energy":135000000,"tech":125000000,"pure":70},"requirements":["Level 34 Walls","Level 34 Alliance Hall","Level 32 Bunker","Level 32 Recovery Bay","Level 32 Chasers Quarters"],"upgrade_time":240000000}}},"Lumberyard":{"name":"Lumberyard","meta":{"category":"economy","icon":"🪓","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"food":75,"metal":75,"energy":75},"requirements":["Level 1 Headquarters"],"upgrade_time":30},"2":{"costs":{"food":150,"metal":150,"energy":150},"requirements":["Level 2 Headquarters"],"upgrade_time":125},"3":{"costs":{"food":250,"metal":250,"energy":250},"requirements":["Level 3 Headquarters"],"upgrade_time":192},"4":{"costs":{"food":400,"metal":400,"energy":400},"requirements":["Level 4 Headquarters"],"upgrade_time":325},"5":{"costs":{"food":600,"metal":600,"energy":600},"requirements":["Level 5 Headquarters"],"upgrade_time":575},"6":{"costs":{"food":1000,"metal":1000,"energy":1000},"requirements":["Level 6 Headquarters"],"upgrade_time":1200},"7":{"costs":{"food":2000,"metal":2000,"energy":2000},"requirements":["Level 7 Headquarters"],"upgrade_time":3000},"8":{"costs":{"food":4000,"metal":4000,"energy":4000},"requirements":["Level 8 Headquarters"],"upgrade_time":6000},"9":{"costs":{"food":10000,"metal":10000,"energy":10000},"requirements":["Level 9 Headquarters"],"upgrade_time":9000},"10":{"costs":{"food":15000,"metal":15000,"energy":15000},"requirements":["Level 10 Headquarters"],"upgrade_time":16000},"11":{"costs":{"food":25000,"metal":25000,"energy":25000},"requirements":["Level 11 Headquarters"],"upgrade_time":21000},"12":{"costs":{"food":35000,"metal":35000,"energy":35000},"requirements":["Level 12 Headquarters"],"upgrade_time":23500},"13":{"costs":{"food":50000,"metal":50000,"energy":50000},"requirements":["Level 13 Headquarters"],"upgrade_time":33500},"14":{"costs":{"food":70000,"metal":70000,"energy":70000},"requirements":["Level 14 Headquarters"],"upgrade_time":53500},"15":{"costs":{"food":90000,"metal":90000,"energy":90000},"requirements":["Level 15 Headquarters"],"upgrade_time":67500},"16":{"costs":{"food":125000,"metal":125000,"energy":125000},"requirements":["Level 16 Headquarters"],"upgrade_time":87500},"17":{"costs":{"food":175000,"metal":175000,"energy":175000},"requirements":["Level 17 Headquarters"],"upgrade_time":200000},"18":{"costs":{"food":250000,"metal":250000,"energy":250000},"requirements":["Level 18 Headquarters"],"upgrade_time":287500},"19":{"costs":{"food":350000,"metal":350000,"energy":350000},"requirements":["Level 19 Headquarters"],"upgrade_time":468750},"20":{"costs":{"food":450000,"metal":450000,"energy":450000},"requirements":["Level 20 Headquarters"],"upgrade_time":865000},"21":{"costs":{"food":550000,"metal":550000,"energy":550000},"requirements":["Level 21 Headquarters"],"upgrade_time":1080000},"22":{"costs":{"food":650000,"metal":650000,"energy":650000},"requirements":["Level 22 Headquarters"],"upgrade_time":1470000},"23":{"costs":{"food":750000,"metal":750000,"energy":750000},"requirements":["Level 23 Headquarters"],"upgrade_time":2000000},"24":{"costs":{"food":1000000,"metal":1000000,"energy":1000000},"requirements":["Level 24 Headquarters"],"upgrade_time":2310000},"25":{"costs":{"food":1250000,"metal":1250000,"energy":1250000},"requirements":["Level 25 Headquarters"],"upgrade_time":2587500},"26":{"costs":{"food":1500000,"metal":1500000,"energy":1500000},"requirements":["Level 26 Headquarters"],"upgrade_time":3150000},"27":{"costs":{"food":1750000,"metal":1750000,"energy":1750000,"tech":100000},"requirements":["Level 27 Headquarters"],"upgrade_time":3650000},"28":{"costs":{"food":2500000,"metal":2500000,"energy":2500000,"tech":250000,"pure":2},"requirements":["Level 28 Headquarters"],"upgrade_time":5000000},"29":{"costs":{"food":4250000,"metal":4250000,"energy":4250000,"tech":500000,"pure":5},"requirements":["Level 29 Headquarters"],"upgrade_time":10400000},"30":{"costs":{"food":6000000,"metal":6000000,"energy":6000000,"tech":1000000,"pure":10},"requirements":["Level 30 Headquarters"],"upgrade_time":18000000},"31":{"costs":{"food":8500000,"metal":8500000,"energy":8500000,"tech":2000000,"pure":15},"requirements":["Level 31 Headquarters"],"upgrade_time":24000000},"32":{"costs":{"food":12000000,"metal":12000000,"energy":12000000,"tech":5000000,"pure":25},"requirements":["Level 32 Headquarters"],"upgrade_time":30000000},"33":{"costs":{"food":17000000,"metal":17000000,"energy":17000000,"tech":10000000,"pure":35},"requirements":["Level 33 Headquarters"],"upgrade_time":36000000},"34":{"costs":{"food":24000000,"metal":24000000,"energy":24000000,"tech":20000000,"pure":50},"requirements":["Level 34 Headquarters"],"upgrade_time":42000000},"35":{"costs":{"food":34000000,"metal":34000000,"energy":34000000,"tech":40000000,"pure":65},"requirements":["Level 35 Headquarters"],"upgrade_time":48000000}}},"Monster Biodome":{"name":"Monster Biodome","meta":{"category":"military","icon":"🦖","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":80,"metal":150,"wood":250,"energy":150},"upgrade_time":90},"2":{"costs":{"food":150,"metal":300,"wood":500,"energy":300},"requirements":["Level 2 Barracks"],"upgrade_time":200},"3":{"costs":{"food":300,"metal":600,"wood":1000,"energy":600},"requirements":["Level 3 Barracks"],"upgrade_time":300},"4":{"costs":{"food":500,"metal":1200,"wood":1500,"energy":1200},"requirements":["Level 4 Barracks"],"upgrade_time":600},"5":{"costs":{"food":800,"metal":1750,"wood":2750,"energy":1750},"requirements":["Level 5 Barracks"],"upgrade_time":1200},"6":{"costs":{"food":1500,"metal":3000,"wood":5000,"energy":3000,"tech":1000},"requirements":["Level 6 Barracks"],"upgrade_time":1920},"7":{"costs":{"food":3000,"metal":6000,"wood":10000,"energy":6000,"tech":2500},"requirements":["Level 7 Barracks"],"upgrade_time":4000},"8":{"costs":{"food":6000,"metal":12000,"wood":20000,"energy":12000,"tech":5000},"requirements":["Level 8 Barracks"],"upgrade_time":9000},"9":{"costs":{"food":10000,"metal":20000,"wood":40000,"energy":20000,"tech":10000},"requirements":["Level 9 Barracks"],"upgrade_time":15000},"10":{"costs":{"food":15000,"metal":30000,"wood":65000,"energy":30000,"tech":15000},"requirements":["Level 10 Barracks"],"upgrade_time":25000},"11":{"costs":{"food":25000,"metal":50000,"wood":100000,"energy":50000,"tech":25000},"requirements":["Level 11 Barracks"],"upgrade_time":32500},"12":{"costs":{"food":40000,"metal":75000,"wood":150000,"energy":75000,"tech":40000},"requirements":["Level 12 Barracks"],"upgrade_time":45000},"13":{"costs":{"food":60000,"metal":120000,"wood":200000,"energy":120000,"tech":60000},"requirements":["Level 13 Barracks"],"upgrade_time":75000},"14":{"costs":{"food":80000,"metal":160000,"wood":275000,"energy":160000,"tech":80000},"requirements":["Level 14 Barracks"],"upgrade_time":112500},"15":{"costs":{"food":120000,"metal":225000,"wood":375000,"energy":225000,"tech":120000},"requirements":["Level 15 Barracks"],"upgrade_time":145000},"16":{"costs":{"food":175000,"metal":300000,"wood":550000,"energy":300000,"tech":175000},"requirements":["Level 16 Barracks"],"upgrade_time":180000},"17":{"costs":{"food":275000,"metal":450000,"wood":850000,"energy":450000,"tech":275000},"requirements":["Level 17 Barracks"],"upgrade_time":250000},"18":{"costs":{"food":400000,"metal":650000,"wood":1250000,"energy":650000,"tech":400000},"requirements":["Level 18 Barracks"],"upgrade_time":400000},"19":{"costs":{"food":550000,"metal":850000,"wood":1750000,"energy":850000,"tech":550000},"requirements":["Level 19 Barracks"],"upgrade_time":650000},"20":{"costs":{"food":750000,"metal":1250000,"wood":2250000,"energy":1250000,"tech":750000},"requirements":["Level 20 Barracks"],"upgrade_time":950000},"21":{"costs":{"food":1000000,"metal":1750000,"wood":3000000,"energy":1750000,"tech":1000000},"requirements":["Level 21 Barracks"],"upgrade_time":1200000},"22":{"costs":{"food":1500000,"metal":2250000,"wood":3750000,"energy":2250000,"tech":1500000},"requirements":["Level 22 Barracks"],"upgrade_time":1680000},"23":{"costs":{"food":2000000,"metal":3000000,"wood":4500000,"energy":3000000,"tech":2000000},"requirements":["Level 23 Barracks"],"upgrade_time":2250000},"24":{"costs":{"food":2500000,"metal":3750000,"wood":5000000,"energy":3750000,"tech":2500000},"requirements":["Level 24 Barracks"],"upgrade_time":2750000},"25":{"costs":{"food":3000000,"metal":4500000,"wood":6000000,"energy":4500000,"tech":3000000},"requirements":["Level 25 Barracks"],"upgrade_time":3250000},"26":{"costs":{"food":3500000,"metal":5250000,"wood":7000000,"energy":5250000,"tech":3500000},"requirements":["Level 26 Barracks"],"upgrade_time":3600000},"27":{"costs":{"food":4000000,"metal":6000000,"wood":8000000,"energy":6000000,"tech":4000000},"requirements":["Level 27 Barracks"],"upgrade_time":5000000},"28":{"costs":{"food":6000000,"metal":8500000,"wood":12000000,"energy":8500000,"tech":6000000,"pure":2},"requirements":["Level 28 Barracks"],"upgrade_time":7250000},"29":{"costs":{"food":8250000,"metal":10750000,"wood":15000000,"energy":10750000,"tech":8250000,"pure":5},"requirements":["Level 29 Barracks"],"upgrade_time":12500000},"30":{"costs":{"food":13000000,"metal":17000000,"wood":24000000,"energy":17000000,"tech":11000000,"pure":10},"requirements":["Level 30 Barracks"],"upgrade_time":22500000},"31":{"costs":{"food":20000000,"metal":25000000,"wood":36000000,"energy":25000000,"tech":17500000,"pure":15},"requirements":["Level 31 Barracks"],"upgrade_time":33500000},"32":{"costs":{"food":30000000,"metal":35000000,"wood":50000000,"energy":35000000,"tech":27500000,"pure":25},"requirements":["Level 32 Barracks"],"upgrade_time":44500000}}},"Radar Tower":{"name":"Radar Tower","meta":{"category":"military","icon":"📡","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":250,"metal":250,"wood":400,"energy":400},"requirements":["Level 1 Walls"],"upgrade_time":30},"2":{"costs":{"food":500,"metal":500,"wood":600,"energy":600},"requirements":["Level 2 Walls"],"upgrade_time":75},"3":{"costs":{"food":750,"metal":750,"wood":1200,"energy":1200},"requirements":["Level 3 Walls"],"upgrade_time":150},"4":{"costs":{"food":1500,"metal":1500,"wood":2000,"energy":2000},"requirements":["Level 4 Walls"],"upgrade_time":300},"5":{"costs":{"food":2750,"metal":2750,"wood":3500,"energy":3500,"tech":1000},"requirements":["Level 5 Walls"],"upgrade_time":600},"6":{"costs":{"food":5000,"metal":5000,"wood":6500,"energy":6500,"tech":3000},"requirements":["Level 6 Walls"],"upgrade_time":950},"7":{"costs":{"food":10000,"metal":10000,"wood":12500,"energy":12500,"tech":6000},"requirements":["Level 7 Walls"],"upgrade_time":1750},"8":{"costs":{"food":20000,"metal":20000,"wood":25000,"energy":25000,"tech":15000},"requirements":["Level 8 Walls"],"upgrade_time":4250},"9":{"costs":{"food":40000,"metal":40000,"wood":50000,"energy":50000,"tech":40000},"requirements":["Level 9 Walls"],"upgrade_time":7500},"10":{"costs":{"food":70000,"metal":70000,"wood":85000,"energy":85000,"tech":65000},"requirements":["Level 10 Walls"],"upgrade_time":12500},"11":{"costs":{"food":100000,"metal":100000,"wood":125000,"energy":125000,"tech":100000},"requirements":["Level 11 Walls"],"upgrade_time":20000},"12":{"costs":{"food":135000,"metal":135000,"wood":175000,"energy":175000,"tech":150000},"requirements":["Level 12 Walls"],"upgrade_time":30000},"13":{"costs":{"food":175000,"metal":175000,"wood":275000,"energy":275000,"tech":225000},"requirements":["Level 13 Walls"],"upgrade_time":45000},"14":{"costs":{"food":250000,"metal":250000,"wood":400000,"energy":400000,"tech":350000},"requirements":["Level 14 Walls"],"upgrade_time":65000},"15":{"costs":{"food":350000,"metal":350000,"wood":600000,"energy":600000,"tech":500000},"requirements":["Level 15 Walls"],"upgrade_time":85000},"16":{"costs":{"food":550000,"metal":550000,"wood":900000,"energy":900000,"tech":650000},"requirements":["Level 16 Walls"],"upgrade_time":125000},"17":{"costs":{"food":800000,"metal":800000,"wood":1250000,"energy":1250000,"tech":900000},"requirements":["Level 17 Walls"],"upgrade_time":165000},"18":{"costs":{"food":1200000,"metal":1200000,"wood":1750000,"energy":1750000,"tech":1250000},"requirements":["Level 18 Walls"],"upgrade_time":195000},"19":{"costs":{"food":1750000,"metal":1750000,"wood":2500000,"energy":2500000,"tech":1750000},"requirements":["Level 19 Walls"],"upgrade_time":285000},"20":{"costs":{"food":2500000,"metal":2500000,"wood":3250000,"energy":3250000,"tech":2500000},"requirements":["Level 20 Walls"],"upgrade_time":485000},"21":{"costs":{"food":3000000,"metal":3000000,"wood":4000000,"energy":4000000,"tech":3000000},"requirements":["Level 21 Walls"],"upgrade_time":785000},"22":{"costs":{"food":3500000,"metal":3500000,"wood":5000000,"energy":5000000,"tech":3500000},"requirements":["Level 22 Walls"],"upgrade_time":1250000},"23":{"costs":{"food":4000000,"metal":4000000,"wood":6000000,"energy":6000000,"tech":4000000},"requirements":["Level 23 Walls"],"upgrade_time":1700000},"24":{"costs":{"food":4500000,"metal":4500000,"wood":7000000,"energy":7000000,"tech":4500000},"requirements":["Level 24 Walls"],"upgrade_time":2050000},"25":{"costs":{"food":5000000,"metal":5000000,"wood":8000000,"energy":8000000,"tech":5000000},"requirements":["Level 25 Walls"],"upgrade_time":2250000},"26":{"costs":{"food":6000000,"metal":6000000,"wood":9000000,"energy":9000000,"tech":6000000},"requirements":["Level 26 Walls"],"upgrade_time":2500000},"27":{"costs":{"food":7000000,"metal":7000000,"wood":10000000,"energy":10000000,"tech":8000000},"requirements":["Level 27 Walls"],"upgrade_time":2750000},"28":{"costs":{"food":10000000,"metal":10000000,"wood":15000000,"energy":15000000,"tech":12500000,"pure":2},"requirements":["Level 28 Walls"],"upgrade_time":3100000},"29":{"costs":{"food":14500000,"metal":14500000,"wood":21000000,"energy":21000000,"tech":18000000,"pure":5},"requirements":["Level 29 Walls"],"upgrade_time":5550000},"30":{"costs":{"food":20000000,"metal":20000000,"wood":32000000,"energy":32000000,"tech":28000000,"pure":10},"requirements":["Level 30 Walls"],"upgrade_time":9900000},"31":{"costs":{"food":27500000,"metal":27500000,"wood":45000000,"energy":45000000,"tech":40000000,"pure":15},"requirements":["Level 31 Walls"],"upgrade_time":14500000},"32":{"costs":{"food":37500000,"metal":37500000,"wood":60000000,"energy":60000000,"tech":55000000,"pure":25},"requirements":["Level 32 Walls"],"upgrade_time":18500000}}},"Recovery Bay":{"name":"Recovery Bay","meta":{"category":"military","icon":"🩹","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":240,"metal":150,"wood":150,"energy":150},"requirements":["Level 1 Recovery Center"],"upgrade_time":30},"2":{"costs":{"food":360,"metal":250,"wood":250,"energy":250},"requirements":["Level 2 Recovery Center"],"upgrade_time":75},"3":{"costs":{"food":600,"metal":400,"wood":400,"energy":400},"requirements":["Level 3 Recovery Center"],"upgrade_time":125},"4":{"costs":{"food":1200,"metal":800,"wood":800,"energy":800},"requirements":["Level 4 Recovery Center"],"upgrade_time":300},"5":{"costs":{"food":1800,"metal":1200,"wood":1200,"energy":1200},"requirements":["Level 5 Recovery Center"],"upgrade_time":600},"6":{"costs":{"food":3600,"metal":2400,"wood":2400,"energy":2400,"tech":1920},"requirements":["Level 6 Recovery Center"],"upgrade_time":1200},"7":{"costs":{"food":7500,"metal":5000,"wood":5000,"energy":5000,"tech":4000},"requirements":["Level 7 Recovery Center"],"upgrade_time":1800},"8":{"costs":{"food":15000,"metal":10000,"wood":10000,"energy":10000,"tech":8000},"requirements":["Level 8 Recovery Center"],"upgrade_time":4000},"9":{"costs":{"food":27500,"metal":17500,"wood":17500,"energy":17500,"tech":12500},"requirements":["Level 9 Recovery Center"],"upgrade_time":6750},"10":{"costs":{"food":50000,"metal":32500,"wood":32500,"energy":32500,"tech":25000},"requirements":["Level 10 Recovery Center"],"upgrade_time":13250},"11":{"costs":{"food":80000,"metal":52500,"wood":52500,"energy":52500,"tech":42500},"requirements":["Level 11 Recovery Center"],"upgrade_time":20000},"12":{"costs":{"food":115500,"metal":75000,"wood":75000,"energy":75000,"tech":60000},"requirements":["Level 12 Recovery Center"],"upgrade_time":27500},"13":{"costs":{"food":157500,"metal":100000,"wood":100000,"energy":100000,"tech":80000},"requirements":["Level 13 Recovery Center"],"upgrade_time":41250},"14":{"costs":{"food":245000,"metal":150000,"wood":150000,"energy":150000,"tech":120000},"requirements":["Level 14 Recovery Center"],"upgrade_time":60000},"15":{"costs":{"food":350000,"metal":225000,"wood":225000,"energy":225000,"tech":180000},"requirements":["Level 15 Recovery Center"],"upgrade_time":80000},"16":{"costs":{"food":550000,"metal":350000,"wood":350000,"energy":350000,"tech":280000},"requirements":["Level 16 Recovery Center"],"upgrade_time":100000},"17":{"costs":{"food":800000,"metal":500000,"wood":500000,"energy":500000,"tech":400000},"requirements":["Level 17 Recovery Center"],"upgrade_time":150000},"18":{"costs":{"food":1200000,"metal":800000,"wood":800000,"energy":800000,"tech":650000},"requirements":["Level 18 Recovery Center"],"upgrade_time":200000},"19":{"costs":{"food":1800000,"metal":1200000,"wood":1200000,"energy":1200000,"tech":950000},"requirements":["Level 19 Recovery Center"],"upgrade_time":325000},"20":{"costs":{"food":2400000,"metal":1600000,"wood":1600000,"energy":1600000,"tech":1275000},"requirements":["Level 20 Recovery Center"],"upgrade_time":500000},"21":{"costs":{"food":3000000,"metal":2000000,"wood":2000000,"energy":2000000,"tech":1600000},"requirements":["Level 21 Recovery Center"],"upgrade_time":675000},"22":{"costs":{"food":3600000,"metal":2375000,"wood":2375000,"energy":2375000,"tech":1900000},"requirements":["Level 22 Recovery Center"],"upgrade_time":925000},"23":{"costs":{"food":4400000,"metal":3000000,"wood":3000000,"energy":3000000,"tech":2400000},"requirements":["Level 23 Recovery Center"],"upgrade_time":1400000},"24":{"costs":{"food":5500000,"metal":3600000,"wood":3600000,"energy":3600000,"tech":2850000},"requirements":["Level 24 Recovery Center"],"upgrade_time":1700000},"25":{"costs":{"food":6375000,"metal":4200000,"wood":4200000,"energy":4200000,"tech":3250000},"requirements":["Level 25 Recovery Center"],"upgrade_time":2000000},"26":{"costs":{"food":7250000,"metal":4800000,"wood":4800000,"energy":4800000,"tech":3750000},"requirements":["Level 26 Recovery Center"],"upgrade_time":2600000},"27":{"costs":{"food":8500000,"metal":5600000,"wood":5600000,"energy":5600000,"tech":4500000},"requirements":["Level 27 Recovery Center"],"upgrade_time":3600000},"28":{"costs":{"food":12750000,"metal":8250000,"wood":8250000,"energy":8250000,"tech":6500000},"requirements":["Level 28 Recovery Center"],"upgrade_time":4400000},"29":{"costs":{"food":17750000,"metal":11725000,"wood":11725000,"energy":11725000,"tech":9500000},"requirements":["Level 29 Recovery Center"],"upgrade_time":8250000},"30":{"costs":{"food":23500000,"metal":15500000,"wood":15500000,"energy":15500000,"tech":12500000},"requirements":["Level 30 Recovery Center"],"upgrade_time":14500000},"31":{"costs":{"food":30000000,"metal":20000000,"wood":20000000,"energy":20000000,"tech":16000000},"requirements":["Level 31 Recovery Center"],"upgrade_time":21500000},"32":{"costs":{"food":40000000,"metal":27500000,"wood":27500000,"energy":27500000,"tech":22000000},"requirements":["Level 32 Recovery Center"],"upgrade_time":28000000}}},"Recovery Center":{"name":"Recovery Center","meta":{"category":"military","icon":"🏥","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":300,"metal":450,"wood":300,"energy":450},"requirements":["Level 1 Steel Works"],"upgrade_time":120},"2":{"costs":{"food":600,"metal":700,"wood":600,"energy":700},"requirements":["Level 2 Steel Works"],"upgrade_time":300},"3":{"costs":{"food":850,"metal":1200,"wood":850,"energy":1200},"requirements":["Level 3 Steel Works"],"upgrade_time":600},"4":{"costs":{"food":1400,"metal":1900,"wood":1400,"energy":1900},"requirements":["Level 4 Steel Works"],"upgrade_time":1200},"5":{"costs":{"food":2500,"metal":3500,"wood":2500,"energy":3500,"tech":1000},"requirements":["Level 5 Steel Works"],"upgrade_time":2700},"6":{"costs":{"food":4500,"metal":7000,"wood":4500,"energy":7000,"tech":2500},"requirements":["Level 6 Steel Works"],"upgrade_time":4200},"7":{"costs":{"food":8000,"metal":14000,"wood":8000,"energy":14000,"tech":5000},"requirements":["Level 7 Steel Works"],"upgrade_time":7500},"8":{"costs":{"food":17000,"metal":28000,"wood":17000,"energy":28000,"tech":10000},"requirements":["Level 8 Steel Works"],"upgrade_time":12000},"9":{"costs":{"food":25000,"metal":50000,"wood":25000,"energy":50000,"tech":17500},"requirements":["Level 9 Steel Works"],"upgrade_time":21000},"10":{"costs":{"food":50000,"metal":85000,"wood":50000,"energy":85000,"tech":35000},"requirements":["Level 10 Steel Works"],"upgrade_time":33000},"11":{"costs":{"food":80000,"metal":130000,"wood":80000,"energy":130000,"tech":50000},"requirements":["Level 11 Steel Works"],"upgrade_time":52000},"12":{"costs":{"food":120000,"metal":200000,"wood":120000,"energy":200000,"tech":75000},"requirements":["Level 12 Steel Works"],"upgrade_time":80000},"13":{"costs":{"food":190000,"metal":300000,"wood":190000,"energy":300000,"tech":125000},"requirements":["Level 13 Steel Works"],"upgrade_time":125000},"14":{"costs":{"food":270000,"metal":500000,"wood":270000,"energy":500000,"tech":175000},"requirements":["Level 14 Steel Works"],"upgrade_time":165000},"15":{"costs":{"food":450000,"metal":700000,"wood":450000,"energy":700000,"tech":250000},"requirements":["Level 15 Steel Works"],"upgrade_time":210000},"16":{"costs":{"food":650000,"metal":1000000,"wood":650000,"energy":1000000,"tech":500000},"requirements":["Level 16 Steel Works"],"upgrade_time":285000},"17":{"costs":{"food":1200000,"metal":1600000,"wood":1200000,"energy":1600000,"tech":1000000},"requirements":["Level 17 Steel Works"],"upgrade_time":395000},"18":{"costs":{"food":1700000,"metal":2400000,"wood":1700000,"energy":2400000,"tech":1500000},"requirements":["Level 18 Steel Works"],"upgrade_time":600000},"19":{"costs":{"food":2200000,"metal":3000000,"wood":2200000,"energy":3000000,"tech":2000000},"requirements":["Level 19 Steel Works"],"upgrade_time":900000},"20":{"costs":{"food":2800000,"metal":3600000,"wood":2800000,"energy":3600000,"tech":2750000},"requirements":["Level 20 Steel Works"],"upgrade_time":1450000},"21":{"costs":{"food":3400000,"metal":4500000,"wood":3400000,"energy":4500000,"tech":3500000},"requirements":["Level 21 Steel Works"],"upgrade_time":2250000},"22":{"costs":{"food":4000000,"metal":5500000,"wood":4000000,"energy":5500000,"tech":4000000},"requirements":["Level 22 Steel Works"],"upgrade_time":3250000},"23":{"costs":{"food":4600000,"metal":6500000,"wood":4600000,"energy":6500000,"tech":4500000},"requirements":["Level 23 Steel Works"],"upgrade_time":4500000},"24":{"costs":{"food":5500000,"metal":7500000,"wood":5500000,"energy":7500000,"tech":5000000},"requirements":["Level 24 Steel Works"],"upgrade_time":5750000},"25":{"costs":{"food":6500000,"metal":8500000,"wood":6500000,"energy":8500000,"tech":6000000},"requirements":["Level 25 Steel Works"],"upgrade_time":7250000},"26":{"costs":{"food":7500000,"metal":9500000,"wood":7500000,"energy":9500000,"tech":8000000},"requirements":["Level 26 Steel Works"],"upgrade_time":9250000},"27":{"costs":{"food":8500000,"metal":10500000,"wood":8500000,"energy":10500000,"tech":10000000},"requirements":["Level 27 Steel Works"],"upgrade_time":11250000},"28":{"costs":{"food":12000000,"metal":15000000,"wood":12000000,"energy":15000000,"tech":13500000,"pure":2},"requirements":["Level 28 Steel Works"],"upgrade_time":12960000},"29":{"costs":{"food":15750000,"metal":20000000,"wood":15750000,"energy":20000000,"tech":17500000,"pure":5},"requirements":["Level 29 Steel Works"],"upgrade_time":16000000},"30":{"costs":{"food":24000000,"metal":30000000,"wood":24000000,"energy":30000000,"tech":22500000,"pure":10},"requirements":["Level 30 Steel Works"],"upgrade_time":20000000},"31":{"costs":{"food":32500000,"metal":45000000,"wood":32500000,"energy":45000000,"tech":30000000,"pure":15},"requirements":["Level 31 Steel Works"],"upgrade_time":25000000},"32":{"costs":{"food":42500000,"metal":65000000,"wood":42500000,"energy":65000000,"tech":40000000,"pure":25},"requirements":["Level 32 Steel Works"],"upgrade_time":32500000}}},"Research Lab":{"name":"Research Lab","meta":{"category":"core","icon":"🔬","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":500,"metal":250,"wood":500,"energy":350}},"2":{"costs":{"food":800,"metal":400,"wood":800,"energy":600},"requirements":["Level 2 Steel Works"],"upgrade_time":150},"3":{"costs":{"food":1250,"metal":600,"wood":1250,"energy":800},"requirements":["Level 3 Steel Works"],"upgrade_time":288},"4":{"costs":{"food":2000,"metal":1000,"wood":2000,"energy":1250},"requirements":["Level 4 Steel Works"],"upgrade_time":500},"5":{"costs":{"food":4000,"metal":2000,"wood":4000,"energy":2500,"tech":1000},"requirements":["Level 5 Steel Works"],"upgrade_time":960},"6":{"costs":{"food":7500,"metal":4000,"wood":7500,"energy":5000,"tech":3500},"requirements":["Level 6 Steel Works"],"upgrade_time":1600},"7":{"costs":{"food":15000,"metal":8000,"wood":15000,"energy":10000,"tech":10000},"requirements":["Level 7 Steel Works"],"upgrade_time":3000},"8":{"costs":{"food":30000,"metal":15000,"wood":30000,"energy":20000,"tech":20000},"requirements":["Level 8 Steel Works"],"upgrade_time":7500},"9":{"costs":{"food":60000,"metal":30000,"wood":60000,"energy":40000,"tech":40000},"requirements":["Level 9 Steel Works"],"upgrade_time":12000},"10":{"costs":{"food":100000,"metal":50000,"wood":100000,"energy":65000,"tech":65000},"requirements":["Level 10 Steel Works"],"upgrade_time":26000},"11":{"costs":{"food":150000,"metal":80000,"wood":150000,"energy":100000,"tech":100000},"requirements":["Level 11 Steel Works"],"upgrade_time":30000},"12":{"costs":{"food":225000,"metal":120000,"wood":225000,"energy":150000,"tech":150000},"requirements":["Level 12 Steel Works"],"upgrade_time":40000},"13":{"costs":{"food":400000,"metal":175000,"wood":400000,"energy":225000,"tech":225000},"requirements":["Level 13 Steel Works"],"upgrade_time":62500},"14":{"costs":{"food":600000,"metal":250000,"wood":600000,"energy":350000,"tech":350000},"requirements":["Level 14 Steel Works"],"upgrade_time":90000},"15":{"costs":{"food":800000,"metal":400000,"wood":800000,"energy":500000,"tech":500000},"requirements":["Level 15 Steel Works"],"upgrade_time":120000},"16":{"costs":{"food":1000000,"metal":600000,"wood":1000000,"energy":650000,"tech":650000},"requirements":["Level 16 Steel Works"],"upgrade_time":155000},"17":{"costs":{"food":1250000,"metal":800000,"wood":1250000,"energy":900000,"tech":900000},"requirements":["Level 17 Steel Works"],"upgrade_time":215000},"18":{"costs":{"food":1750000,"metal":1000000,"wood":1750000,"energy":1250000,"tech":1250000},"requirements":["Level 18 Steel Works"],"upgrade_time":310000},"19":{"costs":{"food":2500000,"metal":1250000,"wood":2500000,"energy":1750000,"tech":1750000},"requirements":["Level 19 Steel Works"],"upgrade_time":475000},"20":{"costs":{"food":3000000,"metal":1750000,"wood":3000000,"energy":2500000,"tech":2500000},"requirements":["Level 20 Steel Works"],"upgrade_time":712500},"21":{"costs":{"food":3500000,"metal":2500000,"wood":3500000,"energy":3000000,"tech":3000000},"requirements":["Level 21 Steel Works"],"upgrade_time":960000},"22":{"costs":{"food":4000000,"metal":3000000,"wood":4000000,"energy":3500000,"tech":3500000},"requirements":["Level 22 Steel Works"],"upgrade_time":1400000},"23":{"costs":{"food":5000000,"metal":3500000,"wood":5000000,"energy":4000000,"tech":4000000},"requirements":["Level 23 Steel Works"],"upgrade_time":2100000},"24":{"costs":{"food":6000000,"metal":4000000,"wood":6000000,"energy":4500000,"tech":4500000},"requirements":["Level 24 Steel Works"],"upgrade_time":2500000},"25":{"costs":{"food":7000000,"metal":4500000,"wood":7000000,"energy":5000000,"tech":5000000},"requirements":["Level 25 Steel Works"],"upgrade_time":3450000},"26":{"costs":{"food":8000000,"metal":5000000,"wood":8000000,"energy":6000000,"tech":6000000},"requirements":["Level 26 Steel Works"],"upgrade_time":4500000},"27":{"costs":{"food":10000000,"metal":6000000,"wood":10000000,"energy":8000000,"tech":8000000},"requirements":["Level 27 Steel Works"],"upgrade_time":5500000},"28":{"costs":{"food":15000000,"metal":10000000,"wood":15000000,"energy":12500000,"tech":12500000,"pure":2},"requirements":["Level 28 Steel Works"],"upgrade_time":7250000},"29":{"costs":{"food":21000000,"metal":15000000,"wood":21000000,"energy":18000000,"tech":18000000,"pure":5},"requirements":["Level 29 Steel Works"],"upgrade_time":11500000},"30":{"costs":{"food":32000000,"metal":24000000,"wood":32000000,"energy":28000000,"tech":28000000,"pure":10},"requirements":["Level 30 Steel Works"],"upgrade_time":22500000},"31":{"costs":{"food":42500000,"metal":35000000,"wood":42500000,"energy":40000000,"tech":40000000,"pure":15},"requirements":["Level 31 Steel Works"],"upgrade_time":35000000},"32":{"costs":{"food":55000000,"metal":47500000,"wood":55000000,"energy":52500000,"tech":52500000,"pure":25},"requirements":["Level 32 Steel Works"],"upgrade_time":46500000}}},"Salvage Drop":{"name":"Salvage Drop","meta":{"category":"economy","icon":"🪂","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":30,"metal":30,"wood":30,"energy":30},"upgrade_time":40},"2":{"costs":{"food":75,"metal":75,"wood":75,"energy":75},"requirements":["Level 2 Geothermal Plant"],"upgrade_time":44},"3":{"costs":{"food":150,"metal":150,"wood":150,"energy":150},"requirements":["Level 3 Geothermal Plant"],"upgrade_time":48},"4":{"costs":{"food":250,"metal":250,"wood":250,"energy":250},"requirements":["Level 4 Geothermal Plant"],"upgrade_time":80},"5":{"costs":{"food":400,"metal":400,"wood":400,"energy":400,"tech":30},"requirements":["Level 5 Geothermal Plant"],"upgrade_time":144},"6":{"costs":{"food":750,"metal":750,"wood":750,"energy":750,"tech":75},"requirements":["Level 6 Geothermal Plant"],"upgrade_time":300},"7":{"costs":{"food":1000,"metal":1000,"wood":1000,"energy":1000,"tech":150},"requirements":["Level 7 Geothermal Plant"],"upgrade_time":750},"8":{"costs":{"food":2000,"metal":2000,"wood":2000,"energy":2000,"tech":250},"requirements":["Level 8 Geothermal Plant"],"upgrade_time":1500},"9":{"costs":{"food":4500,"metal":4500,"wood":4500,"energy":4500,"tech":400},"requirements":["Level 9 Geothermal Plant"],"upgrade_time":2250},"10":{"costs":{"food":7500,"metal":7500,"wood":7500,"energy":7500,"tech":750},"requirements":["Level 10 Geothermal Plant"],"upgrade_time":3250},"11":{"costs":{"food":12500,"metal":12500,"wood":12500,"energy":12500,"tech":1000},"requirements":["Level 11 Geothermal Plant"],"upgrade_time":4500},"12":{"costs":{"food":20000,"metal":20000,"wood":20000,"energy":20000,"tech":2000},"requirements":["Level 12 Geothermal Plant"],"upgrade_time":5875},"13":{"costs":{"food":32500,"metal":32500,"wood":32500,"energy":32500,"tech":4500},"requirements":["Level 13 Geothermal Plant"],"upgrade_time":8375},"14":{"costs":{"food":47500,"metal":47500,"wood":47500,"energy":47500,"tech":7500},"requirements":["Level 14 Geothermal Plant"],"upgrade_time":13375},"15":{"costs":{"food":67500,"metal":67500,"wood":67500,"energy":67500,"tech":12500},"requirements":["Level 15 Geothermal Plant"],"upgrade_time":16875},"16":{"costs":{"food":85000,"metal":85000,"wood":85000,"energy":85000,"tech":20000},"requirements":["Level 16 Geothermal Plant"],"upgrade_time":21875},"17":{"costs":{"food":115000,"metal":115000,"wood":115000,"energy":115000,"tech":32500},"requirements":["Level 17 Geothermal Plant"],"upgrade_time":50000},"18":{"costs":{"food":140000,"metal":140000,"wood":140000,"energy":140000,"tech":47500},"requirements":["Level 18 Geothermal Plant"],"upgrade_time":71875},"19":{"costs":{"food":175000,"metal":175000,"wood":175000,"energy":175000,"tech":67500},"requirements":["Level 19 Geothermal Plant"],"upgrade_time":117185},"20":{"costs":{"food":200000,"metal":200000,"wood":200000,"energy":200000,"tech":85000},"requirements":["Level 20 Geothermal Plant"],"upgrade_time":216250},"21":{"costs":{"food":250000,"metal":250000,"wood":250000,"energy":250000,"tech":115000},"requirements":["Level 21 Geothermal Plant"],"upgrade_time":270000},"22":{"costs":{"food":300000,"metal":300000,"wood":300000,"energy":300000,"tech":140000},"requirements":["Level 22 Geothermal Plant"],"upgrade_time":367500},"23":{"costs":{"food":350000,"metal":350000,"wood":350000,"energy":350000,"tech":175000},"requirements":["Level 23 Geothermal Plant"],"upgrade_time":500000},"24":{"costs":{"food":400000,"metal":400000,"wood":400000,"energy":400000,"tech":200000},"requirements":["Level 24 Geothermal Plant"],"upgrade_time":577500},"25":{"costs":{"food":500000,"metal":500000,"wood":500000,"energy":500000,"tech":250000},"requirements":["Level 25 Geothermal Plant"],"upgrade_time":646875},"26":{"costs":{"food":600000,"metal":600000,"wood":600000,"energy":600000,"tech":300000},"requirements":["Level 26 Geothermal Plant"],"upgrade_time":787500},"27":{"costs":{"food":750000,"metal":750000,"wood":750000,"energy":750000,"tech":350000},"requirements":["Level 27 Geothermal Plant"],"upgrade_time":912500},"28":{"costs":{"food":900000,"metal":900000,"wood":900000,"energy":900000,"tech":400000,"pure":2},"requirements":["Level 28 Geothermal Plant"],"upgrade_time":1150000},"29":{"costs":{"food":1150000,"metal":1150000,"wood":1150000,"energy":1150000,"tech":500000,"pure":5},"requirements":["Level 29 Geothermal Plant"],"upgrade_time":1600000},"30":{"costs":{"food":1400000,"metal":1400000,"wood":1400000,"energy":1400000,"tech":600000,"pure":10},"requirements":["Level 30 Geothermal Plant"],"upgrade_time":2250000},"31":{"costs":{"food":1700000,"metal":1700000,"wood":1700000,"energy":1700000,"tech":750000,"pure":15},"requirements":["Level 31 Geothermal Plant"],"upgrade_time":3250000},"32":{"costs":{"food":2000000,"metal":2000000,"wood":2000000,"energy":2000000,"tech":1000000,"pure":25},"requirements":["Level 32 Geothermal Plant"],"upgrade_time":5500000}}},"Sector Alpha":{"name":"Sector Alpha","meta":{"category":"territory","icon":"🗺️","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"upgrade_time":2}}},"Sector Bravo":{"name":"Sector Bravo","meta":{"category":"territory","icon":"🗺️","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"requirements":["Level 2 Headquarters","Level 1 Research Lab"],"upgrade_time":2}}},"Sector Delta":{"name":"Sector Delta","meta":{"category":"territory","icon":"🗺️","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"requirements":["Level 3 Headquarters","Level 1 Farm"],"upgrade_time":2}}},"Sector Gamma":{"name":"Sector Gamma","meta":{"category":"territory","icon":"🗺️","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"requirements":["Level 9 Headquarters","Level 6 Factory","Level 4 Recovery Center","Level 1 Geothermal Plant"],"upgrade_time":2}}},"Sector Sigma":{"name":"Sector Sigma","meta":{"category":"territory","icon":"🗺️","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"requirements":["Level 6 Headquarters","Level 1 Farm"],"upgrade_time":2}}},"Sector Tango":{"name":"Sector Tango","meta":{"category":"territory","icon":"🗺️","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"requirements":["Level 4 Headquarters","Level 1 Lumberyard"],"upgrade_time":2}}},"Sector Theta":{"name":"Sector Theta","meta":{"category":"territory","icon":"🗺️","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"requirements":["Level 10 Headquarters","Level 8 Monster Biodome","Level 7 Alliance Hall","Level 5 Salvage Drop","Level 1 Lumberyard"],"upgrade_time":2}}},"Sector Zeta":{"name":"Sector Zeta","meta":{"category":"territory","icon":"🗺️","minLevel":1,"maxLevel":2,"unlockable":true},"levels":{"2":{"requirements":["Level 12 Headquarters","Level 10 Barracks","Level 8 Garrison","Level 8 Bunker","Level 6 Training Camp","Level 1 Steel Works"],"upgrade_time":2}}},"Steel Works":{"name":"Steel Works","meta":{"category":"economy","icon":"⚙️","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"food":75,"wood":75,"energy":75},"requirements":["Level 1 Headquarters"],"upgrade_time":30},"2":{"costs":{"food":150,"wood":150,"energy":150},"requirements":["Level 2 Headquarters"],"upgrade_time":125},"3":{"costs":{"food":250,"wood":250,"energy":250},"requirements":["Level 3 Headquarters"],"upgrade_time":192},"4":{"costs":{"food":400,"wood":400,"energy":400},"requirements":["Level 4 Headquarters"],"upgrade_time":325},"5":{"costs":{"food":600,"wood":600,"energy":600},"requirements":["Level 5 Headquarters"],"upgrade_time":575},"6":{"costs":{"food":1000,"wood":1000,"energy":1000},"requirements":["Level 6 Headquarters"],"upgrade_time":1200},"7":{"costs":{"food":2000,"wood":2000,"energy":2000},"requirements":["Level 7 Headquarters"],"upgrade_time":3000},"8":{"costs":{"food":4000,"wood":4000,"energy":4000},"requirements":["Level 8 Headquarters"],"upgrade_time":6000},"9":{"costs":{"food":10000,"wood":10000,"energy":10000},"requirements":["Level 9 Headquarters"],"upgrade_time":9000},"10":{"costs":{"food":15000,"wood":15000,"energy":15000},"requirements":["Level 10 Headquarters"],"upgrade_time":16000},"11":{"costs":{"food":25000,"wood":25000,"energy":25000},"requirements":["Level 11 Headquarters"],"upgrade_time":21000},"12":{"costs":{"food":35000,"wood":35000,"energy":35000},"requirements":["Level 12 Headquarters"],"upgrade_time":23500},"13":{"costs":{"food":50000,"wood":50000,"energy":50000},"requirements":["Level 13 Headquarters"],"upgrade_time":33500},"14":{"costs":{"food":70000,"wood":70000,"energy":70000},"requirements":["Level 14 Headquarters"],"upgrade_time":53500},"15":{"costs":{"food":90000,"wood":90000,"energy":90000},"requirements":["Level 15 Headquarters"],"upgrade_time":67500},"16":{"costs":{"food":125000,"wood":125000,"energy":125000},"requirements":["Level 16 Headquarters"],"upgrade_time":87500},"17":{"costs":{"food":175000,"wood":175000,"energy":175000},"requirements":["Level 17 Headquarters"],"upgrade_time":200000},"18":{"costs":{"food":250000,"wood":250000,"energy":250000},"requirements":["Level 18 Headquarters"],"upgrade_time":287500},"19":{"costs":{"food":350000,"wood":350000,"energy":350000},"requirements":["Level 19 Headquarters"],"upgrade_time":468750},"20":{"costs":{"food":450000,"wood":450000,"energy":450000},"requirements":["Level 20 Headquarters"],"upgrade_time":865000},"21":{"costs":{"food":450000,"wood":450000,"energy":450000},"requirements":["Level 21 Headquarters"],"upgrade_time":865000},"22":{"costs":{"food":650000,"wood":650000,"energy":650000},"requirements":["Level 22 Headquarters"],"upgrade_time":1470000},"23":{"costs":{"food":750000,"wood":750000,"energy":750000},"requirements":["Level 23 Headquarters"],"upgrade_time":2000000},"24":{"costs":{"food":1000000,"wood":1000000,"energy":1000000},"requirements":["Level 24 Headquarters"],"upgrade_time":2310000},"25":{"costs":{"food":1250000,"wood":1250000,"energy":1250000},"requirements":["Level 25 Headquarters"],"upgrade_time":2587500},"26":{"costs":{"food":1500000,"wood":1500000,"energy":1500000},"requirements":["Level 26 Headquarters"],"upgrade_time":3150000},"27":{"costs":{"food":1750000,"wood":1750000,"energy":1750000,"tech":100000},"requirements":["Level 27 Headquarters"],"upgrade_time":3650000},"28":{"costs":{"food":2500000,"wood":2500000,"energy":2500000,"tech":250000,"pure":2},"requirements":["Level 28 Headquarters"],"upgrade_time":5000000},"29":{"costs":{"food":4250000,"wood":4250000,"energy":4250000,"tech":500000,"pure":5},"requirements":["Level 29 Headquarters"],"upgrade_time":10400000},"30":{"costs":{"food":6000000,"wood":6000000,"energy":6000000,"tech":1000000,"pure":10},"requirements":["Level 30 Headquarters"],"upgrade_time":18000000},"31":{"costs":{"food":8500000,"wood":8500000,"energy":8500000,"tech":2000000,"pure":15},"requirements":["Level 31 Headquarters"],"upgrade_time":24000000},"32":{"costs":{"food":12000000,"wood":12000000,"energy":12000000,"tech":5000000,"pure":25},"requirements":["Level 32 Headquarters"],"upgrade_time":30000000},"33":{"costs":{"food":16500000,"wood":16500000,"energy":16500000,"tech":10000000,"pure":35},"requirements":["Level 33 Headquarters"],"upgrade_time":36000000},"34":{"costs":{"food":22000000,"wood":22000000,"energy":22000000,"tech":20000000,"pure":50},"requirements":["Level 34 Headquarters"],"upgrade_time":42000000},"35":{"costs":{"food":28500000,"wood":28500000,"energy":28500000,"tech":40000000,"pure":70},"requirements":["Level 35 Headquarters"],"upgrade_time":48000000}}},"Training Camp":{"name":"Training Camp","meta":{"category":"military","icon":"🎯","minLevel":1,"maxLevel":32,"unlockable":false},"levels":{"1":{"costs":{"food":240,"metal":150,"wood":150,"energy":150},"requirements":["Level 1 Barracks"],"upgrade_time":30},"2":{"costs":{"food":360,"metal":250,"wood":250,"energy":250},"requirements":["Level 2 Barracks"],"upgrade_time":75},"3":{"costs":{"food":600,"metal":400,"wood":400,"energy":400},"requirements":["Level 3 Barracks"],"upgrade_time":125},"4":{"costs":{"food":1200,"metal":800,"wood":800,"energy":800},"requirements":["Level 4 Barracks"],"upgrade_time":300},"5":{"costs":{"food":1800,"metal":1200,"wood":1200,"energy":1200},"requirements":["Level 5 Barracks"],"upgrade_time":600},"6":{"costs":{"food":3600,"metal":2400,"wood":2400,"energy":2400,"tech":1920},"requirements":["Level 6 Barracks"],"upgrade_time":1200},"7":{"costs":{"food":7500,"metal":5000,"wood":5000,"energy":5000,"tech":4000},"requirements":["Level 7 Barracks"],"upgrade_time":1800},"8":{"costs":{"food":15000,"metal":10000,"wood":10000,"energy":10000,"tech":8000},"requirements":["Level 8 Barracks"],"upgrade_time":4000},"9":{"costs":{"food":27500,"metal":17500,"wood":17500,"energy":17500,"tech":12500},"requirements":["Level 9 Barracks"],"upgrade_time":6750},"10":{"costs":{"food":50000,"metal":32500,"wood":32500,"energy":32500,"tech":25000},"requirements":["Level 10 Barracks"],"upgrade_time":13250},"11":{"costs":{"food":80000,"metal":52500,"wood":52500,"energy":52500,"tech":42500},"requirements":["Level 11 Barracks"],"upgrade_time":20000},"12":{"costs":{"food":115500,"metal":75000,"wood":75000,"energy":75000,"tech":60000},"requirements":["Level 12 Barracks"],"upgrade_time":27500},"13":{"costs":{"food":157500,"metal":100000,"wood":100000,"energy":100000,"tech":80000},"requirements":["Level 13 Barracks"],"upgrade_time":41250},"14":{"costs":{"food":245000,"metal":150000,"wood":150000,"energy":150000,"tech":120000},"requirements":["Level 14 Barracks"],"upgrade_time":60000},"15":{"costs":{"food":350000,"metal":225000,"wood":225000,"energy":225000,"tech":180000,"experimental":15},"requirements":["Level 15 Barracks"],"upgrade_time":80000},"16":{"costs":{"food":550000,"metal":350000,"wood":350000,"energy":350000,"tech":280000,"experimental":20},"requirements":["Level 16 Barracks"],"upgrade_time":100000},"17":{"costs":{"food":800000,"metal":500000,"wood":500000,"energy":500000,"tech":400000,"experimental":25},"requirements":["Level 17 Barracks"],"upgrade_time":150000},"18":{"costs":{"food":1200000,"metal":800000,"wood":800000,"energy":800000,"tech":650000,"experimental":30},"requirements":["Level 18 Barracks"],"upgrade_time":200000},"19":{"costs":{"food":1800000,"metal":1200000,"wood":1200000,"energy":1200000,"tech":950000,"experimental":40},"requirements":["Level 19 Barracks"],"upgrade_time":325000},"20":{"costs":{"food":2400000,"metal":1600000,"wood":1600000,"energy":1600000,"tech":1275000,"experimental":50},"requirements":["Level 20 Barracks"],"upgrade_time":500000},"21":{"costs":{"food":3000000,"metal":2000000,"wood":2000000,"energy":2000000,"tech":1600000,"experimental":60},"requirements":["Level 21 Barracks"],"upgrade_time":675000},"22":{"costs":{"food":3600000,"metal":2375000,"wood":2375000,"energy":2375000,"tech":1900000,"experimental":75},"requirements":["Level 22 Barracks"],"upgrade_time":925000},"23":{"costs":{"food":4400000,"metal":3000000,"wood":3000000,"energy":3000000,"tech":2400000,"experimental":90},"requirements":["Level 23 Barracks"],"upgrade_time":1400000},"24":{"costs":{"food":5500000,"metal":3600000,"wood":3600000,"energy":3600000,"tech":2850000,"experimental":105},"requirements":["Level 24 Barracks"],"upgrade_time":1700000},"25":{"costs":{"food":6375000,"metal":4200000,"wood":4200000,"energy":4200000,"tech":3250000,"experimental":120},"requirements":["Level 25 Barracks"],"upgrade_time":2000000},"26":{"costs":{"food":7250000,"metal":4800000,"wood":4800000,"energy":4800000,"tech":3750000,"experimental":150},"requirements":["Level 26 Barracks"],"upgrade_time":2600000},"27":{"costs":{"food":8500000,"metal":5600000,"wood":5600000,"energy":5600000,"tech":4500000,"experimental":175},"requirements":["Level 27 Barracks"],"upgrade_time":3600000},"28":{"costs":{"food":12750000,"metal":8250000,"wood":8250000,"energy":8250000,"tech":6500000,"experimental":200,"pure":2},"requirements":["Level 28 Barracks"],"upgrade_time":4400000},"29":{"costs":{"food":17750000,"metal":11725000,"wood":11725000,"energy":11725000,"tech":9500000,"experimental":250,"pure":5},"requirements":["Level 29 Barracks"],"upgrade_time":8250000},"30":{"costs":{"food":23500000,"metal":15500000,"wood":15500000,"energy":15500000,"tech":12500000,"experimental":325,"pure":10},"requirements":["Level 30 Barracks"],"upgrade_time":14500000},"31":{"costs":{"food":30000000,"metal":20000000,"wood":20000000,"energy":20000000,"tech":16000000,"experimental":450,"pure":15},"requirements":["Level 31 Barracks"],"upgrade_time":21500000},"32":{"costs":{"food":40000000,"metal":27500000,"wood":27500000,"energy":27500000,"tech":22000000,"experimental":600,"pure":25},"requirements":["Level 32 Barracks"],"upgrade_time":28000000}}},"Walls":{"name":"Walls","meta":{"category":"military","icon":"🧱","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"food":75,"metal":400,"wood":200,"energy":400},"upgrade_time":20},"2":{"costs":{"food":600,"metal":1200,"wood":1750,"energy":1200},"requirements":["Level 2 Headquarters","Level 1 Monster Biodome"],"upgrade_time":96},"3":{"costs":{"food":1200,"metal":2000,"wood":2750,"energy":2000},"requirements":["Level 3 Steel Works"],"upgrade_time":240},"4":{"costs":{"food":2000,"metal":3750,"wood":5000,"energy":3750},"requirements":["Level 4 Steel Works"],"upgrade_time":360},"5":{"costs":{"food":3000,"metal":6000,"wood":10000,"energy":6000},"requirements":["Level 5 Steel Works"],"upgrade_time":780},"6":{"costs":{"food":6000,"metal":12500,"wood":20000,"energy":12500,"tech":5000},"requirements":["Level 6 Steel Works","Level 1 Factory"],"upgrade_time":1620},"7":{"costs":{"food":12000,"metal":27500,"wood":40000,"energy":27500,"tech":10000},"requirements":["Level 7 Steel Works"],"upgrade_time":3840},"8":{"costs":{"food":26000,"metal":60000,"wood":90000,"energy":60000,"tech":20000},"requirements":["Level 8 Steel Works"],"upgrade_time":8640},"9":{"costs":{"food":50000,"metal":125000,"wood":150000,"energy":125000,"tech":35000},"requirements":["Level 9 Steel Works"],"upgrade_time":19200},"10":{"costs":{"food":80000,"metal":195000,"wood":250000,"energy":195000,"tech":50000},"requirements":["Level 10 Steel Works"],"upgrade_time":33600},"11":{"costs":{"food":120000,"metal":275000,"wood":350000,"energy":275000,"tech":75000},"requirements":["Level 11 Steel Works"],"upgrade_time":43350},"12":{"costs":{"food":180000,"metal":350000,"wood":450000,"energy":350000,"tech":100000},"requirements":["Level 12 Steel Works"],"upgrade_time":61200},"13":{"costs":{"food":275000,"metal":550000,"wood":700000,"energy":550000,"tech":200000},"requirements":["Level 13 Steel Works"],"upgrade_time":81600},"14":{"costs":{"food":400000,"metal":800000,"wood":1000000,"energy":800000,"tech":400000},"requirements":["Level 14 Steel Works"],"upgrade_time":91800},"15":{"costs":{"food":600000,"metal":1200000,"wood":1500000,"energy":1200000,"tech":600000},"requirements":["Level 15 Steel Works"],"upgrade_time":102000},"16":{"costs":{"food":850000,"metal":1750000,"wood":2250000,"energy":1750000,"tech":800000},"requirements":["Level 16 Steel Works"],"upgrade_time":127500},"17":{"costs":{"food":1250000,"metal":2250000,"wood":3000000,"energy":2250000,"tech":1000000},"requirements":["Level 17 Steel Works"],"upgrade_time":204000},"18":{"costs":{"food":1750000,"metal":2750000,"wood":3750000,"energy":2750000,"tech":1500000},"requirements":["Level 18 Steel Works"],"upgrade_time":357000},"19":{"costs":{"food":2750000,"metal":3500000,"wood":4500000,"energy":3500000,"tech":2000000},"requirements":["Level 19 Steel Works"],"upgrade_time":663000},"20":{"costs":{"food":3750000,"metal":4250000,"wood":5250000,"energy":4250000,"tech":2500000},"requirements":["Level 20 Steel Works"],"upgrade_time":1020000},"21":{"costs":{"food":4500000,"metal":5000000,"wood":6000000,"energy":5000000,"tech":3000000},"requirements":["Level 21 Steel Works"],"upgrade_time":1555200},"22":{"costs":{"food":5250000,"metal":5750000,"wood":7000000,"energy":5750000,"tech":3500000},"requirements":["Level 22 Steel Works"],"upgrade_time":1944000},"23":{"costs":{"food":6000000,"metal":6500000,"wood":8000000,"energy":6500000,"tech":4000000},"requirements":["Level 23 Steel Works"],"upgrade_time":2332800},"24":{"costs":{"food":6750000,"metal":7250000,"wood":9000000,"energy":7250000,"tech":4500000},"requirements":["Level 24 Steel Works"],"upgrade_time":3024000},"25":{"costs":{"food":7500000,"metal":8000000,"wood":10000000,"energy":8000000,"tech":5000000},"requirements":["Level 25 Steel Works"],"upgrade_time":3456000},"26":{"costs":{"food":8250000,"metal":10000000,"wood":12500000,"energy":10000000,"tech":6000000},"requirements":["Level 26 Steel Works"],"upgrade_time":4320000},"27":{"costs":{"food":9000000,"metal":12500000,"wood":15000000,"energy":12500000,"tech":7500000},"requirements":["Level 27 Steel Works"],"upgrade_time":5184000},"28":{"costs":{"food":12500000,"metal":18500000,"wood":22000000,"energy":18500000,"tech":10000000,"pure":2},"requirements":["Level 28 Steel Works"],"upgrade_time":7603200},"29":{"costs":{"food":18000000,"metal":26250000,"wood":30000000,"energy":26250000,"tech":15000000,"pure":5},"requirements":["Level 29 Steel Works"],"upgrade_time":14256000},"30":{"costs":{"food":30000000,"metal":40000000,"wood":50000000,"energy":40000000,"tech":22500000,"pure":10},"requirements":["Level 30 Steel Works"],"upgrade_time":22809600},"31":{"costs":{"food":45000000,"metal":60000000,"wood":75000000,"energy":60000000,"tech":32500000,"pure":15},"requirements":["Level 31 Steel Works"],"upgrade_time":32348160},"32":{"costs":{"food":65000000,"metal":85000000,"wood":110000000,"energy":85000000,"tech":42500000,"pure":25},"requirements":["Level 32 Steel Works"],"upgrade_time":42052608},"33":{"costs":{"food":90000000,"metal":115000000,"wood":155000000,"energy":115000000,"tech":57500000,"pure":35},"requirements":["Level 33 Steel Works","Level 32 Salvage Drop"],"upgrade_time":54684672},"34":{"costs":{"food":122500000,"metal":152500000,"wood":210000000,"energy":152500000,"tech":75000000,"pure":50},"requirements":["Level 34 Steel Works","Level 32 Training Camp"],"upgrade_time":71090073},"35":{"costs":{"food":162500000,"metal":197500000,"wood":275000000,"energy":197500000,"tech":95000000,"pure":70},"requirements":["Level 35 Steel Works","Level 32 Garrison"],"upgrade_time":92417095}}},"Warehouse":{"name":"Warehouse","meta":{"category":"core","icon":"📦","minLevel":1,"maxLevel":35,"unlockable":false},"levels":{"1":{"costs":{"food":200,"metal":250,"wood":250,"energy":200},"requirements":["Level 1 Geothermal Plant"],"upgrade_time":30},"2":{"costs":{"food":400,"metal":500,"wood":500,"energy":400},"requirements":["Level 2 Geothermal Plant"],"upgrade_time":75},"3":{"costs":{"food":700,"metal":1000,"wood":1000,"energy":700},"requirements":["Level 3 Geothermal Plant"],"upgrade_time":150},"4":{"costs":{"food":1000,"metal":1500,"wood":1500,"energy":1000},"requirements":["Level 4 Geothermal Plant"],"upgrade_time":300},"5":{"costs":{"food":2000,"metal":3000,"wood":3000,"energy":2000,"tech":1000},"requirements":["Level 5 Geothermal Plant"],"upgrade_time":420},"6":{"costs":{"food":3500,"metal":6000,"wood":6000,"energy":3500,"tech":2000},"requirements":["Level 6 Geothermal Plant"],"upgrade_time":900},"7":{"costs":{"food":7000,"metal":12000,"wood":12000,"energy":7000,"tech":3500},"requirements":["Level 7 Geothermal Plant"],"upgrade_time":1800},"8":{"costs":{"food":10000,"metal":15000,"wood":15000,"energy":10000,"tech":7500},"requirements":["Level 8 Geothermal Plant"],"upgrade_time":3500},"9":{"costs":{"food":15000,"metal":25000,"wood":25000,"energy":15000,"tech":15000},"requirements":["Level 9 Geothermal Plant"],"upgrade_time":6000},"10":{"costs":{"food":30000,"metal":50000,"wood":50000,"energy":30000,"tech":25000},"requirements":["Level 10 Geothermal Plant"],"upgrade_time":12000},"11":{"costs":{"food":60000,"metal":100000,"wood":100000,"energy":60000,"tech":50000},"requirements":["Level 11 Geothermal Plant"],"upgrade_time":18000},"12":{"costs":{"food":125000,"metal":200000,"wood":200000,"energy":125000,"tech":100000},"requirements":["Level 12 Geothermal Plant"],"upgrade_time":30000},"13":{"costs":{"food":250000,"metal":350000,"wood":350000,"energy":250000,"tech":200000},"requirements":["Level 13 Geothermal Plant"],"upgrade_time":42500},"14":{"costs":{"food":400000,"metal":550000,"wood":550000,"energy":400000,"tech":300000},"requirements":["Level 14 Geothermal Plant"],"upgrade_time":67500},"15":{"costs":{"food":500000,"metal":700000,"wood":700000,"energy":500000,"tech":400000},"requirements":["Level 15 Geothermal Plant"],"upgrade_time":95000},"16":{"costs":{"food":600000,"metal":1000000,"wood":1000000,"energy":600000,"tech":500000},"requirements":["Level 16 Geothermal Plant"],"upgrade_time":127500},"17":{"costs":{"food":800000,"metal":1200000,"wood":1200000,"energy":800000,"tech":600000},"requirements":["Level 17 Geothermal Plant"],"upgrade_time":175000},"18":{"costs":{"food":1000000,"metal":1500000,"wood":1500000,"energy":1000000,"tech":800000},"requirements":["Level 18 Geothermal Plant"],"upgrade_time":240000},"19":{"costs":{"food":1300000,"metal":2000000,"wood":2000000,"energy":1300000,"tech":1000000},"requirements":["Level 19 Geothermal Plant"],"upgrade_time":295000},"20":{"costs":{"food":1500000,"metal":2500000,"wood":2500000,"energy":1500000,"tech":1250000},"requirements":["Level 20 Geothermal Plant"],"upgrade_time":375000},"21":{"costs":{"food":2000000,"metal":3250000,"wood":3250000,"energy":2000000,"tech":1500000},"requirements":["Level 21 Geothermal Plant"],"upgrade_time":475000},"22":{"costs":{"food":2500000,"metal":4000000,"wood":4000000,"energy":2500000,"tech":2000000},"requirements":["Level 22 Geothermal Plant"],"upgrade_time":700000},"23":{"costs":{"food":3000000,"metal":4750000,"wood":4750000,"energy":3000000,"tech":2500000},"requirements":["Level 23 Geothermal Plant"],"upgrade_time":1250000},"24":{"costs":{"food":3500000,"metal":5500000,"wood":5500000,"energy":3500000,"tech":3000000},"requirements":["Level 24 Geothermal Plant"],"upgrade_time":1750000},"25":{"costs":{"food":4000000,"metal":6500000,"wood":6500000,"energy":4000000,"tech":3500000},"requirements":["Level 25 Geothermal Plant"],"upgrade_time":2250000},"26":{"costs":{"food":4500000,"metal":7500000,"wood":7500000,"energy":4500000,"tech":4000000},"requirements":["Level 26 Geothermal Plant"],"upgrade_time":2750000},"27":{"costs":{"food":5000000,"metal":8500000,"wood":8500000,"energy":5000000,"tech":4500000},"requirements":["Level 27 Geothermal Plant"],"upgrade_time":3350000},"28":{"costs":{"food":7500000,"metal":12500000,"wood":12500000,"energy":7500000,"tech":6250000,"pure":2},"requirements":["Level 28 Geothermal Plant"],"upgrade_time":4750000},"29":{"costs":{"food":11250000,"metal":18750000,"wood":18750000,"energy":11250000,"tech":9000000,"pure":5},"requirements":["Level 29 Geothermal Plant"],"upgrade_time":8750000},"30":{"costs":{"food":20000000,"metal":30000000,"wood":30000000,"energy":20000000,"tech":15000000,"pure":10},"requirements":["Level 30 Geothermal Plant"],"upgrade_time":13750000},"31":{"costs":{"food":30000000,"metal":45000000,"wood":45000000,"energy":30000000,"tech":22500000,"pure":15},"requirements":["Level 31 Geothermal Plant"],"upgrade_time":19750000},"32":{"costs":{"food":45000000,"metal":65000000,"wood":65000000,"energy":45000000,"tech":35000000,"pure":25},"requirements":["Level 32 Geothermal Plant"],"upgrade_time":23750000},"33":{"costs":{"food":62500000,"metal":87500000,"wood":87500000,"energy":62500000,"tech":50000000,"pure":35},"requirements":["Level 33 Geothermal Plant"],"upgrade_time":28750000},"34":{"costs":{"food":82500000,"metal":112500000,"wood":112500000,"energy":82500000,"tech":67500000,"pure":50},"requirements":["Level 34 Geothermal Plant"],"upgrade_time":33750000},"35":{"costs":{"food":105000000,"metal":140000000,"wood":140000000,"energy":105000000,"tech":87500000,"pure":70},"requirements":["Level 35 Geothermal Plant"],"upgrade_time":38750000}}}}};
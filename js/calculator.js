@@ -7,6 +7,182 @@
 const CalculatorModule = (function () {
     'use strict';
 
+    /**
+     * Known resource types in display order
+     * Primary resources are always shown in cost summaries, the others only
+     * when a result actually uses them
+     */
+    const RESOURCE_TYPES = [
+        { key: 'food', name: 'Food', icon: '🍖', primary: true },
+        { key: 'metal', name: 'Metal', icon: '🔩', primary: true },
+        { key: 'wood', name: 'Wood', icon: '🪵', primary: true },
+        { key: 'energy', name: 'Energy', icon: '⚡', primary: true },
+        { key: 'tech', name: 'Tech', icon: '💾', primary: true },
+        { key: 'pure', name: 'Pure', icon: '💎', primary: false },
+        { key: 'experimental', name: 'Experimental', icon: '🧪', primary: false }
+    ];
+
+    /**
+     * Get display information for a resource
+     * Resources missing from RESOURCE_TYPES get a name derived from their key
+     * @param {string} resource - The resource key
+     * @returns {Object} - Object with key, name, icon and primary flag
+     */
+    function getResourceInfo(resource) {
+        const known = RESOURCE_TYPES.find(type => type.key === resource);
+        if (known) {
+            return known;
+        }
+        return {
+            key: resource,
+            name: resource.charAt(0).toUpperCase() + resource.slice(1),
+            icon: '',
+            primary: false
+        };
+    }
+
+    /**
+     * Get every resource used in the database, in display order
+     * Known resources come first in their declared order, followed by any
+     * unknown resources found in the database sorted by name
+     * @param {Object} structuresData - The structures database
+     * @returns {Array} - Array of resource keys
+     */
+    function getResourceOrder(structuresData = {}) {
+        const order = RESOURCE_TYPES.map(type => type.key);
+        const extra = new Set();
+
+        for (let structure of Object.values(structuresData)) {
+            for (let levelData of Object.values(structure.levels || {})) {
+                for (let resource of Object.keys(levelData.costs || {})) {
+                    if (!order.includes(resource)) {
+                        extra.add(resource);
+                    }
+                }
+            }
+        }
+
+        return order.concat([...extra].sort());
+    }
+
+    /**
+     * Read a database file into its metadata header and structures
+     * Databases from before the header was added are a plain map of structures.
+     *
+     * @param {Object} data - Parsed JSON database
+     * @returns {Object|null} - { meta, structures } where meta has version, date
+     *                          and changelog, or null if invalid
+     */
+    function parseDatabase(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return null;
+        }
+
+        const hasHeader = data.structures && typeof data.structures === 'object';
+        const meta = (hasHeader && data.meta) || {};
+        return {
+            meta: {
+                version: meta.version || null,
+                date: meta.date || null,
+                changelog: Array.isArray(meta.changelog) ? meta.changelog : []
+            },
+            structures: hasHeader ? data.structures : data
+        };
+    }
+
+    /**
+     * Compare two database versions, numbers within them compared as numbers
+     * A missing version counts as older than any version.
+     * @param {string|null} a - First version
+     * @param {string|null} b - Second version
+     * @returns {number} - Negative if a is older, positive if newer, 0 if equal
+     */
+    function compareDatabaseVersions(a, b) {
+        if (!a || !b) {
+            return (a ? 1 : 0) - (b ? 1 : 0);
+        }
+        return String(a).localeCompare(String(b), undefined, { numeric: true });
+    }
+
+    /**
+     * Get a checksum of a database's structures
+     * Two copies of the same data get the same checksum, so it identifies
+     * databases without a version in their header
+     * @param {Object} structuresData - The structures database
+     * @returns {string} - Eight hex digits
+     */
+    function getDatabaseChecksum(structuresData = {}) {
+        // FNV-1a hash of the JSON text
+        const text = JSON.stringify(structuresData);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * List the structure levels that differ between two databases
+     * @param {Object} oldData - The structures database before the update
+     * @param {Object} newData - The structures database after the update
+     * @returns {Array} - Array of { structure, level, change, costs, time, requirements } where
+     *                    change is 'added', 'removed' or 'changed', costs maps each changed
+     *                    resource to { from, to }, time is { from, to } or null and
+     *                    requirements is { added, removed }
+     */
+    function diffDatabases(oldData = {}, newData = {}) {
+        const changes = [];
+        const structures = Array.from(new Set(Object.keys(oldData).concat(Object.keys(newData)))).sort();
+
+        for (let structure of structures) {
+            const oldLevels = (oldData[structure] && oldData[structure].levels) || {};
+            const newLevels = (newData[structure] && newData[structure].levels) || {};
+            const levels = Array.from(new Set(Object.keys(oldLevels).concat(Object.keys(newLevels))))
+                .map(level => parseInt(level))
+                .sort((a, b) => a - b);
+
+            for (let level of levels) {
+                const before = oldLevels[level];
+                const after = newLevels[level];
+                const entry = {
+                    structure: structure,
+                    level: level,
+                    change: !before ? 'added' : (!after ? 'removed' : 'changed'),
+                    costs: {},
+                    time: null,
+                    requirements: { added: [], removed: [] }
+                };
+
+                const oldCosts = (before && before.costs) || {};
+                const newCosts = (after && after.costs) || {};
+                for (let resource of new Set(Object.keys(oldCosts).concat(Object.keys(newCosts)))) {
+                    if ((oldCosts[resource] || 0) !== (newCosts[resource] || 0)) {
+                        entry.costs[resource] = { from: oldCosts[resource] || 0, to: newCosts[resource] || 0 };
+                    }
+                }
+
+                const oldTime = (before && before.upgrade_time) || 0;
+                const newTime = (after && after.upgrade_time) || 0;
+                if (oldTime !== newTime) {
+                    entry.time = { from: oldTime, to: newTime };
+                }
+
+                const oldRequirements = (before && before.requirements) || [];
+                const newRequirements = (after && after.requirements) || [];
+                entry.requirements.added = newRequirements.filter(r => !oldRequirements.includes(r));
+                entry.requirements.removed = oldRequirements.filter(r => !newRequirements.includes(r));
+
+                if (entry.change !== 'changed' || Object.keys(entry.costs).length > 0 || entry.time ||
+                    entry.requirements.added.length > 0 || entry.requirements.removed.length > 0) {
+                    changes.push(entry);
+                }
+            }
+        }
+
+        return changes;
+    }
+
     /**
      * Parse requirement string format "Level X StructureName"
      * @param {string} requirement - The requirement string to parse
@@ -41,161 +217,542 @@ const CalculatorModule = (function () {
     }
 
     /**
-     * Recursively calculate resources and time needed for an upgrade
-     * Handles complex dependency chains and consolidates duplicate dependencies
-     * 
-     * @param {string} structure - The structure to upgrade
-     * @param {number} targetLevel - The target level to upgrade to
-     * @param {number} currentLevel - The current level of the structure
-     * @param {number} constructionSpeedBonus - Construction speed bonus percentage
+     * Default structure categories, used when the database does not define one
+     */
+    const STRUCTURE_CATEGORIES = {
+        'Headquarters': 'core',
+        'Alliance Hall': 'core',
+        'Research Lab': 'core',
+        'Warehouse': 'core',
+        'Farm': 'economy',
+        'Lumberyard': 'economy',
+        'Steel Works': 'economy',
+        'Geothermal Plant': 'economy',
+        'Factory': 'economy',
+        'Salvage Drop': 'economy',
+        'Barracks': 'military',
+        'Bunker': 'military',
+        'Garrison': 'military',
+        'Guard Post': 'military',
+        'Chasers Quarters': 'military',
+        'Training Camp': 'military',
+        'Walls': 'military',
+        'Radar Tower': 'military',
+        'Recovery Bay': 'military',
+        'Recovery Center': 'military',
+        'Monster Biodome': 'military'
+    };
+
+    /**
+     * Order in which structure categories are listed
+     */
+    const CATEGORY_ORDER = ['core', 'economy', 'military', 'territory', 'other'];
+
+    /**
+     * Get the category of a structure
+     * @param {string} structure - The structure name
      * @param {Object} structuresData - The structures database
-     * @param {Object} currentLevels - Current levels of all structures
-     * @param {Set} visited - Set to track already processed dependencies (for deduplication)
-     * @param {Object} visitedLevels - Object to track visited levels
-     * @returns {Object} - Result object with costs, times, and dependencies
+     * @returns {string} - Category key, or 'other' if unknown
      */
-    function calculateResourcesRecursive(
-        structure,
-        targetLevel,
-        currentLevel = null,
-        constructionSpeedBonus = 0,
-        structuresData = {},
-        currentLevels = {},
-        visited = new Set(),
-        visitedLevels = {}
-    ) {
-        // Use the actual current level if not specified
-        if (currentLevel === null) {
-            currentLevel = currentLevels[structure] || 1;
+    function getStructureCategory(structure, structuresData = {}) {
+        const data = structuresData[structure];
+        if (data && data.meta && data.meta.category) {
+            return data.meta.category;
         }
+        if (STRUCTURE_CATEGORIES[structure]) {
+            return STRUCTURE_CATEGORIES[structure];
+        }
+        return /^Sector /.test(structure) || structure === 'Debris' ? 'territory' : 'other';
+    }
 
-        const result = {
-            individualCosts: {},
-            dependencyCosts: {},
-            totalCosts: {},
-            dependencies: [],
-            individualTimes: 0,
-            dependencyTimes: 0,
-            totalTime: 0
+    /**
+     * Get a structure's metadata from its database entry
+     * Databases without a meta section get the category defaults and a level
+     * range taken from the highest defined level
+     * @param {string} structure - The structure name
+     * @param {Object} structuresData - The structures database
+     * @returns {Object} - { category, icon, minLevel, maxLevel, unlockable }
+     */
+    function getStructureInfo(structure, structuresData = {}) {
+        const data = structuresData[structure] || {};
+        const meta = data.meta || {};
+        const definedLevels = Object.keys(data.levels || {}).map(Number).filter(level => level > 0);
+        return {
+            category: getStructureCategory(structure, structuresData),
+            icon: meta.icon || '🏗️',
+            minLevel: parseInt(meta.minLevel) || 1,
+            maxLevel: parseInt(meta.maxLevel) || Math.max(1, ...definedLevels),
+            unlockable: meta.unlockable === true
         };
+    }
 
-        // Check if structure exists
-        if (!structuresData[structure]) {
-            return result;
+    /**
+     * Normalize a construction speed bonus into a bonus model
+     * A plain number is treated as a base bonus that applies to every structure.
+     * Extra bonuses are added to the base and can be limited to one structure or
+     * category, and to a time window (seconds from the start of the plan) that
+     * only applies when upgrades are scheduled. Cost reductions lower resource
+     * costs and can be limited to one resource and to one structure or category.
+     *
+     * @param {number|Object} constructionSpeedBonus - Percentage, or { base, extra: [{ label, bonus, structure, category, start, end }],
+     *                                                 costReductions: [{ label, percent, resource, structure, category }] }
+     * @returns {Object} - Bonus model with base, extra and costReductions
+     */
+    function normalizeSpeedBonus(constructionSpeedBonus = 0) {
+        if (typeof constructionSpeedBonus === 'number') {
+            return { base: constructionSpeedBonus, extra: [], costReductions: [] };
         }
+        return {
+            base: parseFloat(constructionSpeedBonus && constructionSpeedBonus.base) || 0,
+            extra: (constructionSpeedBonus && constructionSpeedBonus.extra) || [],
+            costReductions: (constructionSpeedBonus && constructionSpeedBonus.costReductions) || []
+        };
+    }
 
-        // If target is not higher than current, no upgrade needed
-        if (targetLevel <= currentLevel) {
-            return result;
+    /**
+     * Work out the speed bonus that applies to a structure
+     * @param {number|Object} constructionSpeedBonus - Percentage or bonus model
+     * @param {string} structure - The structure being upgraded
+     * @param {Object} structuresData - The structures database
+     * @param {number|null} atTime - Seconds from the start of the plan, or null when
+     *                               not scheduling (time-limited bonuses are then ignored)
+     * @returns {Object} - { total, sources } where sources lists { label, bonus }
+     */
+    function resolveSpeedBonus(constructionSpeedBonus, structure, structuresData = {}, atTime = null) {
+        const model = normalizeSpeedBonus(constructionSpeedBonus);
+        const category = getStructureCategory(structure, structuresData);
+        const sources = [];
+
+        if (model.base) {
+            sources.push({ label: 'Base', bonus: model.base });
+        }
+
+        for (let entry of model.extra) {
+            if (entry.structure && entry.structure !== structure) {
+                continue;
+            }
+            if (entry.category && entry.category !== category) {
+                continue;
+            }
+            if (entry.start !== undefined || entry.end !== undefined) {
+                const start = entry.start || 0;
+                const end = entry.end !== undefined ? entry.end : Infinity;
+                if (atTime === null || atTime < start || atTime >= end) {
+                    continue;
+                }
+            }
+            sources.push({
+                label: entry.label || entry.structure || entry.category || 'All structures',
+                bonus: parseFloat(entry.bonus) || 0
+            });
         }
 
+        return {
+            total: sources.reduce((sum, source) => sum + source.bonus, 0),
+            sources: sources
+        };
+    }
+
+    /**
+     * Apply a speed bonus percentage to an upgrade time
+     * @param {number} upgradeTime - Upgrade time in seconds without bonuses
+     * @param {number} bonus - Total construction speed bonus percentage
+     * @returns {number} - Upgrade time in seconds
+     */
+    function applySpeedBonus(upgradeTime, bonus) {
         // Convert construction speed bonus from percentage to decimal (e.g., 50% = 0.5)
-        const speedMultiplier = constructionSpeedBonus / 100;
+        return upgradeTime / (1 + bonus / 100);
+    }
 
-        // FIRST PASS: Collect all dependencies across ALL levels being upgraded
-        const allDependencies = {};
-        for (let lvl = currentLevel + 1; lvl <= targetLevel; lvl++) {
-            if (!structuresData[structure].levels[lvl]) {
+    /**
+     * Work out the cost reduction that applies to one resource of a structure
+     * Matching reductions add up, to at most 100%
+     * @param {number|Object} constructionSpeedBonus - Percentage or bonus model
+     * @param {string} structure - The structure being upgraded
+     * @param {string} resource - The resource being paid
+     * @param {Object} structuresData - The structures database
+     * @returns {number} - Total cost reduction percentage
+     */
+    function resolveCostReduction(constructionSpeedBonus, structure, resource, structuresData = {}) {
+        const model = normalizeSpeedBonus(constructionSpeedBonus);
+        let total = 0;
+        for (let entry of model.costReductions) {
+            if (entry.resource && entry.resource !== resource) {
+                continue;
+            }
+            if (entry.structure && entry.structure !== structure) {
+                continue;
+            }
+            if (entry.category && entry.category !== getStructureCategory(structure, structuresData)) {
                 continue;
             }
+            total += parseFloat(entry.percent) || 0;
+        }
+        return Math.min(100, Math.max(0, total));
+    }
+
+    /**
+     * Apply cost reductions to the costs of one level
+     * Like the game, each level's cost is reduced on its own and rounded up to a
+     * whole unit, so summing reduced levels can differ from reducing a total
+     * @param {Object} costs - Map of resource to amount for one level
+     * @param {string} structure - The structure being upgraded
+     * @param {number|Object} constructionSpeedBonus - Percentage or bonus model
+     * @param {Object} structuresData - The structures database
+     * @returns {Object} - Map of resource to reduced amount
+     */
+    function applyCostReductions(costs, structure, constructionSpeedBonus, structuresData = {}) {
+        const reduced = {};
+        for (let [resource, amount] of Object.entries(costs || {})) {
+            const reduction = resolveCostReduction(constructionSpeedBonus, structure, resource, structuresData);
+            reduced[resource] = reduction > 0 ? Math.ceil(amount * (1 - reduction / 100)) : amount;
+        }
+        return reduced;
+    }
+
+    /**
+     * Standard speedup item denominations, largest first
+     */
+    const SPEEDUP_DENOMINATIONS = [
+        { label: '24h', seconds: 86400 },
+        { label: '8h', seconds: 28800 },
+        { label: '1h', seconds: 3600 },
+        { label: '5m', seconds: 300 },
+        { label: '1m', seconds: 60 }
+    ];
+
+    /**
+     * Work out how many speedup items are needed to cut a build time down to a target
+     * Each denomination divides the next larger one, so taking the largest items
+     * first gives the fewest items; any remainder is covered by one more 1m item.
+     * @param {number} totalTime - Build time in seconds
+     * @param {number} targetTime - Desired build time in seconds
+     * @returns {Object} - { needed, covered, items: [{ label, seconds, count }] }
+     */
+    function calculateSpeedups(totalTime, targetTime = 0) {
+        const needed = Math.max(0, Math.ceil(totalTime - targetTime));
+        let remaining = needed;
+        const items = SPEEDUP_DENOMINATIONS.map(denomination => {
+            const count = Math.floor(remaining / denomination.seconds);
+            remaining -= count * denomination.seconds;
+            return { label: denomination.label, seconds: denomination.seconds, count: count };
+        });
+        if (remaining > 0) {
+            items[items.length - 1].count++;
+        }
+
+        return {
+            needed: needed,
+            covered: items.reduce((sum, item) => sum + item.count * item.seconds, 0),
+            items: items.filter(item => item.count > 0)
+        };
+    }
+
+    /**
+     * Collect the requirements of every level in an upgrade range
+     * Keeps only the highest level needed for each required structure
+     * @param {string} structure - The structure being upgraded
+     * @param {number} currentLevel - The level the upgrade starts from
+     * @param {number} targetLevel - The level the upgrade ends at
+     * @param {Object} structuresData - The structures database
+     * @returns {Object} - Map of required structure name to maximum required level
+     */
+    function collectDependencies(structure, currentLevel, targetLevel, structuresData) {
+        const dependencies = {};
+        if (!structuresData[structure]) {
+            return dependencies;
+        }
+
+        const requirements = getLevelRequirements(structure, structuresData);
+        for (let lvl = currentLevel + 1; lvl <= targetLevel; lvl++) {
+            for (let parsed of requirements[lvl] || []) {
+                // Track the maximum level needed for this dependency across all levels
+                if (!dependencies[parsed.structure] || parsed.level > dependencies[parsed.structure]) {
+                    dependencies[parsed.structure] = parsed.level;
+                }
+            }
+        }
+
+        return dependencies;
+    }
+
+    /**
+     * Resolve upgrade targets into the canonical set of upgrades they need
+     * Every structure is planned once, from its current level up to the highest
+     * level anything needs, tracking how far it is already planned. The range is
+     * split into segments at every level that something requires, so a structure
+     * needed at 10 by one branch and at 12 by another is costed as 1 → 10 and
+     * 10 → 12 rather than twice. Totals, trees and graphs are all derived from
+     * this model, so they always agree.
+     *
+     * @param {Array} targets - Array of { structure, level }
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @returns {Object} - { ranges, segments } where ranges maps each structure, in the
+     *                     order it was first needed, to { from, to }, and segments are
+     *                     { id, structure, fromLevel, toLevel, costs, grossCosts, time,
+     *                     speedBonus, bonusSources, target, prerequisites } ordered by
+     *                     structure and level, where costs have cost reductions applied
+     */
+    function resolvePlan(targets, structuresData = {}, currentLevels = {}, constructionSpeedBonus = 0) {
+        const current = (structure) => currentLevels[structure] || 1;
 
-            const levelData = structuresData[structure].levels[lvl];
+        // Collect the levels each structure has to reach, visiting every level's requirements once
+        const neededLevels = {};
+        const plannedTo = {};
+        const queue = [];
+        const need = (structure, level) => {
+            if (!structuresData[structure] || level <= current(structure)) {
+                return;
+            }
+            neededLevels[structure] = neededLevels[structure] || new Set();
+            neededLevels[structure].add(level);
+            queue.push({ structure, level });
+        };
 
-            // Collect requirements for this level
-            if (levelData.requirements) {
-                for (let requirement of levelData.requirements) {
+        for (let target of targets) {
+            need(target.structure, target.level);
+        }
+        while (queue.length > 0) {
+            const { structure, level } = queue.shift();
+            const from = Math.max(plannedTo[structure] || 0, current(structure));
+            for (let lvl = from + 1; lvl <= level; lvl++) {
+                const levelData = structuresData[structure].levels[lvl] || {};
+                for (let requirement of levelData.requirements || []) {
                     const parsed = parseRequirement(requirement);
                     if (parsed) {
-                        // Track the maximum level needed for this dependency across all levels
-                        if (!allDependencies[parsed.structure] || parsed.level > allDependencies[parsed.structure]) {
-                            allDependencies[parsed.structure] = parsed.level;
-                        }
+                        need(parsed.structure, parsed.level);
                     }
                 }
             }
+            plannedTo[structure] = Math.max(plannedTo[structure] || 0, level);
         }
 
-        // SECOND PASS: Calculate costs and time for the main structure
-        for (let lvl = currentLevel + 1; lvl <= targetLevel; lvl++) {
-            if (!structuresData[structure].levels[lvl]) {
-                continue;
+        // One segment per range between needed levels
+        const ranges = {};
+        const segments = [];
+        const segmentLevels = {};
+        for (let [structure, levels] of Object.entries(neededLevels)) {
+            const structureBonus = resolveSpeedBonus(constructionSpeedBonus, structure, structuresData);
+            segmentLevels[structure] = Array.from(levels).sort((a, b) => a - b);
+            ranges[structure] = { from: current(structure), to: plannedTo[structure] };
+
+            let fromLevel = current(structure);
+            for (let toLevel of segmentLevels[structure]) {
+                const segment = {
+                    id: `${structure}@${toLevel}`,
+                    structure: structure,
+                    fromLevel: fromLevel,
+                    toLevel: toLevel,
+                    costs: {},
+                    grossCosts: {},
+                    time: 0,
+                    speedBonus: structureBonus.total,
+                    bonusSources: structureBonus.sources,
+                    target: targets.some(t => t.structure === structure && t.level === toLevel),
+                    prerequisites: []
+                };
+                for (let lvl = fromLevel + 1; lvl <= toLevel; lvl++) {
+                    const levelData = structuresData[structure].levels[lvl] || {};
+                    const reduced = applyCostReductions(levelData.costs, structure, constructionSpeedBonus, structuresData);
+                    for (let [resource, amount] of Object.entries(levelData.costs || {})) {
+                        segment.grossCosts[resource] = (segment.grossCosts[resource] || 0) + amount;
+                        segment.costs[resource] = (segment.costs[resource] || 0) + reduced[resource];
+                    }
+                    segment.time += applySpeedBonus(levelData.upgrade_time || 0, structureBonus.total);
+                }
+                segments.push(segment);
+                fromLevel = toLevel;
             }
+        }
 
-            const levelData = structuresData[structure].levels[lvl];
+        // The segment that covers a given level of a structure
+        const segmentFor = (structure, level) => {
+            const toLevel = (segmentLevels[structure] || []).find(l => l >= level);
+            return toLevel !== undefined ? `${structure}@${toLevel}` : null;
+        };
 
-            // Add this level's individual costs
-            if (levelData.costs) {
-                for (let [resource, amount] of Object.entries(levelData.costs)) {
-                    result.individualCosts[resource] = (result.individualCosts[resource] || 0) + amount;
-                    result.totalCosts[resource] = (result.totalCosts[resource] || 0) + amount;
+        // Only the highest segment of each structure is linked, as it already depends on the lower ones
+        for (let segment of segments) {
+            const highest = {};
+            if (segment.fromLevel > current(segment.structure)) {
+                highest[segment.structure] = segment.fromLevel;
+            }
+            for (let lvl = segment.fromLevel + 1; lvl <= segment.toLevel; lvl++) {
+                const levelData = structuresData[segment.structure].levels[lvl] || {};
+                for (let requirement of levelData.requirements || []) {
+                    const parsed = parseRequirement(requirement);
+                    if (parsed && parsed.structure !== segment.structure && parsed.level > current(parsed.structure)) {
+                        highest[parsed.structure] = Math.max(highest[parsed.structure] || 0, parsed.level);
+                    }
                 }
             }
+            segment.prerequisites = Object.entries(highest)
+                .map(([structure, level]) => segmentFor(structure, level))
+                .filter(Boolean);
+        }
+
+        return { ranges, segments };
+    }
+
+    /**
+     * Total a resolved plan into own costs, dependency costs and a dependency list
+     * @param {Object} plan - Plan from resolvePlan
+     * @param {Array} ownStructures - Structures whose levels count as the target's own
+     * @returns {Object} - Result object with costs, times, and one dependency per structure.
+     *                     grossCosts holds the total before cost reductions
+     */
+    function summarizePlan(plan, ownStructures) {
+        const result = {
+            individualCosts: {},
+            dependencyCosts: {},
+            totalCosts: {},
+            grossCosts: {},
+            dependencies: [],
+            individualTimes: 0,
+            dependencyTimes: 0,
+            totalTime: 0
+        };
+
+        const dependencies = {};
+        for (let segment of plan.segments) {
+            const own = ownStructures.includes(segment.structure);
+            if (!own && !dependencies[segment.structure]) {
+                dependencies[segment.structure] = {
+                    name: segment.structure,
+                    fromLevel: plan.ranges[segment.structure].from,
+                    level: plan.ranges[segment.structure].to,
+                    resources: {},
+                    time: 0,
+                    speedBonus: segment.speedBonus
+                };
+            }
 
-            // Add this level's upgrade time
-            if (levelData.upgrade_time) {
-                const upgradeTime = levelData.upgrade_time / (1 + speedMultiplier);
-                result.individualTimes += upgradeTime;
-                result.totalTime += upgradeTime;
+            for (let [resource, amount] of Object.entries(segment.grossCosts)) {
+                result.grossCosts[resource] = (result.grossCosts[resource] || 0) + amount;
             }
+            for (let [resource, amount] of Object.entries(segment.costs)) {
+                const costs = own ? result.individualCosts : result.dependencyCosts;
+                costs[resource] = (costs[resource] || 0) + amount;
+                result.totalCosts[resource] = (result.totalCosts[resource] || 0) + amount;
+                if (!own) {
+                    dependencies[segment.structure].resources[resource] =
+                        (dependencies[segment.structure].resources[resource] || 0) + amount;
+                }
+            }
+            if (own) {
+                result.individualTimes += segment.time;
+            } else {
+                result.dependencyTimes += segment.time;
+                dependencies[segment.structure].time += segment.time;
+            }
+            result.totalTime += segment.time;
         }
 
-        // THIRD PASS: Process dependencies only once, at their maximum required level
-        for (let [depStructure, maxLevel] of Object.entries(allDependencies)) {
-            const depCurrentLevel = currentLevels[depStructure] || 1;
-
-            // Only process this dependency if it needs to be upgraded
-            // (i.e., required level is higher than current level)
-            if (maxLevel > depCurrentLevel) {
-                const depKey = `${depStructure}-${maxLevel}`;
+        // List dependencies in the order they were first needed
+        result.dependencies = Object.keys(plan.ranges)
+            .filter(structure => dependencies[structure])
+            .map(structure => dependencies[structure]);
 
-                // Check if this dependency has already been calculated
-                if (!visited.has(depKey)) {
-                    visited.add(depKey);
+        return result;
+    }
 
-                    const depResult = calculateResourcesRecursive(
-                        depStructure,
-                        maxLevel,
-                        depCurrentLevel,
-                        constructionSpeedBonus,
-                        structuresData,
-                        currentLevels,
-                        visited,
-                        visitedLevels
-                    );
+    /**
+     * Arrange the segments of a resolved plan as trees, placing every segment once
+     * A segment is shown under the first upgrade that needs it, and lower segments
+     * of the same structure that are not shown elsewhere are merged into the node
+     * that continues them. Root structures are kept out of the branches so they
+     * can be shown at the top level.
+     * @param {Object} plan - Plan from resolvePlan
+     * @param {Array} rootStructures - Structures to start a tree from
+     * @returns {Array} - One tree per root structure that needs an upgrade
+     */
+    function arrangePlanTrees(plan, rootStructures) {
+        const segments = {};
+        for (let segment of plan.segments) {
+            segments[segment.id] = segment;
+        }
+        const placed = new Set();
 
-                    // Add dependency resources
-                    for (let [resource, amount] of Object.entries(depResult.totalCosts)) {
-                        result.dependencyCosts[resource] = (result.dependencyCosts[resource] || 0) + amount;
-                        result.totalCosts[resource] = (result.totalCosts[resource] || 0) + amount;
-                    }
+        const place = (segment) => {
+            const node = {
+                structure: segment.structure,
+                currentLevel: segment.fromLevel,
+                targetLevel: segment.toLevel,
+                costs: Object.assign({}, segment.costs),
+                time: segment.time,
+                speedBonus: segment.speedBonus,
+                bonusSources: segment.bonusSources,
+                children: []
+            };
+            let prerequisites = segment.prerequisites;
+            placed.add(segment.id);
 
-                    // Add dependency times
-                    result.dependencyTimes += depResult.totalTime;
-                    result.totalTime += depResult.totalTime;
+            for (let lower = segments[`${segment.structure}@${node.currentLevel}`]; lower && !placed.has(lower.id);
+                lower = segments[`${segment.structure}@${lower.fromLevel}`]) {
+                placed.add(lower.id);
+                node.currentLevel = lower.fromLevel;
+                for (let [resource, amount] of Object.entries(lower.costs)) {
+                    node.costs[resource] = (node.costs[resource] || 0) + amount;
+                }
+                node.time += lower.time;
+                prerequisites = prerequisites.concat(lower.prerequisites);
+            }
 
-                    // Add to dependency list with level info
-                    result.dependencies.push({
-                        name: depStructure,
-                        level: maxLevel,
-                        resources: depResult.totalCosts,
-                        time: depResult.totalTime
-                    });
+            for (let id of prerequisites) {
+                if (!placed.has(id) && !rootStructures.includes(segments[id].structure)) {
+                    node.children.push(place(segments[id]));
                 }
             }
+            return node;
+        };
+
+        return rootStructures
+            .filter(structure => plan.ranges[structure])
+            .map(structure => place(segments[`${structure}@${plan.ranges[structure].to}`]));
+    }
+
+    /**
+     * Calculate resources and time needed for an upgrade, including every prerequisite
+     * Each prerequisite structure is costed once, up to the highest level anything needs
+     * 
+     * @param {string} structure - The structure to upgrade
+     * @param {number} targetLevel - The target level to upgrade to
+     * @param {number} currentLevel - The current level of the structure
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Object} - Result object with costs, times, and dependencies
+     */
+    function calculateResourcesRecursive(
+        structure,
+        targetLevel,
+        currentLevel = null,
+        constructionSpeedBonus = 0,
+        structuresData = {},
+        currentLevels = {}
+    ) {
+        // Use the actual current level if not specified
+        if (currentLevel === null) {
+            currentLevel = currentLevels[structure] || 1;
         }
 
-        return result;
+        const levels = Object.assign({}, currentLevels, { [structure]: currentLevel });
+        const plan = resolvePlan([{ structure, level: targetLevel }], structuresData, levels, constructionSpeedBonus);
+        return summarizePlan(plan, [structure]);
     }
 
     /**
      * Build a dependency tree for visualization
+     * Uses the same resolved plan as calculateResourcesRecursive, so the costs of
+     * all nodes add up to its totals
      * @param {string} structure - The structure name
      * @param {number} targetLevel - The target level
      * @param {number} currentLevel - The current level
      * @param {Object} structuresData - The structures database
      * @param {Object} currentLevels - Current levels of all structures
-     * @param {number} constructionSpeedBonus - Construction speed bonus percentage
-     * @param {Set} visited - Set to track visited nodes
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
      * @returns {Object} - Tree structure representing dependencies
      */
     function buildDependencyTree(
@@ -204,86 +761,1692 @@ const CalculatorModule = (function () {
         currentLevel = null,
         structuresData = {},
         currentLevels = {},
-        constructionSpeedBonus = 0,
-        visited = new Set()
+        constructionSpeedBonus = 0
     ) {
         if (currentLevel === null) {
             currentLevel = currentLevels[structure] || 1;
         }
 
-        const tree = {
+        const levels = Object.assign({}, currentLevels, { [structure]: currentLevel });
+        const plan = resolvePlan([{ structure, level: targetLevel }], structuresData, levels, constructionSpeedBonus);
+        const trees = arrangePlanTrees(plan, [structure]);
+        if (trees.length > 0) {
+            return trees[0];
+        }
+
+        // No upgrade needed
+        const speedBonus = resolveSpeedBonus(constructionSpeedBonus, structure, structuresData);
+        return {
             structure: structure,
             currentLevel: currentLevel,
             targetLevel: targetLevel,
             costs: {},
             time: 0,
+            speedBonus: speedBonus.total,
+            bonusSources: speedBonus.sources,
             children: []
         };
+    }
 
-        // If no upgrade needed, return empty tree
-        if (targetLevel <= currentLevel) {
-            return tree;
-        }
-
-        // Calculate costs and time for this structure's upgrade
-        const speedMultiplier = constructionSpeedBonus / 100;
-        for (let lvl = currentLevel + 1; lvl <= targetLevel; lvl++) {
-            if (structuresData[structure] && structuresData[structure].levels[lvl]) {
-                const levelData = structuresData[structure].levels[lvl];
-                if (levelData.costs) {
-                    for (let [resource, amount] of Object.entries(levelData.costs)) {
-                        tree.costs[resource] = (tree.costs[resource] || 0) + amount;
-                    }
-                }
-                if (levelData.upgrade_time) {
-                    const adjustedTime = levelData.upgrade_time / (1 + speedMultiplier);
-                    tree.time += adjustedTime;
-                }
+    /**
+     * Parsed requirements of every level of every structure, per database
+     * Databases are not changed once loaded, so the parse is kept for as long as
+     * the database object is in use
+     */
+    const requirementTables = new WeakMap();
 
-                // Process dependencies for this level
-                if (levelData.requirements) {
-                    for (let requirement of levelData.requirements) {
-                        const parsed = parseRequirement(requirement);
-                        if (parsed) {
-                            const depCurrentLevel = currentLevels[parsed.structure] || 1;
-
-                            // Only add to tree if upgrade is needed
-                            if (parsed.level > depCurrentLevel) {
-                                const depKey = `${parsed.structure}-${parsed.level}`;
-
-                                // Check if we haven't already added this exact dependency
-                                const alreadyExists = tree.children.some(child =>
-                                    child.structure === parsed.structure && child.targetLevel === parsed.level
-                                );
-
-                                if (!alreadyExists) {
-                                    const childTree = buildDependencyTree(
-                                        parsed.structure,
-                                        parsed.level,
-                                        depCurrentLevel,
-                                        structuresData,
-                                        currentLevels,
-                                        constructionSpeedBonus,
-                                        new Set(visited)
-                                    );
-                                    tree.children.push(childTree);
-                                }
-                            }
-                        }
-                    }
-                }
+    /**
+     * Get the parsed requirements of each level of a structure
+     * @param {string} structure - The structure name
+     * @param {Object} structuresData - The structures database
+     * @returns {Object} - Map of level to an array of { structure, level }
+     */
+    function getLevelRequirements(structure, structuresData) {
+        if (!requirementTables.has(structuresData)) {
+            requirementTables.set(structuresData, {});
+        }
+        const table = requirementTables.get(structuresData);
+        if (!table[structure]) {
+            table[structure] = {};
+            for (let [level, levelData] of Object.entries(structuresData[structure].levels)) {
+                table[structure][level] = (levelData.requirements || []).map(parseRequirement).filter(Boolean);
             }
         }
+        return table[structure];
+    }
 
-        return tree;
+    // Base states whose results an engine keeps, oldest dropped first
+    const ENGINE_CACHE_STATES = 20;
+
+    /**
+     * Create a calculation engine for repeated queries against one database and bonus model
+     * Each structure's costs and build time are summed once per level, so the
+     * cost of any range of levels is a subtraction, and results are memoized
+     * per base state: the prerequisites of each structure level are resolved
+     * once and reused by every query that needs them. The results are the same
+     * as calculateResourcesRecursive's, except that dependencies can be listed in
+     * another order and build times can differ in the last decimal places. They
+     * are shared between callers, so treat them as read-only.
+     *
+     * @param {Object} structuresData - The structures database
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @returns {Object} - Engine with calculate, resolveRanges, getRangeCosts and clearCache
+     */
+    function createEngine(structuresData = {}, constructionSpeedBonus = 0) {
+        const structureNames = Object.keys(structuresData);
+        const tables = {};
+        let cache = new Map();
+
+        // Running totals up to each level: costs[resource][level], grossCosts[resource][level] and times[level]
+        const getTable = (structure) => {
+            if (!tables[structure]) {
+                const levels = structuresData[structure].levels;
+                const maxLevel = Math.max(0, ...Object.keys(levels).map(Number).filter(Number.isInteger));
+                const resources = new Set();
+                for (let levelData of Object.values(levels)) {
+                    Object.keys(levelData.costs || {}).forEach(resource => resources.add(resource));
+                }
+
+                const table = {
+                    maxLevel: maxLevel,
+                    speedBonus: resolveSpeedBonus(constructionSpeedBonus, structure, structuresData).total,
+                    costs: {},
+                    grossCosts: {},
+                    times: [0]
+                };
+                const reductions = {};
+                for (let resource of resources) {
+                    table.costs[resource] = [0];
+                    table.grossCosts[resource] = [0];
+                    reductions[resource] = resolveCostReduction(constructionSpeedBonus, structure, resource, structuresData);
+                }
+                for (let lvl = 1; lvl <= maxLevel; lvl++) {
+                    const costs = (levels[lvl] || {}).costs || {};
+                    for (let resource of resources) {
+                        // Reduced per level and rounded up, as in applyCostReductions
+                        const amount = costs[resource] || 0;
+                        const reduced = reductions[resource] > 0 ? Math.ceil(amount * (1 - reductions[resource] / 100)) : amount;
+                        table.costs[resource][lvl] = table.costs[resource][lvl - 1] + reduced;
+                        table.grossCosts[resource][lvl] = table.grossCosts[resource][lvl - 1] + amount;
+                    }
+                    table.times[lvl] = table.times[lvl - 1] + ((levels[lvl] || {}).upgrade_time || 0);
+                }
+                tables[structure] = table;
+            }
+            return tables[structure];
+        };
+
+        /**
+         * Costs and build time of upgrading a structure from one level to another
+         * @returns {Object} - { costs, grossCosts, time, speedBonus }
+         */
+        const getRangeCosts = (structure, fromLevel, toLevel) => {
+            const table = getTable(structure);
+            const at = (level) => Math.max(0, Math.min(table.maxLevel, level));
+            const range = { costs: {}, grossCosts: {}, time: 0, speedBonus: table.speedBonus };
+            for (let resource of Object.keys(table.costs)) {
+                const gross = table.grossCosts[resource][at(toLevel)] - table.grossCosts[resource][at(fromLevel)];
+                if (gross > 0) {
+                    range.grossCosts[resource] = gross;
+                    range.costs[resource] = table.costs[resource][at(toLevel)] - table.costs[resource][at(fromLevel)];
+                }
+            }
+            range.time = applySpeedBonus(table.times[at(toLevel)] - table.times[at(fromLevel)], table.speedBonus);
+            return range;
+        };
+
+        /**
+         * Cached closures and results for a base state, keyed by every structure's level
+         */
+        const getStateCache = (currentLevels) => {
+            const state = structureNames.map(name => currentLevels[name] || 1).join(',');
+            if (!cache.has(state)) {
+                if (cache.size >= ENGINE_CACHE_STATES) {
+                    cache.delete(cache.keys().next().value);
+                }
+                cache.set(state, { closures: new Map(), results: new Map() });
+            }
+            return cache.get(state);
+        };
+
+        /**
+         * Every structure level needed to take a structure to a level, itself included
+         * Built from the closure of the level below, so each level's requirements
+         * are resolved once per base state
+         * @returns {Map} - Map of structure name to the highest level needed
+         */
+        const resolveClosure = (structure, level, currentLevels, closures) => {
+            const key = `${structure}@${level}`;
+            if (closures.has(key)) {
+                return closures.get(key);
+            }
+            // A dependency cycle ends here instead of recursing forever
+            closures.set(key, new Map());
+
+            const currentLevel = currentLevels[structure] || 1;
+            const closure = new Map(level - 1 > currentLevel ?
+                resolveClosure(structure, level - 1, currentLevels, closures) : []);
+            closure.set(structure, level);
+            for (let requirement of getLevelRequirements(structure, structuresData)[level] || []) {
+                if (!structuresData[requirement.structure] || requirement.level <= (currentLevels[requirement.structure] || 1)) {
+                    continue;
+                }
+                for (let [name, needed] of resolveClosure(requirement.structure, requirement.level, currentLevels, closures)) {
+                    if (!(closure.get(name) >= needed)) {
+                        closure.set(name, needed);
+                    }
+                }
+            }
+
+            closures.set(key, closure);
+            return closure;
+        };
+
+        /**
+         * The range of levels each structure is planned over, like resolvePlan's ranges
+         * @param {Array} targets - Array of { structure, level }
+         * @param {Object} currentLevels - Current levels of all structures
+         * @returns {Object} - Map of structure, targets first, to { from, to }
+         */
+        const resolveRanges = (targets, currentLevels = {}) => {
+            const closures = getStateCache(currentLevels).closures;
+            const ranges = {};
+            for (let target of targets) {
+                if (!structuresData[target.structure] || target.level <= (currentLevels[target.structure] || 1)) {
+                    continue;
+                }
+                for (let [structure, level] of resolveClosure(target.structure, target.level, currentLevels, closures)) {
+                    if (!ranges[structure]) {
+                        ranges[structure] = { from: currentLevels[structure] || 1, to: level };
+                    }
+                    ranges[structure].to = Math.max(ranges[structure].to, level);
+                }
+            }
+            return ranges;
+        };
+
+        /**
+         * Same as calculateResourcesRecursive with this engine's database and bonus model
+         */
+        const calculate = (structure, targetLevel, currentLevel = null, currentLevels = {}) => {
+            if (currentLevel === null) {
+                currentLevel = currentLevels[structure] || 1;
+            }
+            const levels = (currentLevels[structure] || 1) === currentLevel ?
+                currentLevels : Object.assign({}, currentLevels, { [structure]: currentLevel });
+
+            const results = getStateCache(levels).results;
+            const key = `${structure}@${targetLevel}`;
+            if (results.has(key)) {
+                return results.get(key);
+            }
+
+            const result = {
+                individualCosts: {},
+                dependencyCosts: {},
+                totalCosts: {},
+                grossCosts: {},
+                dependencies: [],
+                individualTimes: 0,
+                dependencyTimes: 0,
+                totalTime: 0
+            };
+            const ranges = resolveRanges([{ structure, level: targetLevel }], levels);
+            for (let [name, range] of Object.entries(ranges)) {
+                const own = name === structure;
+                const rangeCosts = getRangeCosts(name, range.from, range.to);
+
+                for (let [resource, amount] of Object.entries(rangeCosts.grossCosts)) {
+                    result.grossCosts[resource] = (result.grossCosts[resource] || 0) + amount;
+                }
+                for (let [resource, amount] of Object.entries(rangeCosts.costs)) {
+                    const costs = own ? result.individualCosts : result.dependencyCosts;
+                    costs[resource] = (costs[resource] || 0) + amount;
+                    result.totalCosts[resource] = (result.totalCosts[resource] || 0) + amount;
+                }
+                if (own) {
+                    result.individualTimes += rangeCosts.time;
+                } else {
+                    result.dependencyTimes += rangeCosts.time;
+                    result.dependencies.push({
+                        name: name,
+                        fromLevel: range.from,
+                        level: range.to,
+                        resources: rangeCosts.costs,
+                        time: rangeCosts.time,
+                        speedBonus: rangeCosts.speedBonus
+                    });
+                }
+                result.totalTime += rangeCosts.time;
+            }
+
+            results.set(key, result);
+            return result;
+        };
+
+        return {
+            calculate,
+            resolveRanges,
+            getRangeCosts,
+            clearCache: () => {
+                cache = new Map();
+            }
+        };
+    }
+
+    // Engines shared by the bulk queries, per database and bonus model
+    const sharedEngines = new WeakMap();
+    const SHARED_ENGINES_PER_DATABASE = 10;
+
+    /**
+     * Get a shared engine for a database and bonus model, creating it on first use
+     * so that repeated bulk queries reuse its tables and cached results
+     * @param {Object} structuresData - The structures database
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @returns {Object} - Engine from createEngine
+     */
+    function getEngine(structuresData = {}, constructionSpeedBonus = 0) {
+        if (!sharedEngines.has(structuresData)) {
+            sharedEngines.set(structuresData, new Map());
+        }
+        const engines = sharedEngines.get(structuresData);
+        const key = JSON.stringify(normalizeSpeedBonus(constructionSpeedBonus));
+        if (!engines.has(key)) {
+            if (engines.size >= SHARED_ENGINES_PER_DATABASE) {
+                engines.delete(engines.keys().next().value);
+            }
+            engines.set(key, createEngine(structuresData, constructionSpeedBonus));
+        }
+        return engines.get(key);
+    }
+
+    /**
+     * Bulk queries that can run in a Web Worker (js/engine-worker.js), and the
+     * argument that stands in for the database the worker already holds
+     */
+    const WORKER_METHODS = ['findHighestAffordableLevel', 'rankAffordableUpgrades', 'compareUpgradeOptions', 'evaluateRosterGoal'];
+    const WORKER_DATABASE_ARG = '$database';
+
+    /**
+     * Merge plan targets into one target level per structure
+     * Duplicate structures keep their highest level, and a target that another
+     * target requires at a higher level, directly or through its prerequisites,
+     * is raised to that level
+     * @param {Array} targets - Array of { structure, level } objects
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Object} - Map of structure name to merged target level
+     */
+    function mergePlanTargets(targets, structuresData = {}, currentLevels = {}) {
+        const merged = {};
+        for (let target of targets) {
+            if (!structuresData[target.structure]) {
+                continue;
+            }
+            if (!merged[target.structure] || target.level > merged[target.structure]) {
+                merged[target.structure] = target.level;
+            }
+        }
+
+        // Raise targets that the plan needs at a higher level
+        const plan = resolvePlan(targets, structuresData, currentLevels);
+        for (let structure of Object.keys(merged)) {
+            if (plan.ranges[structure] && plan.ranges[structure].to > merged[structure]) {
+                merged[structure] = plan.ranges[structure].to;
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Calculate resources and time for a plan made of several targets
+     * Shared prerequisites are resolved once for the whole plan, at the highest
+     * level any target needs them
+     *
+     * @param {Array} targets - Array of { structure, level } objects
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Object} - Combined result object plus a per-target breakdown in `targets`, where
+     *                     costs and time are what the target would cost on its own, and
+     *                     individualCosts and individualTime its own levels within the plan
+     */
+    function calculatePlan(targets, constructionSpeedBonus = 0, structuresData = {}, currentLevels = {}) {
+        const merged = mergePlanTargets(targets, structuresData, currentLevels);
+        const mergedTargets = Object.entries(merged).map(([structure, level]) => ({ structure, level }));
+        const plan = resolvePlan(mergedTargets, structuresData, currentLevels, constructionSpeedBonus);
+
+        // What each target would cost on its own
+        const result = { targets: [] };
+        for (let { structure, level } of mergedTargets) {
+            const currentLevel = currentLevels[structure] || 1;
+            const standalone = calculateResourcesRecursive(
+                structure,
+                level,
+                currentLevel,
+                constructionSpeedBonus,
+                structuresData,
+                currentLevels
+            );
+            const individualCosts = {};
+            let individualTime = 0;
+            for (let segment of plan.segments.filter(segment => segment.structure === structure)) {
+                for (let [resource, amount] of Object.entries(segment.costs)) {
+                    individualCosts[resource] = (individualCosts[resource] || 0) + amount;
+                }
+                individualTime += segment.time;
+            }
+            result.targets.push({
+                structure: structure,
+                currentLevel: currentLevel,
+                targetLevel: level,
+                costs: standalone.totalCosts,
+                time: standalone.totalTime,
+                individualCosts: individualCosts,
+                individualTime: individualTime
+            });
+        }
+
+        return Object.assign(result, summarizePlan(plan, Object.keys(merged)));
+    }
+
+    /**
+     * Build a single dependency tree for a plan
+     * The root holds one child per target; prerequisites that are themselves
+     * plan targets are shown at the root instead of under each target. Uses the
+     * same resolved plan as calculatePlan, so the costs of all nodes add up to
+     * its totals.
+     * @param {Array} targets - Array of { structure, level } objects
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @returns {Object} - Tree whose root represents the whole plan
+     */
+    function buildPlanTree(targets, structuresData = {}, currentLevels = {}, constructionSpeedBonus = 0) {
+        const merged = mergePlanTargets(targets, structuresData, currentLevels);
+        const mergedTargets = Object.entries(merged).map(([structure, level]) => ({ structure, level }));
+        const plan = resolvePlan(mergedTargets, structuresData, currentLevels, constructionSpeedBonus);
+
+        return {
+            structure: null,
+            currentLevel: 0,
+            targetLevel: 0,
+            costs: {},
+            time: 0,
+            speedBonus: 0,
+            bonusSources: [],
+            children: arrangePlanTrees(plan, Object.keys(merged))
+        };
+    }
+
+    /**
+     * Recalculate a plan against an updated database
+     * @param {Array} targets - Array of { structure, level }
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @param {Object} oldData - The structures database before the update
+     * @param {Object} newData - The structures database after the update
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Object} - { before, after, difference }, each with totalCosts and totalTime
+     */
+    function comparePlanTotals(targets, constructionSpeedBonus, oldData, newData, currentLevels = {}) {
+        const totals = (structuresData) => {
+            const known = targets.filter(target => structuresData[target.structure]);
+            const result = calculatePlan(known, constructionSpeedBonus, structuresData, currentLevels);
+            return { totalCosts: result.totalCosts, totalTime: result.totalTime };
+        };
+
+        const before = totals(oldData);
+        const after = totals(newData);
+        const difference = { totalCosts: {}, totalTime: after.totalTime - before.totalTime };
+        for (let resource of new Set(Object.keys(before.totalCosts).concat(Object.keys(after.totalCosts)))) {
+            difference.totalCosts[resource] = (after.totalCosts[resource] || 0) - (before.totalCosts[resource] || 0);
+        }
+
+        return { before, after, difference };
+    }
+
+    /**
+     * Calculate several scenarios side by side
+     * A scenario is a named set of targets, current levels, bonus model and
+     * builder slots. Deltas are measured against the first scenario, so a
+     * negative delta means the scenario is cheaper or faster than the first.
+     *
+     * @param {Array} scenarios - Array of { name, targets, levels, constructionSpeedBonus, builderSlots }
+     * @param {Object} structuresData - The structures database
+     * @returns {Array} - Array of { name, totalCosts, totalTime, finishTime, costDeltas, timeDelta, finishDelta }
+     *                    where finishTime is the build queue's finish time with the scenario's builder slots
+     */
+    function compareScenarios(scenarios, structuresData = {}) {
+        const results = scenarios.map(scenario => {
+            const targets = (scenario.targets || []).filter(target => structuresData[target.structure]);
+            const levels = scenario.levels || {};
+            const bonus = scenario.constructionSpeedBonus || 0;
+            const result = calculatePlan(targets, bonus, structuresData, levels);
+            const schedule = scheduleUpgrades(
+                buildPlanTree(targets, structuresData, levels, bonus), structuresData, bonus, scenario.builderSlots || 1
+            );
+            return {
+                name: scenario.name,
+                totalCosts: result.totalCosts,
+                totalTime: result.totalTime,
+                finishTime: schedule.totalTime
+            };
+        });
+
+        const baseline = results[0];
+        for (let result of results) {
+            result.costDeltas = {};
+            for (let resource of new Set(Object.keys(baseline.totalCosts).concat(Object.keys(result.totalCosts)))) {
+                result.costDeltas[resource] = (result.totalCosts[resource] || 0) - (baseline.totalCosts[resource] || 0);
+            }
+            result.timeDelta = result.totalTime - baseline.totalTime;
+            result.finishDelta = result.finishTime - baseline.finishTime;
+        }
+
+        return results;
+    }
+
+    /**
+     * Flatten a dependency tree into one level range per structure
+     * @param {Object} tree - Tree from buildDependencyTree or buildPlanTree
+     * @returns {Object} - Map of structure name to { from, to } levels
+     */
+    function flattenDependencyTree(tree) {
+        const ranges = {};
+
+        const visit = (node) => {
+            if (node.structure && node.targetLevel > node.currentLevel) {
+                const range = ranges[node.structure];
+                if (!range) {
+                    ranges[node.structure] = { from: node.currentLevel, to: node.targetLevel };
+                } else {
+                    range.from = Math.min(range.from, node.currentLevel);
+                    range.to = Math.max(range.to, node.targetLevel);
+                }
+            }
+            node.children.forEach(visit);
+        };
+        visit(tree);
+
+        return ranges;
+    }
+
+    /**
+     * Schedule the upgrades in a dependency tree as single-level steps
+     * Steps are ordered so every requirement is finished before a step starts,
+     * and are spread over the given number of parallel builder slots. When
+     * several steps could start, the one with the longest chain of work
+     * behind it goes first. Time-limited speed bonuses apply to steps that
+     * start inside their window.
+     *
+     * @param {Object} tree - Tree from buildDependencyTree or buildPlanTree
+     * @param {Object} structuresData - The structures database
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @param {number} builderSlots - Number of upgrades that can run at the same time
+     * @returns {Object} - { steps, totalTime, sequentialTime, builderSlots }
+     */
+    function scheduleUpgrades(tree, structuresData = {}, constructionSpeedBonus = 0, builderSlots = 1) {
+        const slotCount = Math.max(1, Math.floor(builderSlots) || 1);
+        const ranges = flattenDependencyTree(tree);
+
+        // Create one step per level being upgraded
+        const steps = {};
+        for (let [structure, range] of Object.entries(ranges)) {
+            if (!structuresData[structure]) {
+                continue;
+            }
+            for (let lvl = range.from + 1; lvl <= range.to; lvl++) {
+                const levelData = structuresData[structure].levels[lvl] || {};
+                steps[`${structure}-${lvl}`] = {
+                    structure: structure,
+                    fromLevel: lvl - 1,
+                    toLevel: lvl,
+                    baseTime: levelData.upgrade_time || 0,
+                    time: applySpeedBonus(
+                        levelData.upgrade_time || 0,
+                        resolveSpeedBonus(constructionSpeedBonus, structure, structuresData).total
+                    ),
+                    prerequisites: [],
+                    successors: []
+                };
+            }
+        }
+
+        // Link each step to the previous level and to the steps its requirements need
+        for (let [key, step] of Object.entries(steps)) {
+            const prerequisites = [];
+            if (step.fromLevel > ranges[step.structure].from) {
+                prerequisites.push(`${step.structure}-${step.fromLevel}`);
+            }
+
+            const levelData = structuresData[step.structure].levels[step.toLevel] || {};
+            for (let requirement of levelData.requirements || []) {
+                const parsed = parseRequirement(requirement);
+                if (parsed && steps[`${parsed.structure}-${parsed.level}`]) {
+                    prerequisites.push(`${parsed.structure}-${parsed.level}`);
+                }
+            }
+
+            for (let prerequisite of prerequisites) {
+                step.prerequisites.push(prerequisite);
+                steps[prerequisite].successors.push(key);
+            }
+        }
+
+        // Priority: length of the longest chain of work starting at each step
+        const priorities = {};
+        const getPriority = (key) => {
+            if (priorities[key] === undefined) {
+                priorities[key] = steps[key].time;
+                for (let successor of steps[key].successors) {
+                    priorities[key] = Math.max(priorities[key], steps[key].time + getPriority(successor));
+                }
+            }
+            return priorities[key];
+        };
+
+        const slotFreeAt = new Array(slotCount).fill(0);
+        const remaining = new Set(Object.keys(steps));
+        const scheduled = [];
+        let sequentialTime = 0;
+
+        while (remaining.size > 0) {
+            let best = null;
+            for (let key of remaining) {
+                const step = steps[key];
+                if (!step.prerequisites.every(p => steps[p].end !== undefined)) {
+                    continue;
+                }
+
+                const ready = Math.max(0, ...step.prerequisites.map(p => steps[p].end));
+                const start = Math.max(ready, Math.min(...slotFreeAt));
+                if (!best || start < best.start || (start === best.start && getPriority(key) > getPriority(best.key))) {
+                    best = { key, start };
+                }
+            }
+
+            // Nothing can start: the remaining steps depend on each other
+            if (!best) {
+                break;
+            }
+
+            const step = steps[best.key];
+            const slot = slotFreeAt.indexOf(Math.min(...slotFreeAt));
+            const speedBonus = resolveSpeedBonus(constructionSpeedBonus, step.structure, structuresData, best.start);
+            step.speedBonus = speedBonus.total;
+            step.bonusSources = speedBonus.sources;
+            step.time = applySpeedBonus(step.baseTime, speedBonus.total);
+            step.start = best.start;
+            step.end = best.start + step.time;
+            step.slot = slot;
+            slotFreeAt[slot] = step.end;
+            sequentialTime += step.time;
+
+            remaining.delete(best.key);
+            scheduled.push(step);
+        }
+
+        return {
+            steps: scheduled.map(step => ({
+                structure: step.structure,
+                fromLevel: step.fromLevel,
+                toLevel: step.toLevel,
+                time: step.time,
+                start: step.start,
+                end: step.end,
+                slot: step.slot,
+                speedBonus: step.speedBonus,
+                bonusSources: step.bonusSources
+            })),
+            totalTime: Math.max(0, ...scheduled.map(step => step.end)),
+            sequentialTime: sequentialTime,
+            builderSlots: slotCount
+        };
+    }
+
+    /**
+     * Build a dependency graph for one or more targets
+     * Each node is one segment of the resolved plan (see resolvePlan), so a shared
+     * prerequisite appears once with an edge from each structure that needs it.
+     * Edges point from a node to the nodes that must finish before it can start.
+     *
+     * The critical path is the longest chain of build time through the graph,
+     * i.e. the shortest possible finish time with unlimited builders.
+     *
+     * @param {Array} targets - Array of { structure, level }
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @returns {Object} - { nodes, edges, criticalPath, criticalTime } where nodes are
+     *                     { id, structure, fromLevel, toLevel, costs, time, speedBonus,
+     *                     bonusSources, target, critical } and edges { from, to, critical }
+     */
+    function buildDependencyGraph(targets, structuresData = {}, currentLevels = {}, constructionSpeedBonus = 0) {
+        const plan = resolvePlan(targets, structuresData, currentLevels, constructionSpeedBonus);
+        const nodes = {};
+        for (let segment of plan.segments) {
+            nodes[segment.id] = Object.assign({}, segment, { critical: false });
+        }
+
+        // Longest chain of build time finishing at each node
+        const finish = {};
+        const previous = {};
+        const getFinish = (id) => {
+            if (finish[id] === undefined) {
+                finish[id] = 0;
+                let longest = 0;
+                for (let prerequisite of nodes[id].prerequisites) {
+                    if (getFinish(prerequisite) > longest) {
+                        longest = finish[prerequisite];
+                        previous[id] = prerequisite;
+                    }
+                }
+                finish[id] = longest + nodes[id].time;
+            }
+            return finish[id];
+        };
+
+        let last = null;
+        for (let id of Object.keys(nodes)) {
+            if (last === null || getFinish(id) > finish[last]) {
+                last = id;
+            }
+        }
+
+        const criticalPath = [];
+        for (let id = last; id; id = previous[id]) {
+            criticalPath.unshift(id);
+            nodes[id].critical = true;
+        }
+
+        const edges = [];
+        for (let node of Object.values(nodes)) {
+            for (let prerequisite of node.prerequisites) {
+                edges.push({
+                    from: node.id,
+                    to: prerequisite,
+                    critical: node.critical && previous[node.id] === prerequisite
+                });
+            }
+        }
+
+        return {
+            nodes: Object.values(nodes),
+            edges: edges,
+            criticalPath: criticalPath,
+            criticalTime: last ? finish[last] : 0
+        };
+    }
+
+    /**
+     * Turn a build schedule into a checklist of single-level upgrades
+     * @param {Object} schedule - Schedule from scheduleUpgrades
+     * @param {Object} structuresData - The structures database
+     * @param {number|Object} constructionSpeedBonus - Bonus model whose cost reductions apply to each step
+     * @returns {Array} - Array of { structure, fromLevel, toLevel, costs, time } in build order
+     */
+    function createChecklist(schedule, structuresData = {}, constructionSpeedBonus = 0) {
+        return schedule.steps.map(step => {
+            const levelData = (structuresData[step.structure] && structuresData[step.structure].levels[step.toLevel]) || {};
+            return {
+                structure: step.structure,
+                fromLevel: step.fromLevel,
+                toLevel: step.toLevel,
+                costs: applyCostReductions(levelData.costs, step.structure, constructionSpeedBonus, structuresData),
+                time: step.time
+            };
+        });
+    }
+
+    /**
+     * Work out progress through a checklist
+     * A step counts as done once its structure has reached the step's level.
+     *
+     * @param {Array} steps - Steps from createChecklist
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Object} - { steps (each with done), doneCount, completedCosts, remainingCosts,
+     *                     completedTime, remainingTime, resourcePercent, timePercent }
+     */
+    function getChecklistProgress(steps, currentLevels = {}) {
+        const progress = {
+            steps: [],
+            doneCount: 0,
+            completedCosts: {},
+            remainingCosts: {},
+            completedTime: 0,
+            remainingTime: 0
+        };
+
+        for (let step of steps) {
+            const done = (currentLevels[step.structure] || 1) >= step.toLevel;
+            const costs = done ? progress.completedCosts : progress.remainingCosts;
+            for (let [resource, amount] of Object.entries(step.costs)) {
+                costs[resource] = (costs[resource] || 0) + amount;
+            }
+            if (done) {
+                progress.doneCount++;
+                progress.completedTime += step.time;
+            } else {
+                progress.remainingTime += step.time;
+            }
+            progress.steps.push(Object.assign({}, step, { done }));
+        }
+
+        // Steps without costs or time count as complete when everything is done
+        const percent = (completed, remaining) => {
+            if (completed + remaining > 0) {
+                return completed / (completed + remaining) * 100;
+            }
+            return progress.doneCount === steps.length ? 100 : 0;
+        };
+        const sum = (costs) => Object.values(costs).reduce((total, amount) => total + amount, 0);
+        progress.resourcePercent = percent(sum(progress.completedCosts), sum(progress.remainingCosts));
+        progress.timePercent = percent(progress.completedTime, progress.remainingTime);
+
+        return progress;
+    }
+
+    /**
+     * Work out what was built between two sets of levels
+     * Only levels that went up count; a structure whose level went down is listed
+     * with no costs, so undoing a mistake does not show as negative progress.
+     *
+     * @param {Object} fromLevels - Levels at the start, e.g. a snapshot
+     * @param {Object} toLevels - Levels at the end
+     * @param {Object} structuresData - The structures database
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @returns {Object} - { structures: [{ structure, fromLevel, toLevel, costs, time }], totalCosts, totalTime }
+     */
+    function calculateLevelProgress(fromLevels = {}, toLevels = {}, structuresData = {}, constructionSpeedBonus = 0) {
+        const progress = { structures: [], totalCosts: {}, totalTime: 0 };
+
+        for (let structure of Object.keys(structuresData)) {
+            const fromLevel = fromLevels[structure] || 1;
+            const toLevel = toLevels[structure] || 1;
+            if (fromLevel === toLevel) {
+                continue;
+            }
+
+            const entry = { structure, fromLevel, toLevel, costs: {}, time: 0 };
+            const speedBonus = resolveSpeedBonus(constructionSpeedBonus, structure, structuresData).total;
+            for (let lvl = fromLevel + 1; lvl <= toLevel; lvl++) {
+                const levelData = structuresData[structure].levels[lvl] || {};
+                const costs = applyCostReductions(levelData.costs, structure, constructionSpeedBonus, structuresData);
+                for (let [resource, amount] of Object.entries(costs)) {
+                    entry.costs[resource] = (entry.costs[resource] || 0) + amount;
+                    progress.totalCosts[resource] = (progress.totalCosts[resource] || 0) + amount;
+                }
+                entry.time += applySpeedBonus(levelData.upgrade_time || 0, speedBonus);
+            }
+            progress.totalTime += entry.time;
+            progress.structures.push(entry);
+        }
+
+        return progress;
+    }
+
+    /**
+     * Calculate how much of each resource is missing to pay a cost
+     * @param {Object} costs - Map of resource to amount needed
+     * @param {Object} stock - Map of resource to amount available
+     * @returns {Object} - Map of resource to missing amount (only resources that are short)
+     */
+    function calculateShortfall(costs, stock = {}) {
+        const shortfall = {};
+        for (let [resource, amount] of Object.entries(costs)) {
+            const missing = amount - (stock[resource] || 0);
+            if (missing > 0) {
+                shortfall[resource] = missing;
+            }
+        }
+        return shortfall;
+    }
+
+    /**
+     * Estimate how long until a cost is affordable at the given production rates
+     * @param {Object} costs - Map of resource to amount needed
+     * @param {Object} stock - Map of resource to amount available
+     * @param {Object} productionRates - Map of resource to amount produced per hour
+     * @returns {number} - Seconds until affordable, 0 if affordable now, or Infinity
+     *                     if a missing resource has no production
+     */
+    function estimateTimeToAfford(costs, stock = {}, productionRates = {}) {
+        let seconds = 0;
+        for (let [resource, missing] of Object.entries(calculateShortfall(costs, stock))) {
+            const rate = productionRates[resource] || 0;
+            if (rate <= 0) {
+                return Infinity;
+            }
+            seconds = Math.max(seconds, (missing / rate) * 3600);
+        }
+        return seconds;
+    }
+
+    /**
+     * Check whether the next level of a structure can be started right now
+     * @param {string} structure - The structure to check
+     * @param {number} currentLevel - The structure's current level
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @param {Object} stock - Map of resource to amount available
+     * @param {number|Object} constructionSpeedBonus - Bonus model whose cost reductions apply
+     * @returns {Object} - { status, unmetRequirements, shortfall } where status is
+     *                     'ready', 'short' (requirements met, resources missing),
+     *                     'blocked' (requirements not met) or 'maxed'
+     */
+    function getNextStepStatus(structure, currentLevel, structuresData = {}, currentLevels = {}, stock = {}, constructionSpeedBonus = 0) {
+        const levelData = structuresData[structure] && structuresData[structure].levels[currentLevel + 1];
+        if (!levelData) {
+            return { status: 'maxed', unmetRequirements: [], shortfall: {} };
+        }
+
+        const unmetRequirements = (levelData.requirements || []).filter(requirement => {
+            const parsed = parseRequirement(requirement);
+            return parsed && (currentLevels[parsed.structure] || 1) < parsed.level;
+        });
+        const shortfall = calculateShortfall(
+            applyCostReductions(levelData.costs, structure, constructionSpeedBonus, structuresData), stock
+        );
+
+        let status = 'ready';
+        if (unmetRequirements.length > 0) {
+            status = 'blocked';
+        } else if (Object.keys(shortfall).length > 0) {
+            status = 'short';
+        }
+
+        return { status, unmetRequirements, shortfall };
+    }
+
+    /**
+     * Subtract costs from a budget
+     * @param {Object} budget - Map of resource to amount available
+     * @param {Object} costs - Map of resource to amount spent
+     * @returns {Object} - Map of resource to amount left (can be negative)
+     */
+    function subtractCosts(budget, costs) {
+        const remaining = Object.assign({}, budget);
+        for (let [resource, amount] of Object.entries(costs)) {
+            remaining[resource] = (remaining[resource] || 0) - amount;
+        }
+        return remaining;
+    }
+
+    /**
+     * Find the highest level of a structure whose full cost, including all
+     * dependencies, fits within a budget
+     * Costs only grow with the target level, so the search stops at the first
+     * level that does not fit.
+     *
+     * @param {string} structure - The structure to upgrade
+     * @param {Object} budget - Map of resource to amount available
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Object} - { structure, currentLevel, level, costs, time, remaining, next } where
+     *                     level equals currentLevel if no upgrade fits, and next describes the
+     *                     first level that does not fit ({ level, shortfall }) or is null at max level
+     */
+    function findHighestAffordableLevel(
+        structure,
+        budget = {},
+        constructionSpeedBonus = 0,
+        structuresData = {},
+        currentLevels = {}
+    ) {
+        const currentLevel = currentLevels[structure] || 1;
+        const best = {
+            structure: structure,
+            currentLevel: currentLevel,
+            level: currentLevel,
+            costs: {},
+            time: 0,
+            remaining: Object.assign({}, budget),
+            next: null
+        };
+        if (!structuresData[structure]) {
+            return best;
+        }
+
+        const engine = getEngine(structuresData, constructionSpeedBonus);
+        for (let lvl = currentLevel + 1; structuresData[structure].levels[lvl]; lvl++) {
+            const result = engine.calculate(structure, lvl, currentLevel, currentLevels);
+            const shortfall = calculateShortfall(result.totalCosts, budget);
+            if (Object.keys(shortfall).length > 0) {
+                best.next = { level: lvl, shortfall: shortfall };
+                break;
+            }
+
+            best.level = lvl;
+            best.costs = result.totalCosts;
+            best.time = result.totalTime;
+            best.remaining = subtractCosts(budget, result.totalCosts);
+        }
+
+        return best;
+    }
+
+    /**
+     * Rank the next upgrade of every structure that fits within a budget
+     * Each option is the structure's next level including all of its dependencies,
+     * ordered from the cheapest total resource amount. Upgrades that cost nothing
+     * are left out.
+     *
+     * @param {Object} budget - Map of resource to amount available
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Array} - Array of { structure, currentLevel, level, costs, totalAmount, time, remaining }
+     */
+    function rankAffordableUpgrades(budget = {}, constructionSpeedBonus = 0, structuresData = {}, currentLevels = {}) {
+        const engine = getEngine(structuresData, constructionSpeedBonus);
+        const options = [];
+
+        for (let structure of Object.keys(structuresData)) {
+            const currentLevel = currentLevels[structure] || 1;
+            if (!structuresData[structure].levels[currentLevel + 1]) {
+                continue;
+            }
+
+            const result = engine.calculate(structure, currentLevel + 1, currentLevel, currentLevels);
+            const totalAmount = Object.values(result.totalCosts).reduce((sum, amount) => sum + amount, 0);
+
+            // Free upgrades (e.g. Sector unlocks) don't use the budget, so they are not ranked
+            if (totalAmount === 0 || Object.keys(calculateShortfall(result.totalCosts, budget)).length > 0) {
+                continue;
+            }
+
+            options.push({
+                structure: structure,
+                currentLevel: currentLevel,
+                level: currentLevel + 1,
+                costs: result.totalCosts,
+                totalAmount: totalAmount,
+                time: result.totalTime,
+                remaining: subtractCosts(budget, result.totalCosts)
+            });
+        }
+
+        return options.sort((a, b) => a.totalAmount - b.totalAmount || a.time - b.time);
+    }
+
+    /**
+     * Compare the next levels of every structure
+     * Each option upgrades one structure by up to levelsAhead levels, including
+     * its prerequisites. hiddenShare is the part of the total resource amount
+     * spent on prerequisites, which flags upgrades that look cheap on their own
+     * but pull in expensive chains.
+     *
+     * @param {number} levelsAhead - How many levels to look ahead for each structure
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Array} - Array of { structure, currentLevel, targetLevel, totalCosts, totalAmount,
+     *                    individualAmount, dependencyAmount, hiddenShare, time, individualTime, dependencyTime }
+     */
+    function compareUpgradeOptions(levelsAhead = 1, constructionSpeedBonus = 0, structuresData = {}, currentLevels = {}) {
+        const sum = (costs) => Object.values(costs).reduce((total, amount) => total + amount, 0);
+        const engine = getEngine(structuresData, constructionSpeedBonus);
+        const options = [];
+
+        for (let structure of Object.keys(structuresData)) {
+            const currentLevel = currentLevels[structure] || 1;
+            const maxLevel = getStructureInfo(structure, structuresData).maxLevel;
+            const targetLevel = Math.min(maxLevel, currentLevel + Math.max(1, levelsAhead));
+            if (targetLevel <= currentLevel) {
+                continue;
+            }
+
+            const result = engine.calculate(structure, targetLevel, currentLevel, currentLevels);
+            const totalAmount = sum(result.totalCosts);
+            const dependencyAmount = sum(result.dependencyCosts);
+
+            options.push({
+                structure: structure,
+                currentLevel: currentLevel,
+                targetLevel: targetLevel,
+                totalCosts: result.totalCosts,
+                totalAmount: totalAmount,
+                individualAmount: sum(result.individualCosts),
+                dependencyAmount: dependencyAmount,
+                hiddenShare: totalAmount > 0 ? dependencyAmount / totalAmount : 0,
+                time: result.totalTime,
+                individualTime: result.individualTimes,
+                dependencyTime: result.dependencyTimes
+            });
+        }
+
+        return options;
+    }
+
+    /**
+     * Work out what each member of an alliance needs for a shared goal
+     * A member is blocked by the requirements of the goal structure's levels
+     * that their base does not meet yet.
+     *
+     * @param {Array} members - Array of { name, levels, constructionSpeedBonus }
+     * @param {Object} goal - { structure, level } every member should reach
+     * @param {Object} structuresData - The structures database
+     * @returns {Object} - { members, totalCosts } where members are { name, currentLevel,
+     *                     reached, blockers: [{ structure, level, currentLevel }], costs, time }
+     */
+    function evaluateRosterGoal(members, goal, structuresData = {}) {
+        const totalCosts = {};
+        const results = [];
+
+        for (let member of members) {
+            const levels = member.levels || {};
+            const currentLevel = levels[goal.structure] || 1;
+            const entry = {
+                name: member.name,
+                currentLevel: currentLevel,
+                reached: currentLevel >= goal.level,
+                blockers: [],
+                costs: {},
+                time: 0
+            };
+
+            if (!entry.reached) {
+                const highest = {};
+                for (let lvl = currentLevel + 1; lvl <= goal.level; lvl++) {
+                    const levelData = structuresData[goal.structure].levels[lvl] || {};
+                    for (let requirement of levelData.requirements || []) {
+                        const parsed = parseRequirement(requirement);
+                        if (parsed && (levels[parsed.structure] || 1) < parsed.level) {
+                            highest[parsed.structure] = Math.max(highest[parsed.structure] || 0, parsed.level);
+                        }
+                    }
+                }
+                entry.blockers = Object.entries(highest).map(([structure, level]) => ({
+                    structure: structure,
+                    level: level,
+                    currentLevel: levels[structure] || 1
+                }));
+
+                const result = getEngine(structuresData, member.constructionSpeedBonus || 0)
+                    .calculate(goal.structure, goal.level, currentLevel, levels);
+                entry.costs = result.totalCosts;
+                entry.time = result.totalTime;
+                for (let [resource, amount] of Object.entries(result.totalCosts)) {
+                    totalCosts[resource] = (totalCosts[resource] || 0) + amount;
+                }
+            }
+
+            results.push(entry);
+        }
+
+        return { members: results, totalCosts: totalCosts };
+    }
+
+    /**
+     * Find structures whose current level is impossible given the other levels
+     * Reaching a level means the requirements of every level up to it were met,
+     * so a structure at level N needs each of those requirements at least.
+     *
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Array} - Array of { structure, level, missing: [{ structure, level, currentLevel }] }
+     */
+    function checkBaseConsistency(structuresData = {}, currentLevels = {}) {
+        const issues = [];
+
+        for (let structure of Object.keys(structuresData)) {
+            const level = currentLevels[structure] || 1;
+            const missing = Object.entries(collectDependencies(structure, 1, level, structuresData))
+                .filter(([depStructure, depLevel]) => structuresData[depStructure] && (currentLevels[depStructure] || 1) < depLevel)
+                .map(([depStructure, depLevel]) => ({
+                    structure: depStructure,
+                    level: depLevel,
+                    currentLevel: currentLevels[depStructure] || 1
+                }));
+            if (missing.length > 0) {
+                issues.push({ structure, level, missing });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Raise current levels to the minimum the other levels imply
+     * Raising one structure can imply more, so this repeats until nothing changes
+     * @param {Object} structuresData - The structures database
+     * @param {Object} currentLevels - Current levels of all structures
+     * @returns {Object} - New levels object; levels are only ever raised
+     */
+    function getImpliedLevels(structuresData = {}, currentLevels = {}) {
+        const levels = Object.assign({}, currentLevels);
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let issue of checkBaseConsistency(structuresData, levels)) {
+                for (let missing of issue.missing) {
+                    if ((levels[missing.structure] || 1) < missing.level) {
+                        levels[missing.structure] = missing.level;
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        return levels;
+    }
+
+    /**
+     * Build a reverse index of the requirement graph
+     * For each structure and level, lists the structure levels that require it,
+     * i.e. what reaching that level unlocks.
+     *
+     * @param {Object} structuresData - The structures database
+     * @returns {Object} - { [structure]: { [level]: [{ structure, level }] } }
+     */
+    function buildUnlockIndex(structuresData = {}) {
+        const index = {};
+
+        for (let [structure, data] of Object.entries(structuresData)) {
+            for (let [level, levelData] of Object.entries(data.levels || {})) {
+                for (let requirement of levelData.requirements || []) {
+                    const parsed = parseRequirement(requirement);
+                    if (!parsed) {
+                        continue;
+                    }
+                    index[parsed.structure] = index[parsed.structure] || {};
+                    index[parsed.structure][parsed.level] = index[parsed.structure][parsed.level] || [];
+                    index[parsed.structure][parsed.level].push({ structure: structure, level: parseInt(level) });
+                }
+            }
+        }
+
+        for (let levels of Object.values(index)) {
+            for (let unlocks of Object.values(levels)) {
+                unlocks.sort((a, b) => a.structure.localeCompare(b.structure) || a.level - b.level);
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Get the structure levels unlocked by reaching a level
+     * @param {string} structure - Structure name
+     * @param {number} level - Level reached
+     * @param {Object} unlockIndex - Index from buildUnlockIndex
+     * @returns {Array} - Array of { structure, level }
+     */
+    function getUnlocks(structure, level, unlockIndex = {}) {
+        return (unlockIndex[structure] && unlockIndex[structure][level]) || [];
+    }
+
+    /**
+     * Build a per-level table for a structure
+     * @param {string} structure - Structure name
+     * @param {Object} structuresData - The structures database
+     * @param {Object} unlockIndex - Index from buildUnlockIndex
+     * @param {number|Object} constructionSpeedBonus - Construction speed bonus percentage or bonus model
+     * @returns {Array} - Array of { level, costs, time, requirements, unlocks } where
+     *                    requirements are parsed { structure, level } entries
+     */
+    function getLevelTable(structure, structuresData = {}, unlockIndex = {}, constructionSpeedBonus = 0) {
+        const data = structuresData[structure];
+        if (!data) {
+            return [];
+        }
+
+        const bonus = resolveSpeedBonus(constructionSpeedBonus, structure, structuresData).total;
+
+        return Object.keys(data.levels)
+            .map(level => parseInt(level))
+            .sort((a, b) => a - b)
+            .map(level => {
+                const levelData = data.levels[level];
+                return {
+                    level: level,
+                    costs: applyCostReductions(levelData.costs, structure, constructionSpeedBonus, structuresData),
+                    time: applySpeedBonus(levelData.upgrade_time || 0, bonus),
+                    requirements: (levelData.requirements || []).map(parseRequirement).filter(Boolean),
+                    unlocks: getUnlocks(structure, level, unlockIndex)
+                };
+            });
+    }
+
+    // Discord's message length limit, the usual destination for Markdown summaries
+    const MARKDOWN_MAX_LENGTH = 2000;
+
+    /**
+     * Resources to show in a report: primary ones and any the result uses
+     */
+    function getReportResources(report) {
+        if (report.resources) {
+            return report.resources;
+        }
+        const totals = report.result.totalCosts || {};
+        return getResourceOrder()
+            .concat(Object.keys(totals).filter(resource => !RESOURCE_TYPES.some(type => type.key === resource)))
+            .filter(resource => getResourceInfo(resource).primary || (totals[resource] || 0) > 0);
+    }
+
+    /**
+     * Serialize a calculation as CSV
+     * One row per target and per dependency with a column per resource, then a total row.
+     * Target rows hold only the target's own levels, so the rows add up to the total.
+     *
+     * @param {Object} report - { targets, result, resources } where targets are
+     *                          { structure, currentLevel, targetLevel, costs, time } and result comes
+     *                          from calculateResourcesRecursive or calculatePlan
+     * @returns {string} - CSV text
+     */
+    function formatReportCsv(report) {
+        const { result } = report;
+        const resources = getReportResources(report);
+        const cell = (value) => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['type', 'structure', 'from_level', 'to_level'].concat(resources, ['time_seconds'])];
+        for (let target of report.targets) {
+            rows.push(['target', target.structure, target.currentLevel, target.targetLevel]
+                .concat(resources.map(resource => target.costs[resource] || 0), [Math.round(target.time)]));
+        }
+        for (let dependency of result.dependencies) {
+            rows.push(['dependency', dependency.name, dependency.fromLevel, dependency.level]
+                .concat(resources.map(resource => dependency.resources[resource] || 0), [Math.round(dependency.time)]));
+        }
+        rows.push(['total', '', '', '']
+            .concat(resources.map(resource => result.totalCosts[resource] || 0), [Math.round(result.totalTime)]));
+
+        return rows.map(row => row.map(cell).join(',')).join('\n');
+    }
+
+    /**
+     * Serialize a calculation as a Markdown summary for chat
+     * Dependencies that do not fit within maxLength are summarized as a count, and
+     * text that is still too long is cut off at maxLength.
+     *
+     * @param {Object} report - Same shape as for formatReportCsv, optionally with constructionSpeedBonus
+     * @param {number} maxLength - Maximum length of the text
+     * @returns {string} - Markdown text
+     */
+    function formatReportMarkdown(report, maxLength = MARKDOWN_MAX_LENGTH) {
+        const { result } = report;
+        const lines = [];
+        const fit = (text) => text.length > maxLength ? text.slice(0, Math.max(0, maxLength - 1)) + '…' : text;
+
+        lines.push(`**${report.targets.map(t => `${t.structure} ${t.currentLevel} → ${t.targetLevel}`).join(', ')}**`);
+        if (report.constructionSpeedBonus !== undefined) {
+            const bonus = normalizeSpeedBonus(report.constructionSpeedBonus);
+            lines.push(`Speed bonus ${bonus.base}%` + (bonus.extra.length > 0 ? ` plus ${bonus.extra.length} extra` : ''));
+        }
+
+        lines.push('', '**Total cost**');
+        for (let resource of getReportResources(report)) {
+            const amount = result.totalCosts[resource] || 0;
+            if (amount > 0) {
+                const info = getResourceInfo(resource);
+                lines.push(`${info.icon ? info.icon + ' ' : ''}${info.name}: ${amount.toLocaleString('en-US')}`);
+            }
+        }
+        lines.push(`⏱️ Build time: ${formatTime(result.totalTime)}`);
+
+        if (result.dependencies.length > 0) {
+            lines.push('', `**Dependencies (${result.dependencies.length})**`);
+            let text = lines.join('\n');
+            for (let i = 0; i < result.dependencies.length; i++) {
+                const dependency = result.dependencies[i];
+                const line = `- ${dependency.name} → ${dependency.level} (${formatTime(dependency.time)})`;
+                const rest = result.dependencies.length - i - 1;
+                const more = rest > 0 ? `\n…and ${rest} more` : '';
+                if (text.length + 1 + line.length + more.length > maxLength) {
+                    return fit(`${text}\n…and ${result.dependencies.length - i} more`);
+                }
+                text += '\n' + line;
+            }
+            return fit(text);
+        }
+
+        return fit(lines.join('\n'));
+    }
+
+    const PROFILE_FORMAT = 'gxk-profile';
+    const PROFILE_FORMAT_VERSION = 1;
+    const SHARE_CODE_PREFIX = 'GXK1.';
+
+    /**
+     * Encode a string as URL-safe base64, in both Node.js and browsers
+     * @param {string} text - The text to encode
+     * @returns {string} - URL-safe base64 without padding
+     */
+    function toBase64Url(text) {
+        let base64;
+        if (typeof Buffer !== 'undefined') {
+            base64 = Buffer.from(text, 'utf8').toString('base64');
+        } else {
+            const bytes = new TextEncoder().encode(text);
+            let binary = '';
+            bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+            base64 = btoa(binary);
+        }
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe base64 produced by toBase64Url
+     * @param {string} encoded - The encoded text
+     * @returns {string} - The decoded text
+     */
+    function fromBase64Url(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(base64, 'base64').toString('utf8');
+        }
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * Keep only valid levels above 1 from a levels object
+     * @param {Object} levels - Map of structure name to level
+     * @returns {Object} - Cleaned map of structure name to level
+     */
+    function compactLevels(levels = {}) {
+        const compact = {};
+        for (let [structure, level] of Object.entries(levels)) {
+            const numLevel = parseInt(level);
+            if (numLevel > 1) {
+                compact[structure] = numLevel;
+            }
+        }
+        return compact;
+    }
+
+    /**
+     * Create a portable export of a base profile
+     * @param {Object} profile - Profile with name, levels, constructionSpeedBonus and settings
+     * @returns {Object} - JSON-serializable export object
+     */
+    function createProfileExport(profile) {
+        return {
+            format: PROFILE_FORMAT,
+            version: PROFILE_FORMAT_VERSION,
+            name: profile.name,
+            levels: compactLevels(profile.levels),
+            constructionSpeedBonus: profile.constructionSpeedBonus || 0,
+            settings: profile.settings || {}
+        };
+    }
+
+    /**
+     * Read a profile from imported data
+     * Accepts a profile export or a plain structureLevels object
+     * @param {Object} data - Parsed JSON data
+     * @returns {Object|null} - Profile with name, levels, constructionSpeedBonus and settings, or null if invalid
+     */
+    function parseProfileImport(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return null;
+        }
+
+        if (data.format === PROFILE_FORMAT) {
+            if (typeof data.levels !== 'object' || data.levels === null) {
+                return null;
+            }
+            return {
+                name: data.name || 'Imported Base',
+                levels: compactLevels(data.levels),
+                constructionSpeedBonus: parseFloat(data.constructionSpeedBonus) || 0,
+                settings: data.settings || {}
+            };
+        }
+
+        // A plain levels object, e.g. the old structureLevels value
+        if (Object.values(data).every(level => Number.isInteger(level))) {
+            return {
+                name: 'Imported Base',
+                levels: compactLevels(data),
+                constructionSpeedBonus: 0,
+                settings: {}
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Encode a profile's name, levels and speed bonus as a compact share code
+     * Extra speed bonuses, cost reductions, the build plan and resources are included when the
+     * profile has them, and a target can be added so the code describes one calculation.
+     *
+     * @param {Object} profile - Profile with name, levels, constructionSpeedBonus and settings
+     * @param {Object|null} target - Optional { structure, level } to calculate
+     * @returns {string} - Share code
+     */
+    function encodeShareCode(profile, target = null) {
+        const settings = profile.settings || {};
+        const inventory = settings.inventory || {};
+        const payload = {
+            n: profile.name,
+            l: compactLevels(profile.levels),
+            s: profile.constructionSpeedBonus || 0
+        };
+        if (settings.speedBonuses && settings.speedBonuses.length > 0) {
+            payload.x = settings.speedBonuses;
+        }
+        if (settings.costReductions && settings.costReductions.length > 0) {
+            payload.c = settings.costReductions;
+        }
+        if (settings.plan && settings.plan.length > 0) {
+            payload.p = settings.plan.map(t => [t.structure, t.level]);
+        }
+        if (inventory.stock && Object.keys(inventory.stock).length > 0) {
+            payload.i = inventory.stock;
+        }
+        if (inventory.production && Object.keys(inventory.production).length > 0) {
+            payload.r = inventory.production;
+        }
+        if (target) {
+            payload.t = [target.structure, target.level];
+        }
+        return SHARE_CODE_PREFIX + toBase64Url(JSON.stringify(payload));
+    }
+
+    /**
+     * Read a number from a share code, or return null if it is not a finite number
+     */
+    function readSharedNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Keep the amounts of known resources from a share code
+     * @param {Object} amounts - Map of resource to amount
+     * @param {Array} resources - Resource keys of the loaded database
+     * @returns {Object} - Map of resource to a finite amount of 0 or more
+     */
+    function readSharedAmounts(amounts, resources) {
+        const result = {};
+        for (let [resource, amount] of Object.entries(amounts && typeof amounts === 'object' ? amounts : {})) {
+            const number = readSharedNumber(amount);
+            if (resources.includes(resource) && number !== null && number >= 0) {
+                result[resource] = number;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Copy the scope of a shared bonus entry, dropping a structure or category
+     * the loaded database does not have
+     * @returns {Object|null} - { structure } or { category }, {} for all structures,
+     *                          or null when the scope is unknown
+     */
+    function readSharedScope(entry, structuresData) {
+        if (entry.structure !== undefined) {
+            return structuresData[entry.structure] ? { structure: entry.structure } : null;
+        }
+        if (entry.category !== undefined) {
+            const known = Object.keys(structuresData).some(structure => getStructureCategory(structure, structuresData) === entry.category);
+            return known ? { category: entry.category } : null;
+        }
+        return {};
+    }
+
+    /**
+     * Decode a share code produced by encodeShareCode
+     * Share codes come from links anyone can make, so every number is checked and
+     * structures, categories and resources the loaded database does not have are dropped
+     * @param {string} code - The share code
+     * @param {Object} structuresData - The loaded structures database
+     * @returns {Object|null} - Profile with name, levels, constructionSpeedBonus, settings
+     *                          and target ({ structure, level } or null), or null if invalid
+     */
+    function decodeShareCode(code, structuresData = {}) {
+        const trimmed = (code || '').trim();
+        if (!trimmed.startsWith(SHARE_CODE_PREFIX)) {
+            return null;
+        }
+        try {
+            const payload = JSON.parse(fromBase64Url(trimmed.slice(SHARE_CODE_PREFIX.length)));
+            const resources = getResourceOrder(structuresData);
+            const entries = (list) => (Array.isArray(list) ? list : []).filter(entry => entry && typeof entry === 'object');
+            const readLevel = (level) => {
+                const number = parseInt(level);
+                return number >= 1 ? number : null;
+            };
+            const label = (entry) => typeof entry.label === 'string' ? { label: entry.label } : {};
+
+            const settings = {};
+            if (Array.isArray(payload.x)) {
+                settings.speedBonuses = [];
+                for (let entry of entries(payload.x)) {
+                    const bonus = readSharedNumber(entry.bonus);
+                    const scope = readSharedScope(entry, structuresData);
+                    if (bonus === null || scope === null) {
+                        continue;
+                    }
+                    const bonusEntry = Object.assign(label(entry), { bonus: bonus }, scope);
+                    for (let key of ['start', 'end']) {
+                        if (entry[key] !== undefined && readSharedNumber(entry[key]) !== null) {
+                            bonusEntry[key] = readSharedNumber(entry[key]);
+                        }
+                    }
+                    settings.speedBonuses.push(bonusEntry);
+                }
+            }
+            if (Array.isArray(payload.c)) {
+                settings.costReductions = [];
+                for (let entry of entries(payload.c)) {
+                    const percent = readSharedNumber(entry.percent);
+                    const scope = readSharedScope(entry, structuresData);
+                    if (percent === null || scope === null || (entry.resource !== undefined && !resources.includes(entry.resource))) {
+                        continue;
+                    }
+                    const reduction = Object.assign(label(entry), { percent: Math.min(100, Math.max(0, percent)) }, scope);
+                    if (entry.resource !== undefined) {
+                        reduction.resource = entry.resource;
+                    }
+                    settings.costReductions.push(reduction);
+                }
+            }
+            if (Array.isArray(payload.p)) {
+                settings.plan = payload.p
+                    .filter(target => Array.isArray(target) && structuresData[target[0]] && readLevel(target[1]))
+                    .map(([structure, level]) => ({ structure, level: readLevel(level) }));
+            }
+            if (payload.i || payload.r) {
+                settings.inventory = {
+                    stock: readSharedAmounts(payload.i, resources),
+                    production: readSharedAmounts(payload.r, resources)
+                };
+            }
+
+            const levels = {};
+            for (let [structure, level] of Object.entries(compactLevels(payload.l && typeof payload.l === 'object' ? payload.l : {}))) {
+                if (structuresData[structure]) {
+                    levels[structure] = level;
+                }
+            }
+            const target = Array.isArray(payload.t) && structuresData[payload.t[0]] && readLevel(payload.t[1]) ?
+                { structure: payload.t[0], level: readLevel(payload.t[1]) } : null;
+
+            return {
+                name: typeof payload.n === 'string' && payload.n ? payload.n : 'Shared Base',
+                levels: levels,
+                constructionSpeedBonus: readSharedNumber(payload.s) || 0,
+                settings: settings,
+                target: target
+            };
+        } catch (error) {
+            return null;
+        }
     }
 
     // Public API
     return {
+        RESOURCE_TYPES,
+        getResourceInfo,
+        getResourceOrder,
+        parseDatabase,
+        compareDatabaseVersions,
+        getDatabaseChecksum,
+        diffDatabases,
         parseRequirement,
         formatTime,
+        STRUCTURE_CATEGORIES,
+        CATEGORY_ORDER,
+        getStructureCategory,
+        getStructureInfo,
+        normalizeSpeedBonus,
+        resolveSpeedBonus,
+        applySpeedBonus,
+        resolveCostReduction,
+        applyCostReductions,
+        SPEEDUP_DENOMINATIONS,
+        calculateSpeedups,
+        resolvePlan,
+        createEngine,
+        getEngine,
+        WORKER_METHODS,
+        WORKER_DATABASE_ARG,
         calculateResourcesRecursive,
-        buildDependencyTree
+        buildDependencyTree,
+        collectDependencies,
+        mergePlanTargets,
+        calculatePlan,
+        buildPlanTree,
+        comparePlanTotals,
+        compareScenarios,
+        flattenDependencyTree,
+        scheduleUpgrades,
+        buildDependencyGraph,
+        createChecklist,
+        getChecklistProgress,
+        calculateLevelProgress,
+        calculateShortfall,
+        estimateTimeToAfford,
+        getNextStepStatus,
+        subtractCosts,
+        findHighestAffordableLevel,
+        rankAffordableUpgrades,
+        compareUpgradeOptions,
+        evaluateRosterGoal,
+        checkBaseConsistency,
+        getImpliedLevels,
+        buildUnlockIndex,
+        getUnlocks,
+        getLevelTable,
+        formatReportCsv,
+        formatReportMarkdown,
+        createProfileExport,
+        parseProfileImport,
+        encodeShareCode,
+        decodeShareCode
     };
 })();
 
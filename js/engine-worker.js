@@ -0,0 +1,33 @@
+/**
+ * Engine Worker - Runs bulk calculator queries off the page's main thread
+ *
+ * Messages in:
+ *   { database }             Structures database used by the following queries
+ *   { id, method, args }     Call one of CalculatorModule.WORKER_METHODS; arguments equal to
+ *                            CalculatorModule.WORKER_DATABASE_ARG are replaced by the database
+ * Messages out:
+ *   { id, result } or { id, error }
+ */
+
+importScripts('calculator.js');
+
+// Kept for as long as the page uses it, so the engine's cached tables and results carry over between queries
+let structuresData = {};
+
+self.addEventListener('message', event => {
+    const message = event.data;
+    if (message.database) {
+        structuresData = message.database;
+        return;
+    }
+
+    try {
+        if (!CalculatorModule.WORKER_METHODS.includes(message.method)) {
+            throw new Error(`${message.method} cannot run in the engine worker`);
+        }
+        const args = message.args.map(arg => arg === CalculatorModule.WORKER_DATABASE_ARG ? structuresData : arg);
+        self.postMessage({ id: message.id, result: CalculatorModule[message.method](...args) });
+    } catch (error) {
+        self.postMessage({ id: message.id, error: error.message });
+    }
+});
@@ -0,0 +1,349 @@
+/**
+ * Graph Module - Draws dependency graphs from CalculatorModule.buildDependencyGraph as SVG
+ * Prerequisites are laid out to the left of the structures that need them, so the
+ * graph reads left to right in build order. Browser only.
+ */
+
+const GraphModule = (function () {
+    'use strict';
+
+    const NODE_WIDTH = 170;
+    const NODE_HEIGHT = 48;
+    const COLUMN_GAP = 70;
+    const ROW_GAP = 16;
+    const PADDING = 24;
+    const FONT = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+
+    const COLORS = {
+        node: '#f8f9fa',
+        nodeBorder: '#667eea',
+        target: '#e8f5e9',
+        targetBorder: '#43e97b',
+        critical: '#fa709a',
+        edge: '#b0b8e0',
+        selected: '#333',
+        text: '#333',
+        subtext: '#666',
+        status: {
+            ready: '#28a745',
+            short: '#f0ad4e',
+            blocked: '#999',
+            maxed: '#999'
+        }
+    };
+
+    // The graph currently on screen
+    let state = null;
+
+    function escapeXml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Work out which nodes are visible and where they go
+     * Nodes that nothing depends on are always shown; the prerequisites of a
+     * collapsed node are hidden unless another visible node needs them.
+     *
+     * @param {Object} graph - Graph from CalculatorModule.buildDependencyGraph
+     * @param {Set} collapsed - Ids of collapsed nodes
+     * @returns {Object} - { positions, visible, hidden, width, height }
+     */
+    function layoutGraph(graph, collapsed) {
+        const byId = {};
+        const dependents = {};
+        for (let node of graph.nodes) {
+            byId[node.id] = node;
+            dependents[node.id] = [];
+        }
+        for (let edge of graph.edges) {
+            dependents[edge.to].push(edge.from);
+        }
+
+        // Walk down from the roots, stopping at collapsed nodes
+        const visible = new Set();
+        const stack = graph.nodes.filter(node => dependents[node.id].length === 0).map(node => node.id);
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (visible.has(id)) {
+                continue;
+            }
+            visible.add(id);
+            if (!collapsed.has(id)) {
+                stack.push(...byId[id].prerequisites);
+            }
+        }
+
+        // Count what each collapsed node hides
+        const hidden = {};
+        for (let id of collapsed) {
+            if (!visible.has(id)) {
+                continue;
+            }
+            const seen = new Set();
+            const pending = [...byId[id].prerequisites];
+            while (pending.length > 0) {
+                const next = pending.pop();
+                if (!seen.has(next) && !visible.has(next)) {
+                    seen.add(next);
+                    pending.push(...byId[next].prerequisites);
+                }
+            }
+            hidden[id] = seen.size;
+        }
+
+        // Column: length of the longest chain of visible prerequisites
+        const columns = {};
+        const getColumn = (id) => {
+            if (columns[id] === undefined) {
+                columns[id] = 0;
+                if (!collapsed.has(id)) {
+                    for (let prerequisite of byId[id].prerequisites) {
+                        columns[id] = Math.max(columns[id], getColumn(prerequisite) + 1);
+                    }
+                }
+            }
+            return columns[id];
+        };
+
+        const layers = [];
+        for (let id of visible) {
+            const column = getColumn(id);
+            layers[column] = layers[column] || [];
+            layers[column].push(id);
+        }
+        for (let layer of layers) {
+            layer.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        }
+
+        // Order each column by the average row of its neighbours to reduce crossings
+        const rows = {};
+        const updateRows = () => layers.forEach(layer => layer.forEach((id, row) => { rows[id] = row; }));
+        const neighbours = (id) => byId[id].prerequisites.concat(dependents[id]).filter(other => visible.has(other));
+        updateRows();
+        for (let sweep = 0; sweep < 4; sweep++) {
+            for (let layer of layers) {
+                const weights = {};
+                for (let id of layer) {
+                    const linked = neighbours(id);
+                    weights[id] = linked.length > 0 ?
+                        linked.reduce((sum, other) => sum + rows[other], 0) / linked.length : rows[id];
+                }
+                layer.sort((a, b) => weights[a] - weights[b]);
+            }
+            updateRows();
+        }
+
+        const tallest = Math.max(0, ...layers.map(layer => layer.length));
+        const height = PADDING * 2 + tallest * NODE_HEIGHT + Math.max(0, tallest - 1) * ROW_GAP;
+        const width = PADDING * 2 + layers.length * NODE_WIDTH + Math.max(0, layers.length - 1) * COLUMN_GAP;
+
+        const positions = {};
+        layers.forEach((layer, column) => {
+            const layerHeight = layer.length * NODE_HEIGHT + (layer.length - 1) * ROW_GAP;
+            const top = (height - layerHeight) / 2;
+            layer.forEach((id, row) => {
+                positions[id] = {
+                    x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+                    y: top + row * (NODE_HEIGHT + ROW_GAP)
+                };
+            });
+        });
+
+        return { positions, visible, hidden, width, height };
+    }
+
+    /**
+     * Build the SVG markup for a graph
+     * Styles are inline so exported files look the same as on screen.
+     * Nodes with a status get a dot in that status's color in their top right corner.
+     */
+    function renderSvg(graph, layout, collapsed, selectedId, statuses = {}) {
+        const { positions, visible, hidden, width, height } = layout;
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT)}">`;
+        svg += '<defs>';
+        svg += `<marker id="graphArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto"><path d="M0,0 L10,5 L0,10 z" fill="${COLORS.edge}"/></marker>`;
+        svg += `<marker id="graphArrowCritical" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto"><path d="M0,0 L10,5 L0,10 z" fill="${COLORS.critical}"/></marker>`;
+        svg += '</defs>';
+        svg += `<rect width="${width}" height="${height}" fill="#ffffff"/>`;
+
+        // Draw critical edges last so they stay on top
+        const edges = graph.edges
+            .filter(edge => visible.has(edge.from) && visible.has(edge.to) && !collapsed.has(edge.from))
+            .sort((a, b) => a.critical - b.critical);
+        for (let edge of edges) {
+            const from = positions[edge.to];
+            const to = positions[edge.from];
+            const x1 = from.x + NODE_WIDTH;
+            const y1 = from.y + NODE_HEIGHT / 2;
+            const x2 = to.x - 10;
+            const y2 = to.y + NODE_HEIGHT / 2;
+            const bend = Math.max(30, (x2 - x1) / 2);
+            svg += `<path d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}" fill="none"` +
+                ` stroke="${edge.critical ? COLORS.critical : COLORS.edge}" stroke-width="${edge.critical ? 2.5 : 1.2}"` +
+                ` marker-end="url(#${edge.critical ? 'graphArrowCritical' : 'graphArrow'})"/>`;
+        }
+
+        for (let node of graph.nodes) {
+            if (!visible.has(node.id)) {
+                continue;
+            }
+            const { x, y } = positions[node.id];
+            let stroke = node.target ? COLORS.targetBorder : COLORS.nodeBorder;
+            if (node.critical) {
+                stroke = COLORS.critical;
+            }
+            if (node.id === selectedId) {
+                stroke = COLORS.selected;
+            }
+            const detail = `Lv ${node.fromLevel} → ${node.toLevel} · ${CalculatorModule.formatTime(node.time)}`;
+            const status = statuses[node.id];
+
+            svg += `<g data-node="${escapeXml(node.id)}"${status ? ` data-status="${escapeXml(status.status)}"` : ''} style="cursor: pointer;">`;
+            svg += `<title>${escapeXml(`${node.structure} Level ${node.fromLevel} → ${node.toLevel}${status ? ` · ${status.label}` : ''}`)}</title>`;
+            svg += `<rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="6"` +
+                ` fill="${node.target ? COLORS.target : COLORS.node}" stroke="${stroke}"` +
+                ` stroke-width="${node.critical || node.id === selectedId ? 2.5 : 1.5}"/>`;
+            svg += `<text x="${x + 14}" y="${y + 20}" font-size="12" font-weight="600" fill="${COLORS.text}">${escapeXml(node.structure)}</text>`;
+            svg += `<text x="${x + 14}" y="${y + 37}" font-size="11" fill="${COLORS.subtext}">${escapeXml(detail)}` +
+                `${hidden[node.id] ? ` · +${hidden[node.id]}` : ''}</text>`;
+            if (status) {
+                svg += `<circle cx="${x + NODE_WIDTH - 12}" cy="${y + 12}" r="5" fill="${COLORS.status[status.status]}"/>`;
+            }
+            svg += '</g>';
+
+            if (node.prerequisites.length > 0) {
+                svg += `<g data-toggle="${escapeXml(node.id)}" style="cursor: pointer;">`;
+                svg += `<title>${collapsed.has(node.id) ? 'Show prerequisites' : 'Hide prerequisites'}</title>`;
+                svg += `<circle cx="${x}" cy="${y + NODE_HEIGHT / 2}" r="8" fill="#ffffff" stroke="${stroke}" stroke-width="1.5"/>`;
+                svg += `<text x="${x}" y="${y + NODE_HEIGHT / 2 + 4}" font-size="12" font-weight="600" text-anchor="middle" fill="${COLORS.text}">${collapsed.has(node.id) ? '+' : '−'}</text>`;
+                svg += '</g>';
+            }
+        }
+
+        svg += '</svg>';
+        return svg;
+    }
+
+    function draw() {
+        const layout = layoutGraph(state.graph, state.collapsed);
+        state.container.innerHTML = renderSvg(state.graph, layout, state.collapsed, state.selectedId, state.statuses);
+    }
+
+    /**
+     * Draw a graph into a container and make it interactive
+     * Clicking a node selects it, clicking its circle collapses or expands its prerequisites.
+     *
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Object} graph - Graph from CalculatorModule.buildDependencyGraph
+     * @param {Function} onSelect - Called with the node when one is clicked
+     * @param {Object} statuses - Map of node id to { status, label }, where status is
+     *                            'ready', 'short', 'blocked' or 'maxed'
+     */
+    function render(container, graph, onSelect, statuses = {}) {
+        state = {
+            container: container,
+            graph: graph,
+            statuses: statuses,
+            collapsed: new Set(),
+            selectedId: null
+        };
+
+        container.onclick = (event) => {
+            const toggle = event.target.closest('[data-toggle]');
+            const nodeElement = event.target.closest('[data-node]');
+            if (toggle) {
+                const id = toggle.getAttribute('data-toggle');
+                if (state.collapsed.has(id)) {
+                    state.collapsed.delete(id);
+                } else {
+                    state.collapsed.add(id);
+                }
+                draw();
+            } else if (nodeElement) {
+                state.selectedId = nodeElement.getAttribute('data-node');
+                draw();
+                if (onSelect) {
+                    onSelect(state.graph.nodes.find(node => node.id === state.selectedId));
+                }
+            }
+        };
+
+        draw();
+    }
+
+    /**
+     * Collapse or expand every node with prerequisites
+     * @param {boolean} collapse - True to collapse everything except the targets
+     */
+    function setAllCollapsed(collapse) {
+        if (!state) {
+            return;
+        }
+        state.collapsed = new Set(collapse ?
+            state.graph.nodes.filter(node => node.target && node.prerequisites.length > 0).map(node => node.id) : []);
+        draw();
+    }
+
+    function getSvgMarkup() {
+        const svg = state && state.container.querySelector('svg');
+        return svg ? new XMLSerializer().serializeToString(svg) : null;
+    }
+
+    function download(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Download the graph as it is currently shown
+     * @param {string} filename - File name for the download
+     */
+    function exportSvg(filename = 'dependency-graph.svg') {
+        const markup = getSvgMarkup();
+        if (markup) {
+            download(new Blob([markup], { type: 'image/svg+xml' }), filename);
+        }
+    }
+
+    /**
+     * Download the graph as a PNG image
+     * @param {string} filename - File name for the download
+     */
+    function exportPng(filename = 'dependency-graph.png') {
+        const markup = getSvgMarkup();
+        if (!markup) {
+            return;
+        }
+        const svg = state.container.querySelector('svg');
+        const width = parseFloat(svg.getAttribute('width'));
+        const height = parseFloat(svg.getAttribute('height'));
+        // Browsers refuse very large canvases, so big graphs are drawn at a smaller scale
+        const scale = Math.min(2, 16000 / Math.max(width, height));
+
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0);
+            canvas.toBlob(blob => download(blob, filename), 'image/png');
+        };
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+    }
+
+    // Public API
+    return {
+        layoutGraph,
+        render,
+        setAllCollapsed,
+        exportSvg,
+        exportPng
+    };
+})();
@@ -4,22 +4,407 @@
 let structuresData = {};
 let filteredStructures = [];
 let currentLevels = {};
+let planTargets = [];
+let resourceOrder = [];
+let inventory = { stock: {}, production: {} };
+let profiles = {};
+let activeProfileId = null;
+let unlockIndex = {};
+let lastReport = null;
+let databaseMeta = {};
+let bundledDatabase = null;
+let usingCustomDatabase = false;
+let roster = { members: [], goal: null };
+let levelHistory = {};
+let collapsedCategories = JSON.parse(localStorage.getItem('collapsedCategories') || '[]');
+let upgradeComparison = { levelsAhead: 1, sortKey: 'totalAmount', ascending: true, options: [] };
+// Profile id used while viewing a shared link, and the profile to return to afterwards
+const SHARED_PROFILE_ID = 'shared';
+const HISTORY_LIMIT = 200;
+// Typing "12" into a level input updates it twice; edits this close together are one change
+const HISTORY_MERGE_MS = 3000;
+// Labels for whether an upgrade can start now, by getNextStepStatus status
+const START_STATUS_LABELS = {
+    ready: '✓ Can start now',
+    short: 'Needs resources to start',
+    blocked: 'Waiting on prerequisites',
+    maxed: 'Max level'
+};
+let sharedReturnProfileId = null;
+// Worker for bulk queries: null until first used, false where workers are unavailable
+let engineWorker = null;
+let engineWorkerDatabase = null;
+let engineRequests = {};
+let engineRequestId = 0;
+let rosterRequestId = 0;
 
 // Load data from JSON
 async function loadData() {
+    try {
+        bundledDatabase = CalculatorModule.parseDatabase(await fetchDatabase());
+        if (!bundledDatabase) {
+            throw new Error('The structures database is not valid');
+        }
+        const customDatabase = loadCustomDatabase();
+        setDatabase(customDatabase || bundledDatabase, Boolean(customDatabase));
+        initializeUI();
+        loadLevelHistory();
+        loadProfiles();
+        loadRoster();
+        openSharedLinkFromHash();
+        renderDatabaseStatus();
+        registerServiceWorker();
+    } catch (error) {
+        console.error('Error loading data:', error);
+        showError('Failed to load structures database. Make sure the data folder is next to index.html.');
+    }
+}
+
+/**
+ * Fetch the structures database
+ * Browsers block fetch() for pages opened from disk, so the generated
+ * data/structures_database.js is loaded instead in that case.
+ */
+async function fetchDatabase() {
     try {
         const response = await fetch('data/structures_database.json');
         if (!response.ok) {
             throw new Error('Failed to load structures database');
         }
-        structuresData = await response.json();
-        filteredStructures = Object.keys(structuresData).sort();
-        initializeUI();
-        loadSavedLevels();
+        return await response.json();
     } catch (error) {
-        console.error('Error loading data:', error);
-        showError('Failed to load structures database. Make sure structures_database.json is in the same directory.');
+        await loadScript('data/structures_database.js');
+        if (!window.STRUCTURES_DATABASE) {
+            throw error;
+        }
+        return window.STRUCTURES_DATABASE;
+    }
+}
+
+function loadScript(src) {
+    return new Promise(resolve => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = resolve;
+        document.head.appendChild(script);
+    });
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        return;
+    }
+    navigator.serviceWorker.register('sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(renderDatabaseStatus)
+        .catch(error => console.error('Service worker registration failed:', error));
+}
+
+/**
+ * Run a bulk calculator query in the engine worker so the page stays responsive
+ * Falls back to running it on the page where workers are unavailable, e.g.
+ * when the calculator is opened from a file
+ * @param {string} method - One of CalculatorModule.WORKER_METHODS
+ * @param {Array} args - Its arguments; the loaded database is sent to the worker once
+ * @returns {Promise} - Resolves to the method's result
+ */
+function runEngineQuery(method, args) {
+    const worker = getEngineWorker();
+    if (!worker) {
+        return Promise.resolve().then(() => CalculatorModule[method](...args));
+    }
+
+    if (engineWorkerDatabase !== structuresData) {
+        worker.postMessage({ database: structuresData });
+        engineWorkerDatabase = structuresData;
+    }
+    return new Promise((resolve, reject) => {
+        const id = ++engineRequestId;
+        engineRequests[id] = { method, args, resolve, reject };
+        worker.postMessage({
+            id: id,
+            method: method,
+            args: args.map(arg => arg === structuresData ? CalculatorModule.WORKER_DATABASE_ARG : arg)
+        });
+    });
+}
+
+function getEngineWorker() {
+    if (engineWorker === null) {
+        engineWorker = false;
+        if (typeof Worker === 'undefined' || location.protocol === 'file:') {
+            return engineWorker;
+        }
+        try {
+            engineWorker = new Worker('js/engine-worker.js');
+        } catch (error) {
+            console.error('Engine worker could not start:', error);
+            return engineWorker;
+        }
+
+        engineWorker.addEventListener('message', event => {
+            const { id, result, error } = event.data;
+            const request = engineRequests[id];
+            delete engineRequests[id];
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        });
+        engineWorker.addEventListener('error', event => {
+            // The worker failed to load; answer its queries on the page from now on
+            console.error('Engine worker failed, running queries on the page:', event.message);
+            engineWorker.terminate();
+            engineWorker = false;
+            const pending = Object.values(engineRequests);
+            engineRequests = {};
+            for (let request of pending) {
+                runEngineQuery(request.method, request.args).then(request.resolve, request.reject);
+            }
+        });
+    }
+    return engineWorker;
+}
+
+function setDatabase(database, custom) {
+    structuresData = database.structures;
+    databaseMeta = database.meta;
+    usingCustomDatabase = custom;
+    filteredStructures = Object.keys(structuresData).sort();
+    resourceOrder = CalculatorModule.getResourceOrder(structuresData);
+    unlockIndex = CalculatorModule.buildUnlockIndex(structuresData);
+}
+
+/**
+ * Check that a parsed file is a structures database the page can use
+ * Structure names end up in markup all over the page, so names with markup characters are refused
+ */
+function isUsableDatabase(database) {
+    return !!database && Object.entries(database.structures).every(([name, structure]) =>
+        structure && structure.levels && !/[<>&"']/.test(name)
+    );
+}
+
+/**
+ * Get the database loaded from a file, if any
+ * It is used instead of the bundled database until the bundled one is newer.
+ */
+function loadCustomDatabase() {
+    const saved = localStorage.getItem('customDatabase');
+    if (!saved) {
+        return null;
+    }
+    try {
+        const custom = CalculatorModule.parseDatabase(JSON.parse(saved));
+        if (isUsableDatabase(custom) && CalculatorModule.compareDatabaseVersions(custom.meta.version, bundledDatabase.meta.version) >= 0) {
+            return custom;
+        }
+    } catch (error) {
+        console.error('Error loading saved database:', error);
+    }
+    localStorage.removeItem('customDatabase');
+    return null;
+}
+
+function loadDatabaseFile(input) {
+    const file = input.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let database = null;
+        try {
+            database = CalculatorModule.parseDatabase(JSON.parse(reader.result));
+        } catch (error) {
+            console.error('Error loading database file:', error);
+        }
+        if (!isUsableDatabase(database)) {
+            showError(`Could not load ${file.name}. Make sure it is a structures database whose structure names have no < > & " or ' characters.`);
+            return;
+        }
+        if (CalculatorModule.compareDatabaseVersions(database.meta.version, bundledDatabase.meta.version) < 0) {
+            showError(`${file.name} is older than the bundled database (${bundledDatabase.meta.version}).`);
+            return;
+        }
+        localStorage.setItem('customDatabase', reader.result);
+        switchDatabase(database, true);
+    };
+    reader.readAsText(file);
+    input.value = '';
+}
+
+function useBundledDatabase() {
+    localStorage.removeItem('customDatabase');
+    switchDatabase(bundledDatabase, false);
+}
+
+/**
+ * Replace the database in use and show what changed
+ */
+function switchDatabase(database, custom) {
+    const previous = { meta: databaseMeta, structures: structuresData };
+    setDatabase(database, custom);
+    initializeUI();
+    applyProfile();
+    renderRoster();
+    renderDatabaseStatus();
+    showResultsHtml(renderDatabaseChanges(previous, database));
+}
+
+function renderDatabaseChanges(previous, current) {
+    const changes = CalculatorModule.diffDatabases(previous.structures, current.structures);
+
+    let html = '';
+    html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += `<p style="color: #333; font-weight: 600; margin: 0;">Database ${escapeHtml(previous.meta.version || 'without version')} → ${escapeHtml(current.meta.version || 'without version')}: `;
+    html += `${changes.length} structure level${changes.length === 1 ? '' : 's'} changed</p>`;
+    html += '</div>';
+
+    // Changelog entries between the two versions
+    const entries = current.meta.changelog.filter(entry =>
+        CalculatorModule.compareDatabaseVersions(entry.version, previous.meta.version) > 0 &&
+        CalculatorModule.compareDatabaseVersions(entry.version, current.meta.version) <= 0
+    );
+    html += renderChangelog(entries);
+
+    if (changes.length > 0) {
+        html += '<div class="dependencies-section">';
+        html += '<h3>Changed Structure Levels</h3>';
+        html += '<div class="level-table-wrap"><table class="level-table text-table">';
+        html += '<thead><tr><th>Structure</th><th>Level</th><th>Changes</th></tr></thead><tbody>';
+        for (let change of changes) {
+            html += `<tr><td>${escapeHtml(change.structure)}</td><td>${change.level}</td><td>${describeLevelChange(change)}</td></tr>`;
+        }
+        html += '</tbody></table></div>';
+        html += '</div>';
+    }
+
+    html += renderPlanChanges(previous.structures, current.structures);
+    return html;
+}
+
+function describeLevelChange(change) {
+    if (change.change === 'removed') {
+        return 'Level removed';
+    }
+
+    const parts = [];
+    if (change.change === 'added') {
+        parts.push('New level');
+    }
+    for (let [resource, amounts] of Object.entries(change.costs)) {
+        parts.push(`${CalculatorModule.getResourceInfo(resource).name} ${amounts.from.toLocaleString()} → ${amounts.to.toLocaleString()}`);
+    }
+    if (change.time) {
+        parts.push(`Time ${CalculatorModule.formatTime(change.time.from)} → ${CalculatorModule.formatTime(change.time.to)}`);
+    }
+    for (let requirement of change.requirements.added) {
+        parts.push(`Now requires ${escapeHtml(requirement)}`);
+    }
+    for (let requirement of change.requirements.removed) {
+        parts.push(`No longer requires ${escapeHtml(requirement)}`);
+    }
+    return parts.join('<br>');
+}
+
+function renderChangelog(entries) {
+    if (entries.length === 0) {
+        return '';
+    }
+    let html = '<div style="margin-bottom: 20px;">';
+    for (let entry of entries) {
+        html += '<div class="dependency-item">';
+        html += `<div class="dependency-name">${escapeHtml(entry.version)}${entry.date ? ` (${escapeHtml(entry.date)})` : ''}</div>`;
+        html += `<ul style="margin: 8px 0 0 20px; font-size: 13px; color: #666;">${(entry.notes || []).map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>`;
+        html += '</div>';
+    }
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Show how every profile's saved plan totals move with a database change
+ */
+function renderPlanChanges(oldStructures, newStructures) {
+    const planned = Object.entries(profiles).filter(([, profile]) =>
+        normalizeProfileSettings(profile.settings || {}).plan.length > 0
+    );
+    if (planned.length === 0) {
+        return '';
+    }
+
+    let html = '<div class="dependencies-section">';
+    html += '<h3>Your Saved Plans</h3>';
+    for (let [id, profile] of planned) {
+        const settings = normalizeProfileSettings(profile.settings || {});
+        const comparison = CalculatorModule.comparePlanTotals(
+            settings.plan,
+            getSpeedBonusModel(id),
+            oldStructures,
+            newStructures,
+            profile.levels
+        );
+        const resources = resourceOrder.filter(resource =>
+            comparison.before.totalCosts[resource] || comparison.after.totalCosts[resource]
+        );
+
+        html += '<div class="dependency-item">';
+        html += `<div class="dependency-name">${escapeHtml(id === SHARED_PROFILE_ID ? `${profile.name} (shared link)` : profile.name)}: `;
+        html += `${escapeHtml(settings.plan.map(t => `${t.structure} ${t.level}`).join(', '))}</div>`;
+        html += '<table class="level-table totals-table" style="margin-top: 8px;">';
+        html += '<thead><tr><th>Total</th><th>Before</th><th>After</th><th>Change</th></tr></thead><tbody>';
+        for (let resource of resources) {
+            html += `<tr><td>${CalculatorModule.getResourceInfo(resource).name}</td>`;
+            html += `<td>${(comparison.before.totalCosts[resource] || 0).toLocaleString()}</td>`;
+            html += `<td>${(comparison.after.totalCosts[resource] || 0).toLocaleString()}</td>`;
+            html += `<td>${formatChange(comparison.difference.totalCosts[resource], value => value.toLocaleString())}</td></tr>`;
+        }
+        html += `<tr><td>Time</td><td>${CalculatorModule.formatTime(comparison.before.totalTime)}</td>`;
+        html += `<td>${CalculatorModule.formatTime(comparison.after.totalTime)}</td>`;
+        html += `<td>${formatChange(comparison.difference.totalTime, CalculatorModule.formatTime)}</td></tr>`;
+        html += '</tbody></table>';
+        html += '</div>';
+    }
+    html += '</div>';
+    return html;
+}
+
+function formatChange(value, format) {
+    if (!value) {
+        return '—';
+    }
+    const color = value > 0 ? '#721c24' : '#155724';
+    return `<span style="color: ${color};">${value > 0 ? '+' : '−'}${format(Math.abs(value))}</span>`;
+}
+
+function showDatabaseChangelog() {
+    let html = '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += `<p style="color: #333; font-weight: 600; margin: 0;">Database ${escapeHtml(databaseMeta.version || CalculatorModule.getDatabaseChecksum(structuresData))}`;
+    html += databaseMeta.date ? ` from ${escapeHtml(databaseMeta.date)}</p>` : '</p>';
+    html += '</div>';
+    html += renderChangelog(databaseMeta.changelog.slice().reverse()) || '<div class="no-results">This database has no changelog.</div>';
+    showResultsHtml(html);
+}
+
+async function renderDatabaseStatus() {
+    let text = `Database ${databaseMeta.version || CalculatorModule.getDatabaseChecksum(structuresData)}`;
+    text += ` · ${filteredStructures.length} structures`;
+    document.getElementById('useBundledDatabase').style.display = usingCustomDatabase ? '' : 'none';
+
+    if (usingCustomDatabase) {
+        text += ' · loaded from file';
+    } else if (location.protocol === 'file:') {
+        text += ' · opened from disk';
+    } else if ('caches' in window && await caches.match('data/structures_database.json', { ignoreSearch: true })) {
+        text += ' · available offline';
+    } else {
+        text += ' · not saved for offline use yet';
     }
+    document.getElementById('databaseStatus').textContent = text;
 }
 
 function initializeUI() {
@@ -28,14 +413,16 @@ function initializeUI() {
         currentLevels[structure] = 1;
     }
 
-    // Populate target structure dropdown
-    const targetSelect = document.getElementById('targetStructure');
-    targetSelect.innerHTML = '<option value="">Select structure...</option>';
-    for (let structure of filteredStructures) {
-        const option = document.createElement('option');
-        option.value = structure;
-        option.textContent = structure;
-        targetSelect.appendChild(option);
+    // Populate target structure dropdowns
+    for (let id of ['targetStructure', 'rosterGoalStructure']) {
+        const targetSelect = document.getElementById(id);
+        targetSelect.innerHTML = '<option value="">Select structure...</option>';
+        for (let structure of filteredStructures) {
+            const option = document.createElement('option');
+            option.value = structure;
+            option.textContent = structure;
+            targetSelect.appendChild(option);
+        }
     }
 
     renderStructureInputs(filteredStructures);
@@ -44,202 +431,1415 @@ function initializeUI() {
 function renderStructureInputs(structures) {
     const container = document.getElementById('structureInputs');
     container.innerHTML = '';
+    const searching = document.getElementById('structureSearch').value !== '';
 
+    // Group structures by category, in the category order used across the app
+    const groups = {};
     for (let structure of structures) {
-        const level = currentLevels[structure] || 1;
-        const maxLevel = Object.keys(structuresData[structure].levels).length;
-
-        const group = document.createElement('div');
-        group.className = 'structure-input-group';
-        group.innerHTML = `
-            <label>${structure}</label>
-            <div class="input-wrapper">
-                <input type="number" 
-                       min="1" 
-                       max="${maxLevel}" 
-                       value="${level}" 
-                       onchange="updateLevel('${structure}', this.value)"
-                       onkeyup="updateLevel('${structure}', this.value)">
-                <span style="color: #999; font-size: 12px;">/ ${maxLevel}</span>
-            </div>
-        </div>`;
-        container.appendChild(group);
+        const category = CalculatorModule.getStructureCategory(structure, structuresData);
+        groups[category] = groups[category] || [];
+        groups[category].push(structure);
+    }
+    const rank = (category) => {
+        const index = CalculatorModule.CATEGORY_ORDER.indexOf(category);
+        return index === -1 ? CalculatorModule.CATEGORY_ORDER.length : index;
+    };
+    const categories = Object.keys(groups).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+    for (let category of categories) {
+        const section = document.createElement('details');
+        section.className = 'structure-category';
+        section.open = searching || !collapsedCategories.includes(category);
+        section.innerHTML = `<summary>${formatCategoryName(category)} <span class="structure-category-count">${groups[category].length}</span></summary>`;
+        section.addEventListener('toggle', () => {
+            if (!searching) {
+                toggleCategoryCollapsed(category, !section.open);
+            }
+        });
+
+        for (let structure of groups[category]) {
+            const info = CalculatorModule.getStructureInfo(structure, structuresData);
+            const level = currentLevels[structure] || 1;
+
+            const group = document.createElement('div');
+            group.className = 'structure-input-group';
+            if (info.unlockable) {
+                group.innerHTML = `
+                <label class="unlock-toggle">
+                    <input type="checkbox"
+                           data-structure="${escapeHtml(structure)}"
+                           ${level >= info.maxLevel ? 'checked' : ''}>
+                    <span>${escapeHtml(info.icon)} ${escapeHtml(structure)}</span>
+                    <span style="color: #999; font-size: 12px;">Unlocked</span>
+                </label>
+                <div class="structure-warning" data-warning-for="${escapeHtml(structure)}"></div>`;
+            } else {
+                group.innerHTML = `
+                <label>${escapeHtml(info.icon)} ${escapeHtml(structure)}</label>
+                <div class="input-wrapper">
+                    <input type="number" 
+                           min="${info.minLevel}" 
+                           max="${info.maxLevel}" 
+                           value="${level}" 
+                           data-structure="${escapeHtml(structure)}">
+                    <span style="color: #999; font-size: 12px;">/ ${info.maxLevel}</span>
+                </div>
+                <div class="structure-warning" data-warning-for="${escapeHtml(structure)}"></div>`;
+            }
+            section.appendChild(group);
+        }
+        container.appendChild(section);
+    }
+    renderConsistencyWarnings();
+}
+
+function formatCategoryName(category) {
+    return category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+function toggleCategoryCollapsed(category, collapsed) {
+    collapsedCategories = collapsedCategories.filter(c => c !== category);
+    if (collapsed) {
+        collapsedCategories.push(category);
+    }
+    localStorage.setItem('collapsedCategories', JSON.stringify(collapsedCategories));
+}
+
+/**
+ * Show a structure's current level in its input, after it changed elsewhere
+ */
+function syncStructureInput(structure) {
+    const input = Array.from(document.querySelectorAll('#structureInputs input[data-structure]'))
+        .find(element => element.dataset.structure === structure);
+    if (!input) {
+        return;
+    }
+    if (input.type === 'checkbox') {
+        input.checked = currentLevels[structure] >= CalculatorModule.getStructureInfo(structure, structuresData).maxLevel;
+    } else {
+        input.value = currentLevels[structure];
     }
 }
 
 function updateLevel(structure, value) {
-    const numValue = parseInt(value) || 1;
-    const maxLevel = Object.keys(structuresData[structure].levels).length;
-    const clampedValue = Math.max(1, Math.min(maxLevel, numValue));
+    const info = CalculatorModule.getStructureInfo(structure, structuresData);
+    const numValue = parseInt(value) || info.minLevel;
+    const clampedValue = Math.max(info.minLevel, Math.min(info.maxLevel, numValue));
 
+    recordLevelChanges({ [structure]: [currentLevels[structure] || 1, clampedValue] }, null);
     currentLevels[structure] = clampedValue;
     saveLevels();
+    renderConsistencyWarnings();
+    renderChecklist();
 }
 
-function saveLevels() {
-    localStorage.setItem('structureLevels', JSON.stringify(currentLevels));
-    showSaveIndicator();
+/**
+ * Flag structures whose level is impossible given the levels of their prerequisites
+ * Updates the warnings in place so typing in an input keeps its focus
+ */
+function renderConsistencyWarnings() {
+    const issues = CalculatorModule.checkBaseConsistency(structuresData, currentLevels);
+    const byStructure = {};
+    for (let issue of issues) {
+        byStructure[issue.structure] = issue;
+    }
+
+    document.querySelectorAll('#structureInputs .structure-warning').forEach(warning => {
+        const issue = byStructure[warning.dataset.warningFor];
+        warning.textContent = issue ?
+            `Level ${issue.level} needs ${issue.missing.map(m => `${m.structure} ${m.level} (have ${m.currentLevel})`).join(', ')}` : '';
+        warning.parentElement.querySelector('input').classList.toggle('inconsistent', !!issue);
+    });
+
+    const summary = document.getElementById('consistencyWarning');
+    if (issues.length === 0) {
+        summary.classList.remove('show');
+        return;
+    }
+    summary.innerHTML = `<span>${issues.length} structure${issues.length === 1 ? ' is' : 's are'} above what ${issues.length === 1 ? 'its' : 'their'} prerequisites allow, so plans will come out too cheap.</span>
+        <button class="btn-secondary" onclick="raiseToImpliedLevels()">Raise to Minimum Levels</button>`;
+    summary.classList.add('show');
+}
+
+function raiseToImpliedLevels() {
+    const implied = CalculatorModule.getImpliedLevels(structuresData, currentLevels);
+    recordLevelChanges(getLevelChanges(currentLevels, implied), 'Raised to minimum levels');
+    applyLevels(implied);
+}
+
+/**
+ * Replace all current levels, e.g. after an undo or restoring a snapshot
+ */
+function applyLevels(levels) {
+    for (let structure of filteredStructures) {
+        currentLevels[structure] = levels[structure] || 1;
+    }
+    saveLevels();
+
+    filteredStructures.forEach(syncStructureInput);
+    renderConsistencyWarnings();
+    renderChecklist();
+}
+
+/**
+ * List the structures whose level differs between two level sets
+ * @returns {Object} - Map of structure name to [fromLevel, toLevel]
+ */
+function getLevelChanges(fromLevels, toLevels) {
+    const changes = {};
+    for (let structure of filteredStructures) {
+        const from = fromLevels[structure] || 1;
+        const to = toLevels[structure] || 1;
+        if (from !== to) {
+            changes[structure] = [from, to];
+        }
+    }
+    return changes;
 }
 
-function loadSavedLevels() {
-    const saved = localStorage.getItem('structureLevels');
+function loadLevelHistory() {
+    const saved = localStorage.getItem('levelHistory');
     if (saved) {
         try {
-            currentLevels = JSON.parse(saved);
-            renderStructureInputs(filteredStructures);
+            levelHistory = JSON.parse(saved) || {};
         } catch (error) {
-            console.error('Error loading saved levels:', error);
+            console.error('Error loading level history:', error);
         }
     }
 }
 
-function resetAllLevels() {
-    if (confirm('Are you sure you want to reset all structure levels to 1?')) {
-        for (let structure of filteredStructures) {
-            currentLevels[structure] = 1;
+function saveLevelHistory() {
+    // Like the profile itself, a shared link's history is only kept in memory
+    const saved = {};
+    for (let [id, history] of Object.entries(levelHistory)) {
+        if (id !== SHARED_PROFILE_ID && profiles[id]) {
+            saved[id] = history;
         }
-        saveLevels();
-        renderStructureInputs(filteredStructures);
     }
+    localStorage.setItem('levelHistory', JSON.stringify(saved));
 }
 
-function showSaveIndicator() {
-    const indicator = document.getElementById('saveIndicator');
-    indicator.classList.add('show');
-    setTimeout(() => {
-        indicator.classList.remove('show');
-    }, 3000);
+/**
+ * Get the active profile's history: a journal of level changes, the position
+ * up to which they are applied (entries after it can be redone), and snapshots
+ */
+function getLevelHistory() {
+    if (!levelHistory[activeProfileId]) {
+        levelHistory[activeProfileId] = { entries: [], position: 0, snapshots: [] };
+    }
+    return levelHistory[activeProfileId];
 }
 
-function showError(message) {
-    const errorDiv = document.getElementById('errorMessage');
-    errorDiv.textContent = message;
-    errorDiv.classList.add('show');
-}
+/**
+ * Add level changes to the journal, dropping anything that could be redone
+ * @param {Object} changes - Map of structure name to [fromLevel, toLevel]
+ * @param {string|null} label - Description, or null for an edit to a level input
+ */
+function recordLevelChanges(changes, label) {
+    const changed = Object.entries(changes).filter(([, [from, to]]) => from !== to);
+    if (changed.length === 0) {
+        return;
+    }
 
-function updateTargetLevels() {
-    const targetStructure = document.getElementById('targetStructure').value;
-    const targetLevelInput = document.getElementById('targetLevel');
+    const history = getLevelHistory();
+    history.entries.splice(history.position);
+    const now = Date.now();
+    const last = history.entries[history.entries.length - 1];
+    const [structure, [, to]] = changed[0];
 
-    if (targetStructure) {
-        const maxLevel = Object.keys(structuresData[targetStructure].levels).length;
-        targetLevelInput.max = maxLevel;
-        targetLevelInput.placeholder = `1 - ${maxLevel}`;
+    // Typing 1, 2 into a level input should undo as one change, not two
+    if (label === null && changed.length === 1 && last && last.label === null &&
+        Object.keys(last.changes).length === 1 && last.changes[structure] && now - Date.parse(last.time) < HISTORY_MERGE_MS &&
+        !history.snapshots.some(snapshot => snapshot.date >= last.time)) {
+        last.changes[structure][1] = to;
+        last.time = new Date(now).toISOString();
+        if (last.changes[structure][0] === to) {
+            history.entries.pop();
+        }
     } else {
-        targetLevelInput.value = '';
-        targetLevelInput.placeholder = 'Select a structure first';
+        history.entries.push({ time: new Date(now).toISOString(), label: label, changes: Object.fromEntries(changed) });
     }
+
+    history.entries.splice(0, Math.max(0, history.entries.length - HISTORY_LIMIT));
+    history.position = history.entries.length;
+    saveLevelHistory();
+    renderLevelHistory();
 }
 
-function calculateResources() {
-    const targetStructure = document.getElementById('targetStructure').value;
-    const targetLevel = parseInt(document.getElementById('targetLevel').value);
+function undoLevelChange() {
+    const history = getLevelHistory();
+    if (history.position === 0) {
+        return;
+    }
+    history.position--;
+    const levels = Object.assign({}, currentLevels);
+    for (let [structure, [from]] of Object.entries(history.entries[history.position].changes)) {
+        levels[structure] = from;
+    }
+    applyLevels(levels);
+    saveLevelHistory();
+    renderLevelHistory();
+}
 
-    if (!targetStructure || !targetLevel) {
-        showError('Please select a target structure and level');
+function redoLevelChange() {
+    const history = getLevelHistory();
+    if (history.position === history.entries.length) {
         return;
     }
+    const levels = Object.assign({}, currentLevels);
+    for (let [structure, [, to]] of Object.entries(history.entries[history.position].changes)) {
+        levels[structure] = to;
+    }
+    history.position++;
+    applyLevels(levels);
+    saveLevelHistory();
+    renderLevelHistory();
+}
 
-    if (targetLevel < 1) {
-        showError('Level must be at least 1');
+function takeSnapshot() {
+    const name = prompt('Name this snapshot:', new Date().toLocaleDateString());
+    if (name === null) {
         return;
     }
+    getLevelHistory().snapshots.push({
+        name: name.trim() || new Date().toLocaleDateString(),
+        date: new Date().toISOString(),
+        levels: Object.assign({}, currentLevels)
+    });
+    saveLevelHistory();
+    renderLevelHistory();
+}
 
-    const maxLevel = Object.keys(structuresData[targetStructure].levels).length;
-    if (targetLevel > maxLevel) {
-        showError(`Maximum level for ${targetStructure} is ${maxLevel}`);
+function restoreSnapshot(index) {
+    const snapshot = getLevelHistory().snapshots[index];
+    if (!confirm(`Replace your current levels with the snapshot "${snapshot.name}"? You can undo this.`)) {
         return;
     }
+    recordLevelChanges(getLevelChanges(currentLevels, snapshot.levels), `Restored "${snapshot.name}"`);
+    applyLevels(snapshot.levels);
+}
 
-    const currentLevel = currentLevels[targetStructure] || 1;
-    const constructionSpeedBonus = parseFloat(document.getElementById('constructionSpeedBonus').value) || 0;
+function deleteSnapshot(index) {
+    const history = getLevelHistory();
+    if (confirm(`Delete the snapshot "${history.snapshots[index].name}"?`)) {
+        history.snapshots.splice(index, 1);
+        saveLevelHistory();
+        renderLevelHistory();
+    }
+}
 
-    // Use the calculator module
-    const result = CalculatorModule.calculateResourcesRecursive(
-        targetStructure,
-        targetLevel,
-        currentLevel,
-        constructionSpeedBonus,
-        structuresData,
-        currentLevels
-    );
-    displayResults(result, targetStructure, targetLevel, currentLevel, constructionSpeedBonus);
+function describeLevelChanges(entry) {
+    const changes = Object.entries(entry.changes);
+    const details = changes.slice(0, 3).map(([structure, [from, to]]) => `${structure} ${from} → ${to}`).join(', ') +
+        (changes.length > 3 ? ` and ${changes.length - 3} more` : '');
+    return entry.label ? `${entry.label}: ${details}` : details;
 }
 
-function renderDependencyTree(tree, resourceOrder, depth = 0) {
-    let html = '';
-    const indent = depth * 20;
+function renderLevelHistory() {
+    const history = getLevelHistory();
+    document.getElementById('undoLevels').disabled = history.position === 0;
+    document.getElementById('redoLevels').disabled = history.position === history.entries.length;
 
-    if (tree.targetLevel <= tree.currentLevel) {
-        return html;
+    const snapshots = history.snapshots;
+    let html = '<h3 style="color: #333; margin-bottom: 10px; font-size: 16px;">Snapshots</h3>';
+    if (snapshots.length === 0) {
+        html += '<div style="color: #999; font-size: 13px; margin-bottom: 20px;">No snapshots yet. Take one to restore later or to see your progress since.</div>';
+    } else {
+        html += '<div style="margin-bottom: 20px;">';
+        snapshots.forEach((snapshot, index) => {
+            html += `<div class="plan-target">
+                <span>${escapeHtml(snapshot.name)} <span style="color: #999; font-size: 12px;">${new Date(snapshot.date).toLocaleString()}</span></span>
+                <span>
+                    <button class="btn-secondary scenario-button" onclick="restoreSnapshot(${index})">Restore</button>
+                    <button class="plan-target-remove" onclick="deleteSnapshot(${index})" title="Delete snapshot">✕</button>
+                </span>
+            </div>`;
+        });
+        html += '</div>';
+
+        const options = snapshots.map((snapshot, index) => `<option value="${index}">${escapeHtml(snapshot.name)}</option>`).join('');
+        html += '<h3 style="color: #333; margin-bottom: 10px; font-size: 16px;">Progress Since Snapshot</h3>';
+        html += `<div class="bonus-form" style="margin-bottom: 20px;">
+            <select id="progressFrom">${options}</select>
+            <select id="progressTo"><option value="">Current levels</option>${options}</select>
+            <button class="btn-secondary" onclick="showSnapshotProgress()">Show Progress</button>
+        </div>`;
+        html += '<div id="snapshotProgress"></div>';
     }
 
-    html += `<div style="margin-left: ${indent}px; margin-bottom: 15px; padding: 15px; background: #f8f9fa; border-radius: 5px; border-left: 4px solid #667eea;">`;
-    html += `<div class="dependency-name" style="margin-bottom: 10px;">${tree.structure} Level ${tree.currentLevel} → ${tree.targetLevel}</div>`;
-    // Show costs for this upgrade
-    html += '<div class="dependency-resources" style="margin-bottom: 10px;">';
-    let hasCosts = false;
-    for (let resource of resourceOrder) {
-        const amount = tree.costs[resource] || 0;
-        if (amount > 0) {
-            hasCosts = true;
-            html += `<div class="dependency-resource"><strong>${resource}:</strong> ${amount.toLocaleString()}</div>`;
+    html += '<h3 style="color: #333; margin-bottom: 10px; font-size: 16px;">Recent Changes</h3>';
+    if (history.entries.length === 0) {
+        html += '<div style="color: #999; font-size: 13px;">Level changes will be listed here.</div>';
+    } else {
+        html += '<div class="history-list">';
+        for (let i = history.entries.length - 1; i >= Math.max(0, history.entries.length - 20); i--) {
+            const entry = history.entries[i];
+            html += `<div class="history-entry${i >= history.position ? ' undone' : ''}">
+                <span class="history-time">${new Date(entry.time).toLocaleString()}</span>
+                <span>${escapeHtml(describeLevelChanges(entry))}</span>
+            </div>`;
         }
+        html += '</div>';
     }
-    if (!hasCosts) {
-        html += '<div class="dependency-resource" style="color: #999;">No additional costs</div>';
-    }
-    html += '</div>';
 
-    // Show upgrade time for this dependency
-    if (tree.time > 0) {
-        html += `<div style="padding: 8px; background: rgba(255,255,255,0.6); border-radius: 3px; text-align: center; margin-bottom: 10px;">`;
-        html += `<span style="color: #333; font-weight: 600; font-size: 13px;">Build Time: ${CalculatorModule.formatTime(tree.time)}</span>`;
-        html += `</div>`;
+    document.getElementById('historyContent').innerHTML = html;
+}
+
+/**
+ * Show the resources and build time spent between a snapshot and a later
+ * snapshot or the current levels
+ */
+function showSnapshotProgress() {
+    const snapshots = getLevelHistory().snapshots;
+    const from = snapshots[document.getElementById('progressFrom').value];
+    const toValue = document.getElementById('progressTo').value;
+    const to = toValue === '' ? null : snapshots[toValue];
+
+    const progress = CalculatorModule.calculateLevelProgress(
+        from.levels, to ? to.levels : currentLevels, structuresData, getSpeedBonusModel()
+    );
+    const container = document.getElementById('snapshotProgress');
+    const built = progress.structures.filter(entry => entry.toLevel > entry.fromLevel);
+    if (built.length === 0) {
+        container.innerHTML = `<div class="no-results">No levels were gained between "${escapeHtml(from.name)}" and ${to ? `"${escapeHtml(to.name)}"` : 'now'}.</div>`;
+        return;
     }
 
-    // Show nested dependencies
-    if (tree.children && tree.children.length > 0) {
-        html += '<div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #ddd;">';
-        html += '<div style="font-size: 12px; font-weight: 600; color: #666; margin-bottom: 10px;">Required dependencies:</div>';
-        for (let child of tree.children) {
-            html += renderDependencyTree(child, resourceOrder, depth + 1);
-        }
-        html += '</div>';
+    let html = `<p style="color: #333; font-weight: 600; margin-bottom: 15px;">${built.length} structure${built.length === 1 ? '' : 's'} upgraded, ${CalculatorModule.formatTime(progress.totalTime)} of building</p>`;
+    html += renderResourceCards(progress.totalCosts, getResultResources(progress.totalCosts));
+    html += '<div class="level-table-wrap" style="margin: 15px 0 20px;"><table class="level-table text-table">';
+    html += '<thead><tr><th>Structure</th><th>Levels</th><th>Time</th></tr></thead><tbody>';
+    for (let entry of built) {
+        html += `<tr><td>${escapeHtml(entry.structure)}</td><td>${entry.fromLevel} → ${entry.toLevel}</td><td>${CalculatorModule.formatTime(entry.time)}</td></tr>`;
     }
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+}
 
-    html += '</div>';
-    return html;
+function saveLevels() {
+    profiles[activeProfileId].levels = currentLevels;
+    saveProfiles();
+    if (activeProfileId !== SHARED_PROFILE_ID) {
+        showSaveIndicator();
+    }
 }
 
-function displayResults(result, targetStructure, targetLevel, currentLevel, constructionSpeedBonus = 0) {
-    const container = document.getElementById('resultsContainer');
-    const content = document.getElementById('resultsContent');
+function createProfileData(name) {
+    return {
+        name: name,
+        levels: {},
+        constructionSpeedBonus: 0,
+        settings: normalizeProfileSettings({})
+    };
+}
 
-    const resourceOrder = ['food', 'metal', 'wood', 'energy', 'tech'];
+function normalizeProfileSettings(settings) {
+    const savedInventory = settings.inventory || {};
+    return {
+        builderSlots: Math.max(1, parseInt(settings.builderSlots) || 1),
+        inventory: { stock: savedInventory.stock || {}, production: savedInventory.production || {} },
+        plan: Array.isArray(settings.plan) ? settings.plan : [],
+        speedBonuses: Array.isArray(settings.speedBonuses) ? settings.speedBonuses : [],
+        costReductions: Array.isArray(settings.costReductions) ? settings.costReductions : [],
+        scenarios: Array.isArray(settings.scenarios) ? settings.scenarios : [],
+        speedupTargetHours: settings.speedupTargetHours !== undefined ? settings.speedupTargetHours : null,
+        checklist: settings.checklist && Array.isArray(settings.checklist.steps) ? settings.checklist : null
+    };
+}
 
-    let html = '';
+function generateProfileId() {
+    return 'profile-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
 
-    // Display upgrade range
-    html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
-    html += `<p style="color: #333; font-weight: 600; margin: 0;">Upgrade Path: ${targetStructure} Level ${currentLevel} → Level ${targetLevel}</p>`;
-    html += '</div>';
+function saveProfiles() {
+    // A shared link is only kept in memory until it is saved as a profile
+    const saved = Object.assign({}, profiles);
+    delete saved[SHARED_PROFILE_ID];
+    const savedActiveId = activeProfileId === SHARED_PROFILE_ID ? sharedReturnProfileId : activeProfileId;
+    localStorage.setItem('baseProfiles', JSON.stringify({ activeProfileId: savedActiveId, profiles: saved }));
+}
 
-    // Display individual structure cost
-    html += '<div style="margin-bottom: 30px;">';
-    html += `<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Cost to Upgrade ${targetStructure} (Levels ${currentLevel + 1} - ${targetLevel})</h3>`;
-    html += '<div class="resource-display">';
+function loadProfiles() {
+    const saved = localStorage.getItem('baseProfiles');
+    if (saved) {
+        try {
+            const parsed = JSON.parse(saved);
+            profiles = parsed.profiles || {};
+            activeProfileId = parsed.activeProfileId;
+        } catch (error) {
+            console.error('Error loading saved profiles:', error);
+        }
+    }
+
+    if (Object.keys(profiles).length === 0) {
+        migrateLegacyStorage();
+    }
+    if (!profiles[activeProfileId]) {
+        activeProfileId = Object.keys(profiles)[0];
+    }
+
+    applyProfile();
+}
+
+/**
+ * Move data saved before profiles existed into a "Main Base" profile
+ */
+function migrateLegacyStorage() {
+    const profile = createProfileData('Main Base');
+
+    const legacyKeys = {
+        structureLevels: (value) => { profile.levels = value; },
+        resourceInventory: (value) => { profile.settings.inventory = normalizeProfileSettings({ inventory: value }).inventory; },
+        buildPlan: (value) => { profile.settings.plan = Array.isArray(value) ? value : []; }
+    };
+    for (let [key, apply] of Object.entries(legacyKeys)) {
+        const saved = localStorage.getItem(key);
+        if (saved) {
+            try {
+                apply(JSON.parse(saved));
+            } catch (error) {
+                console.error(`Error migrating saved ${key}:`, error);
+            }
+        }
+    }
+
+    const id = generateProfileId();
+    profiles = { [id]: profile };
+    activeProfileId = id;
+    saveProfiles();
+
+    for (let key of Object.keys(legacyKeys)) {
+        localStorage.removeItem(key);
+    }
+}
+
+function applyProfile() {
+    const profile = profiles[activeProfileId];
+    profile.settings = normalizeProfileSettings(profile.settings || {});
+
+    currentLevels = {};
+    for (let structure of filteredStructures) {
+        currentLevels[structure] = parseInt(profile.levels[structure]) || 1;
+    }
+    inventory = profile.settings.inventory;
+    planTargets = profile.settings.plan.filter(t => structuresData[t.structure]);
+
+    document.getElementById('constructionSpeedBonus').value = profile.constructionSpeedBonus || 0;
+    document.getElementById('builderSlots').value = profile.settings.builderSlots;
+    document.getElementById('speedupTarget').value = profile.settings.speedupTargetHours !== null ? profile.settings.speedupTargetHours : '';
+    document.getElementById('structureSearch').value = '';
+
+    renderProfileSelect();
+    renderStructureInputs(filteredStructures);
+    renderPlanTargets();
+    renderInventoryInputs();
+    renderSpeedBonuses();
+    renderCostReductions();
+    renderChecklist();
+    renderScenarios();
+    renderLevelHistory();
+}
+
+function renderProfileSelect() {
+    const select = document.getElementById('profileSelect');
+    select.innerHTML = '';
+    const sorted = Object.entries(profiles).sort((a, b) => a[1].name.localeCompare(b[1].name));
+    for (let [id, profile] of sorted) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = id === SHARED_PROFILE_ID ? `${profile.name} (shared link)` : profile.name;
+        option.selected = id === activeProfileId;
+        select.appendChild(option);
+    }
+}
+
+function switchProfile(id) {
+    if (!profiles[id]) {
+        return;
+    }
+    if (activeProfileId === SHARED_PROFILE_ID && id !== SHARED_PROFILE_ID) {
+        leaveSharedView();
+    }
+    activeProfileId = id;
+    saveProfiles();
+    applyProfile();
+    document.getElementById('resultsContainer').style.display = 'none';
+}
+
+function createProfile() {
+    const name = prompt('Name for the new profile:', 'New Base');
+    if (!name || !name.trim()) {
+        return;
+    }
+    const id = generateProfileId();
+    profiles[id] = createProfileData(name.trim());
+    switchProfile(id);
+}
+
+function renameProfile() {
+    const profile = profiles[activeProfileId];
+    const name = prompt('Rename profile:', profile.name);
+    if (!name || !name.trim()) {
+        return;
+    }
+    profile.name = name.trim();
+    saveProfiles();
+    renderProfileSelect();
+}
+
+function cloneProfile() {
+    const copy = JSON.parse(JSON.stringify(profiles[activeProfileId]));
+    copy.name = `${copy.name} (copy)`;
+    const id = generateProfileId();
+    profiles[id] = copy;
+    switchProfile(id);
+}
+
+function deleteProfile() {
+    if (activeProfileId === SHARED_PROFILE_ID) {
+        closeSharedView();
+        return;
+    }
+    if (Object.keys(profiles).filter(id => id !== SHARED_PROFILE_ID).length === 1) {
+        showError('You need at least one profile. Create another one before deleting this one.');
+        return;
+    }
+    if (confirm(`Are you sure you want to delete the profile "${profiles[activeProfileId].name}"?`)) {
+        delete profiles[activeProfileId];
+        switchProfile(Object.keys(profiles).find(id => id !== SHARED_PROFILE_ID));
+    }
+}
+
+function updateSpeedBonus(value) {
+    profiles[activeProfileId].constructionSpeedBonus = parseFloat(value) || 0;
+    saveProfiles();
+}
+
+function updateBuilderSlots(value) {
+    profiles[activeProfileId].settings.builderSlots = Math.max(1, parseInt(value) || 1);
+    saveProfiles();
+}
+
+function updateSpeedupTarget(value) {
+    const hours = parseFloat(value);
+    profiles[activeProfileId].settings.speedupTargetHours = hours >= 0 ? hours : null;
+    saveProfiles();
+}
+
+/**
+ * Get the speed bonus model for a profile: its base bonus plus its extra
+ * per-structure, per-category and time-limited bonuses, and its cost reductions
+ * The active profile's base bonus is read from its input
+ * @param {string} profileId - Profile to use, defaults to the active profile
+ */
+function getSpeedBonusModel(profileId = activeProfileId) {
+    const profile = profiles[profileId];
+    const settings = normalizeProfileSettings(profile.settings || {});
+    return {
+        base: profileId === activeProfileId ?
+            parseFloat(document.getElementById('constructionSpeedBonus').value) || 0 :
+            parseFloat(profile.constructionSpeedBonus) || 0,
+        extra: settings.speedBonuses,
+        costReductions: settings.costReductions
+    };
+}
+
+function renderScopeOptions(select) {
+    const categories = [...new Set(filteredStructures.map(s => CalculatorModule.getStructureCategory(s, structuresData)))].sort();
+    select.innerHTML = '<option value="">All structures</option>' +
+        categories.map(category => `<option value="category:${escapeHtml(category)}">Category: ${escapeHtml(category)}</option>`).join('') +
+        filteredStructures.map(structure => `<option value="structure:${escapeHtml(structure)}">${escapeHtml(structure)}</option>`).join('');
+}
+
+function renderSpeedBonuses() {
+    renderScopeOptions(document.getElementById('bonusScope'));
+
+    const container = document.getElementById('speedBonusList');
+    const bonuses = profiles[activeProfileId].settings.speedBonuses;
+    container.innerHTML = bonuses.map((entry, index) => {
+        let window = '';
+        if (entry.start !== undefined || entry.end !== undefined) {
+            window = ` · from ${(entry.start || 0) / 3600}h` + (entry.end !== undefined ? ` until ${entry.end / 3600}h` : '');
+        }
+        return `<div class="plan-target">
+            <span>+${escapeHtml(entry.bonus)}% ${escapeHtml(entry.structure || (entry.category ? `${entry.category} structures` : 'all structures'))}${escapeHtml(window)}</span>
+            <button class="plan-target-remove" onclick="removeSpeedBonus(${index})" title="Remove bonus">✕</button>
+        </div>`;
+    }).join('');
+}
+
+function addSpeedBonus() {
+    const bonus = parseFloat(document.getElementById('bonusPercent').value);
+    if (!bonus) {
+        showError('Enter the extra bonus percentage');
+        return;
+    }
+
+    const entry = { bonus: bonus };
+    const [scopeType, scopeName] = document.getElementById('bonusScope').value.split(/:(.+)/);
+    if (scopeType === 'structure' || scopeType === 'category') {
+        entry[scopeType] = scopeName;
+    }
+
+    const startHours = parseFloat(document.getElementById('bonusStart').value);
+    const endHours = parseFloat(document.getElementById('bonusEnd').value);
+    if (startHours >= 0) {
+        entry.start = startHours * 3600;
+    }
+    if (endHours > 0) {
+        if (endHours <= (startHours || 0)) {
+            showError('The bonus must end after it starts');
+            return;
+        }
+        entry.end = endHours * 3600;
+    }
+
+    profiles[activeProfileId].settings.speedBonuses.push(entry);
+    saveProfiles();
+    renderSpeedBonuses();
+    document.getElementById('bonusPercent').value = '';
+    document.getElementById('bonusStart').value = '';
+    document.getElementById('bonusEnd').value = '';
+}
+
+function removeSpeedBonus(index) {
+    profiles[activeProfileId].settings.speedBonuses.splice(index, 1);
+    saveProfiles();
+    renderSpeedBonuses();
+}
+
+function renderCostReductions() {
+    renderScopeOptions(document.getElementById('reductionScope'));
+    document.getElementById('reductionResource').innerHTML = '<option value="">All resources</option>' +
+        resourceOrder.map(resource => `<option value="${escapeHtml(resource)}">${escapeHtml(CalculatorModule.getResourceInfo(resource).name)}</option>`).join('');
+
+    const container = document.getElementById('costReductionList');
+    const reductions = profiles[activeProfileId].settings.costReductions;
+    container.innerHTML = reductions.map((entry, index) => {
+        const resource = entry.resource ? CalculatorModule.getResourceInfo(entry.resource).name.toLowerCase() : 'all resources';
+        const scope = entry.structure || (entry.category ? `${entry.category} structures` : 'all structures');
+        return `<div class="plan-target">
+            <span>−${escapeHtml(entry.percent)}% ${escapeHtml(resource)} · ${escapeHtml(scope)}</span>
+            <button class="plan-target-remove" onclick="removeCostReduction(${index})" title="Remove reduction">✕</button>
+        </div>`;
+    }).join('');
+}
+
+function addCostReduction() {
+    const percent = parseFloat(document.getElementById('reductionPercent').value);
+    if (!(percent > 0 && percent <= 100)) {
+        showError('Enter a cost reduction between 0 and 100%');
+        return;
+    }
+
+    const entry = { percent: percent };
+    const resource = document.getElementById('reductionResource').value;
+    if (resource) {
+        entry.resource = resource;
+    }
+    const [scopeType, scopeName] = document.getElementById('reductionScope').value.split(/:(.+)/);
+    if (scopeType === 'structure' || scopeType === 'category') {
+        entry[scopeType] = scopeName;
+    }
+
+    profiles[activeProfileId].settings.costReductions.push(entry);
+    saveProfiles();
+    renderCostReductions();
+    document.getElementById('reductionPercent').value = '';
+}
+
+function removeCostReduction(index) {
+    profiles[activeProfileId].settings.costReductions.splice(index, 1);
+    saveProfiles();
+    renderCostReductions();
+}
+
+function formatBonusSources(sources) {
+    return escapeHtml(sources.map(source => `${source.label} ${source.bonus}%`).join(' + '));
+}
+
+function exportProfile() {
+    const profile = profiles[activeProfileId];
+    const data = CalculatorModule.createProfileExport(profile);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${profile.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'profile'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function importProfileFile(input) {
+    const file = input.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const imported = CalculatorModule.parseProfileImport(JSON.parse(reader.result));
+            if (!imported) {
+                throw new Error('Not a profile export');
+            }
+            addImportedProfile(imported);
+        } catch (error) {
+            console.error('Error importing profile:', error);
+            showError(`Could not import ${file.name}. Make sure it is a profile exported from this calculator.`);
+        }
+    };
+    reader.readAsText(file);
+    input.value = '';
+}
+
+function importShareCode() {
+    const code = prompt('Paste a share code:', '');
+    if (!code) {
+        return;
+    }
+    const imported = CalculatorModule.decodeShareCode(code, structuresData);
+    if (!imported) {
+        showError('That share code is not valid.');
+        return;
+    }
+    addImportedProfile(imported);
+}
+
+function showShareCode() {
+    const code = CalculatorModule.encodeShareCode(profiles[activeProfileId]);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(code).catch(() => { });
+    }
+    prompt('Share code for this profile (copied to clipboard):', code);
+}
+
+/**
+ * Copy a link that opens the current levels, settings and target in the calculator
+ */
+function copyShareLink() {
+    const targetStructure = document.getElementById('targetStructure').value;
+    const targetLevel = parseInt(document.getElementById('targetLevel').value);
+    const target = targetStructure && targetLevel ? { structure: targetStructure, level: targetLevel } : null;
+
+    const code = CalculatorModule.encodeShareCode(profiles[activeProfileId], target);
+    const link = `${location.href.split('#')[0]}#${code}`;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link).catch(() => { });
+    }
+    prompt('Link to this calculation (copied to clipboard):', link);
+}
+
+function openSharedLinkFromHash() {
+    const code = decodeURIComponent(location.hash.slice(1));
+    if (code) {
+        openSharedLink(code);
+    }
+}
+
+/**
+ * Show a shared link without touching the saved profiles
+ * The link's levels and settings are loaded as a temporary profile until the
+ * user saves it as a profile of their own or goes back to their bases.
+ *
+ * @param {string} code - Share code from the link
+ */
+function openSharedLink(code) {
+    const shared = CalculatorModule.decodeShareCode(code, structuresData);
+    if (!shared) {
+        showError('That link is not a valid calculator link.');
+        return;
+    }
+
+    if (activeProfileId !== SHARED_PROFILE_ID) {
+        sharedReturnProfileId = activeProfileId;
+    }
+    profiles[SHARED_PROFILE_ID] = {
+        name: shared.name,
+        levels: shared.levels,
+        constructionSpeedBonus: shared.constructionSpeedBonus,
+        settings: normalizeProfileSettings(shared.settings)
+    };
+    activeProfileId = SHARED_PROFILE_ID;
+    applyProfile();
+
+    document.getElementById('sharedBannerText').textContent =
+        `You are viewing a shared link for "${shared.name}". Your saved levels have not been changed.`;
+    document.getElementById('sharedBanner').style.display = 'flex';
+
+    if (shared.target && structuresData[shared.target.structure]) {
+        document.getElementById('targetStructure').value = shared.target.structure;
+        updateTargetLevels();
+        document.getElementById('targetLevel').value = shared.target.level;
+        calculateResources();
+    } else if (planTargets.length > 0) {
+        calculatePlanResources();
+    } else {
+        document.getElementById('resultsContainer').style.display = 'none';
+    }
+}
+
+function saveSharedView() {
+    const shared = profiles[SHARED_PROFILE_ID];
+    if (shared) {
+        addImportedProfile(shared);
+    }
+}
+
+function closeSharedView() {
+    if (activeProfileId === SHARED_PROFILE_ID) {
+        switchProfile(sharedReturnProfileId);
+    }
+}
+
+function leaveSharedView() {
+    delete profiles[SHARED_PROFILE_ID];
+    sharedReturnProfileId = null;
+    document.getElementById('sharedBanner').style.display = 'none';
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+function addImportedProfile(imported) {
+    const names = Object.entries(profiles).filter(([id]) => id !== SHARED_PROFILE_ID).map(([, profile]) => profile.name);
+    let name = imported.name;
+    for (let i = 2; names.includes(name); i++) {
+        name = `${imported.name} (${i})`;
+    }
+
+    const id = generateProfileId();
+    profiles[id] = {
+        name: name,
+        levels: imported.levels,
+        constructionSpeedBonus: imported.constructionSpeedBonus,
+        settings: normalizeProfileSettings(imported.settings)
+    };
+    switchProfile(id);
+}
+
+function resetAllLevels() {
+    if (confirm('Are you sure you want to reset all structure levels to 1? You can undo this.')) {
+        recordLevelChanges(getLevelChanges(currentLevels, {}), 'Reset all levels');
+        applyLevels({});
+    }
+}
+
+function renderInventoryInputs() {
+    const container = document.getElementById('inventoryInputs');
+    container.innerHTML = '';
+
+    for (let resource of resourceOrder) {
+        const info = CalculatorModule.getResourceInfo(resource);
+        const row = document.createElement('div');
+        row.className = 'inventory-row';
+        row.innerHTML = `
+            <label>${escapeHtml(info.icon)} ${escapeHtml(info.name)}</label>
+            <input type="number" min="0" placeholder="Stock"
+                   value="${escapeHtml(inventory.stock[resource] || '')}" data-resource="${escapeHtml(resource)}"
+                   onchange="updateInventory(this.dataset.resource, 'stock', this.value)">
+            <input type="number" min="0" placeholder="Per hour"
+                   value="${escapeHtml(inventory.production[resource] || '')}" data-resource="${escapeHtml(resource)}"
+                   onchange="updateInventory(this.dataset.resource, 'production', this.value)">`;
+        container.appendChild(row);
+    }
+}
+
+function updateInventory(resource, field, value) {
+    const numValue = Math.max(0, parseFloat(value) || 0);
+    if (numValue > 0) {
+        inventory[field][resource] = numValue;
+    } else {
+        delete inventory[field][resource];
+    }
+    saveInventory();
+}
+
+function saveInventory() {
+    profiles[activeProfileId].settings.inventory = inventory;
+    saveProfiles();
+    showSaveIndicator();
+}
+
+function clearInventory() {
+    if (confirm('Are you sure you want to clear all resource amounts and production rates?')) {
+        inventory = { stock: {}, production: {} };
+        saveInventory();
+        renderInventoryInputs();
+    }
+}
+
+function hasInventory() {
+    return Object.keys(inventory.stock).length > 0 || Object.keys(inventory.production).length > 0;
+}
+
+function showSaveIndicator() {
+    const indicator = document.getElementById('saveIndicator');
+    indicator.classList.add('show');
+    setTimeout(() => {
+        indicator.classList.remove('show');
+    }, 3000);
+}
+
+/**
+ * Escape text before it goes into innerHTML, in element content or attribute values
+ * Names, labels and amounts can come from imported files and shared links
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function showError(message) {
+    const errorDiv = document.getElementById('errorMessage');
+    errorDiv.textContent = message;
+    errorDiv.classList.add('show');
+}
+
+function updateTargetLevels() {
+    const targetStructure = document.getElementById('targetStructure').value;
+    const targetLevelInput = document.getElementById('targetLevel');
+
+    if (targetStructure) {
+        const maxLevel = CalculatorModule.getStructureInfo(targetStructure, structuresData).maxLevel;
+        targetLevelInput.max = maxLevel;
+        targetLevelInput.placeholder = `1 - ${maxLevel}`;
+    } else {
+        targetLevelInput.value = '';
+        targetLevelInput.placeholder = 'Select a structure first';
+    }
+}
+
+/**
+ * Read and validate the target structure and level inputs
+ * @returns {Object|null} - { targetStructure, targetLevel } or null if invalid
+ */
+function getTargetInput() {
+    const targetStructure = document.getElementById('targetStructure').value;
+    const targetLevel = parseInt(document.getElementById('targetLevel').value);
+
+    if (!targetStructure || !targetLevel) {
+        showError('Please select a target structure and level');
+        return null;
+    }
+
+    if (targetLevel < 1) {
+        showError('Level must be at least 1');
+        return null;
+    }
+
+    const maxLevel = CalculatorModule.getStructureInfo(targetStructure, structuresData).maxLevel;
+    if (targetLevel > maxLevel) {
+        showError(`Maximum level for ${targetStructure} is ${maxLevel}`);
+        return null;
+    }
+
+    return { targetStructure, targetLevel };
+}
+
+function calculateResources() {
+    const target = getTargetInput();
+    if (!target) {
+        return;
+    }
+    const { targetStructure, targetLevel } = target;
+
+    const currentLevel = currentLevels[targetStructure] || 1;
+    const constructionSpeedBonus = getSpeedBonusModel();
+
+    // Use the calculator module
+    const result = CalculatorModule.calculateResourcesRecursive(
+        targetStructure,
+        targetLevel,
+        currentLevel,
+        constructionSpeedBonus,
+        structuresData,
+        currentLevels
+    );
+    const tree = CalculatorModule.buildDependencyTree(
+        targetStructure,
+        targetLevel,
+        currentLevel,
+        structuresData,
+        currentLevels,
+        constructionSpeedBonus
+    );
+    const schedule = CalculatorModule.scheduleUpgrades(tree, structuresData, constructionSpeedBonus, getBuilderSlots());
+    const graph = CalculatorModule.buildDependencyGraph(
+        [{ structure: targetStructure, level: targetLevel }],
+        structuresData,
+        currentLevels,
+        constructionSpeedBonus
+    );
+    displayResults(result, graph, schedule, targetStructure, targetLevel, currentLevel);
+}
+
+function getBuilderSlots() {
+    return Math.max(1, parseInt(document.getElementById('builderSlots').value) || 1);
+}
+
+function addPlanTarget() {
+    const target = getTargetInput();
+    if (!target) {
+        return;
+    }
+
+    // Replace an existing entry for the same structure instead of adding a duplicate
+    const existing = planTargets.find(t => t.structure === target.targetStructure);
+    if (existing) {
+        existing.level = target.targetLevel;
+    } else {
+        planTargets.push({ structure: target.targetStructure, level: target.targetLevel });
+    }
+
+    savePlan();
+    renderPlanTargets();
+}
+
+function removePlanTarget(index) {
+    planTargets.splice(index, 1);
+    savePlan();
+    renderPlanTargets();
+}
+
+function clearPlan() {
+    planTargets = [];
+    savePlan();
+    renderPlanTargets();
+}
+
+function savePlan() {
+    profiles[activeProfileId].settings.plan = planTargets;
+    saveProfiles();
+}
+
+function renderPlanTargets() {
+    const container = document.getElementById('planTargets');
+    const actions = document.getElementById('planActions');
+
+    if (planTargets.length === 0) {
+        container.innerHTML = '<div style="color: #999; font-size: 13px;">No targets yet. Pick a structure and level, then click "Add to Plan".</div>';
+        actions.style.display = 'none';
+        return;
+    }
+
+    let html = '';
+    planTargets.forEach((target, index) => {
+        html += `<div class="plan-target">
+            <span>${target.structure} → Level ${target.level}</span>
+            <button class="plan-target-remove" onclick="removePlanTarget(${index})" title="Remove from plan">✕</button>
+        </div>`;
+    });
+    container.innerHTML = html;
+    actions.style.display = 'flex';
+}
+
+function calculatePlanResources() {
+    if (planTargets.length === 0) {
+        showError('Add at least one target to the plan');
+        return;
+    }
+
+    const constructionSpeedBonus = getSpeedBonusModel();
+
+    const result = CalculatorModule.calculatePlan(
+        planTargets,
+        constructionSpeedBonus,
+        structuresData,
+        currentLevels
+    );
+    const tree = CalculatorModule.buildPlanTree(
+        planTargets,
+        structuresData,
+        currentLevels,
+        constructionSpeedBonus
+    );
+    const schedule = CalculatorModule.scheduleUpgrades(tree, structuresData, constructionSpeedBonus, getBuilderSlots());
+    const graph = CalculatorModule.buildDependencyGraph(planTargets, structuresData, currentLevels, constructionSpeedBonus);
+    displayPlanResults(result, graph, schedule);
+}
+
+function renderDependencyGraph(graph) {
+    let html = '<div class="dependencies-section">';
+    html += '<h3>Dependency Graph</h3>';
+    html += '<p style="color: #666; font-size: 14px; margin-bottom: 15px;">Prerequisites are on the left. Shared prerequisites appear once, ';
+    html += `and the critical path (${CalculatorModule.formatTime(graph.criticalTime)} with unlimited builders) is highlighted in pink. `;
+    html += 'Click a node for details or its circle to hide its prerequisites.';
+    if (hasInventory()) {
+        html += ' The dot on each node shows whether it can start now with your resources: green if it can, yellow if resources are short, grey if it waits on prerequisites.';
+    }
+    html += '</p>';
+    html += '<div class="graph-toolbar">';
+    html += '<button class="btn-secondary" onclick="GraphModule.setAllCollapsed(true)">Collapse All</button>';
+    html += '<button class="btn-secondary" onclick="GraphModule.setAllCollapsed(false)">Expand All</button>';
+    html += '<button class="btn-secondary" onclick="GraphModule.exportPng()">Export PNG</button>';
+    html += '<button class="btn-secondary" onclick="GraphModule.exportSvg()">Export SVG</button>';
+    html += '</div>';
+    html += '<div id="dependencyGraph" class="graph-container"></div>';
+    html += '<div id="graphNodeDetails"></div>';
+    html += '</div>';
+    return html;
+}
+
+function showDependencyGraph(graph) {
+    const container = document.getElementById('dependencyGraph');
+    if (container) {
+        const statuses = {};
+        if (hasInventory()) {
+            for (let node of graph.nodes) {
+                const status = getStartStatus(node.structure, node.fromLevel).status;
+                statuses[node.id] = { status: status, label: START_STATUS_LABELS[status] };
+            }
+        }
+        GraphModule.render(container, graph, node => {
+            document.getElementById('graphNodeDetails').innerHTML = renderGraphNodeDetails(node, graph);
+        }, statuses);
+    }
+}
+
+function renderGraphNodeDetails(node, graph) {
+    const border = node.critical ? '#fa709a' : (node.target ? '#43e97b' : '#667eea');
+    let html = `<div class="dependency-item" style="margin-top: 15px; border-left-color: ${border};">`;
+    html += `<div class="dependency-name" style="margin-bottom: 10px;">${node.structure} Level ${node.fromLevel} → ${node.toLevel}</div>`;
+    html += '<div class="dependency-resources" style="margin-bottom: 10px;">';
+    let hasCosts = false;
     for (let resource of resourceOrder) {
-        const amount = result.individualCosts[resource] || 0;
+        const amount = node.costs[resource] || 0;
+        if (amount > 0) {
+            hasCosts = true;
+            html += `<div class="dependency-resource"><strong>${CalculatorModule.getResourceInfo(resource).name}:</strong> ${amount.toLocaleString()}</div>`;
+        }
+    }
+    if (!hasCosts) {
+        html += '<div class="dependency-resource" style="color: #999;">No additional costs</div>';
+    }
+    html += '</div>';
+    html += `<div style="font-size: 13px; color: #333; font-weight: 600;">Build Time: ${CalculatorModule.formatTime(node.time)}</div>`;
+    if (node.bonusSources.length > 0) {
+        html += `<div style="font-size: 11px; color: #666; margin-top: 4px;">Speed bonus ${node.speedBonus}%: ${formatBonusSources(node.bonusSources)}</div>`;
+    }
+
+    const neededBy = graph.edges.filter(edge => edge.to === node.id).map(edge => edge.from.replace('@', ' '));
+    if (node.prerequisites.length > 0) {
+        html += `<div style="font-size: 12px; color: #666; margin-top: 8px;">Needs: ${node.prerequisites.map(id => id.replace('@', ' ')).join(', ')}</div>`;
+    }
+    if (neededBy.length > 0) {
+        html += `<div style="font-size: 12px; color: #666; margin-top: 4px;">Needed by: ${neededBy.join(', ')}</div>`;
+    }
+    if (node.critical) {
+        html += '<div style="font-size: 12px; color: #fa709a; font-weight: 600; margin-top: 4px;">On the critical path</div>';
+    }
+    html += renderInventoryStatus(node.structure, node.fromLevel, node.costs);
+    html += '</div>';
+    return html;
+}
+
+function renderShortfall(costs) {
+    if (!hasInventory()) {
+        return '';
+    }
+
+    const shortfall = CalculatorModule.calculateShortfall(costs, inventory.stock);
+    let html = '<div style="margin-bottom: 30px; padding: 20px; background: #fff8e1; border-radius: 5px; border-left: 4px solid #f6d365;">';
+    html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Shortfall Against My Resources</h3>';
+
+    if (Object.keys(shortfall).length === 0) {
+        html += '<p style="color: #155724; font-weight: 600; margin: 0;">✓ You have enough resources for the whole upgrade.</p>';
+        html += '</div>';
+        return html;
+    }
+
+    html += renderResourceCards(shortfall, resourceOrder.filter(resource => shortfall[resource]));
+
+    const timeToAfford = CalculatorModule.estimateTimeToAfford(costs, inventory.stock, inventory.production);
+    html += `<div style="padding: 10px; background: rgba(255,255,255,0.7); border-radius: 5px; text-align: center;">`;
+    if (timeToAfford === Infinity) {
+        html += '<span style="color: #666; font-weight: 600;">Enter hourly production for the missing resources to estimate when you can afford it.</span>';
+    } else {
+        html += `<span style="color: #333; font-weight: 600;">Affordable in: ${CalculatorModule.formatTime(timeToAfford)} at current production</span>`;
+    }
+    html += '</div>';
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Render what cost reductions save on a result, per resource
+ */
+function renderCostSavings(result) {
+    const resources = resourceOrder.filter(resource => (result.grossCosts[resource] || 0) > (result.totalCosts[resource] || 0));
+    if (resources.length === 0) {
+        return '';
+    }
+
+    let html = '<div style="margin-bottom: 30px; padding: 20px; background: #e8f5e9; border-radius: 5px; border-left: 4px solid #28a745;">';
+    html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Cost Reductions</h3>';
+    html += '<div class="level-table-wrap"><table class="level-table totals-table">';
+    html += '<thead><tr><th>Resource</th><th>Gross</th><th>Discounted</th><th>Saved</th></tr></thead><tbody>';
+    for (let resource of resources) {
+        const info = CalculatorModule.getResourceInfo(resource);
+        const gross = result.grossCosts[resource] || 0;
+        const discounted = result.totalCosts[resource] || 0;
+        html += `<tr><td>${info.icon} ${info.name}</td><td>${gross.toLocaleString()}</td><td>${discounted.toLocaleString()}</td>`;
+        html += `<td>${(gross - discounted).toLocaleString()} (${((gross - discounted) / gross * 100).toFixed(1)}%)</td></tr>`;
+    }
+    html += '</tbody></table></div>';
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Check whether an upgrade of a structure from a level can be started now
+ * An upgrade from above the structure's current level waits on its own lower levels.
+ */
+function getStartStatus(structure, fromLevel) {
+    if (fromLevel > (currentLevels[structure] || 1)) {
+        return { status: 'blocked', unmetRequirements: [`Level ${fromLevel} ${structure}`], shortfall: {} };
+    }
+    return CalculatorModule.getNextStepStatus(
+        structure, fromLevel, structuresData, currentLevels, inventory.stock, getSpeedBonusModel()
+    );
+}
+
+/**
+ * Render whether the next level of a structure can be started now, and what
+ * this part of the upgrade is short of
+ */
+function renderInventoryStatus(structure, currentLevel, costs) {
+    if (!hasInventory()) {
+        return '';
+    }
+
+    const step = getStartStatus(structure, currentLevel);
+    let html = `<div style="margin-top: 10px;"><span class="step-status ${step.status}">${START_STATUS_LABELS[step.status]}</span></div>`;
+
+    const shortfall = CalculatorModule.calculateShortfall(costs, inventory.stock);
+    const missing = resourceOrder.filter(resource => shortfall[resource]);
+    if (missing.length > 0) {
+        html += '<div style="margin-top: 8px; font-size: 12px; color: #721c24;">Short: ';
+        html += missing.map(resource => `${CalculatorModule.getResourceInfo(resource).name} ${shortfall[resource].toLocaleString()}`).join(', ');
+        html += '</div>';
+    }
+    return html;
+}
+
+function renderBuildTimeline(schedule) {
+    if (schedule.steps.length === 0) {
+        return '';
+    }
+
+    let html = '<div class="dependencies-section">';
+    html += '<h3>Build Queue</h3>';
+    html += `<p style="color: #666; font-size: 14px; margin-bottom: 15px;">Finish time with ${schedule.builderSlots} builder${schedule.builderSlots === 1 ? '' : 's'}: <strong>${CalculatorModule.formatTime(schedule.totalTime)}</strong>`;
+    if (schedule.builderSlots > 1) {
+        html += ` (${CalculatorModule.formatTime(schedule.sequentialTime)} building one at a time)`;
+    }
+    html += '</p>';
+
+    // Gantt-style timeline, one row per builder slot
+    const span = schedule.totalTime || 1;
+    html += '<div class="timeline">';
+    for (let slot = 0; slot < schedule.builderSlots; slot++) {
+        html += `<div class="timeline-row"><div class="timeline-label">Builder ${slot + 1}</div><div class="timeline-track">`;
+        for (let step of schedule.steps.filter(s => s.slot === slot)) {
+            const left = (step.start / span) * 100;
+            const width = (step.time / span) * 100;
+            html += `<div class="timeline-bar" style="left: ${left}%; width: ${width}%;" title="${step.structure} ${step.fromLevel} → ${step.toLevel} (${CalculatorModule.formatTime(step.time)})"></div>`;
+        }
+        html += '</div></div>';
+    }
+    html += '</div>';
+
+    // Step-by-step queue with start and end offsets
+    html += '<ol class="build-queue">';
+    for (let step of schedule.steps) {
+        html += `<li>
+            <span class="build-queue-step">${step.structure} ${step.fromLevel} → ${step.toLevel}</span>
+            <span class="build-queue-time" title="${formatBonusSources(step.bonusSources)}">+${CalculatorModule.formatTime(step.start)} – +${CalculatorModule.formatTime(step.end)}${schedule.builderSlots > 1 ? ` · Builder ${step.slot + 1}` : ''}${step.speedBonus ? ` · ${step.speedBonus}% speed` : ''}</span>
+        </li>`;
+    }
+    html += '</ol>';
+    html += renderSpeedups(schedule.totalTime);
+    html += '</div>';
+    return html;
+}
+
+function renderSpeedups(totalTime) {
+    const targetHours = profiles[activeProfileId].settings.speedupTargetHours;
+    if (targetHours === null) {
+        return '';
+    }
+
+    const speedups = CalculatorModule.calculateSpeedups(totalTime, targetHours * 3600);
+    let html = '<div style="margin-top: 20px; padding: 15px; background: #f3e5f5; border-radius: 5px; border-left: 4px solid #764ba2;">';
+    html += `<div class="dependency-name">Speedups to finish within ${targetHours}h</div>`;
+    if (speedups.needed === 0) {
+        html += '<div style="font-size: 13px; color: #155724;">No speedups needed.</div>';
+    } else {
+        html += `<div style="font-size: 13px; color: #333; margin-bottom: 8px;">Time to remove: ${CalculatorModule.formatTime(speedups.needed)}</div>`;
+        html += '<div class="dependency-resources">';
+        for (let item of speedups.items) {
+            html += `<div class="dependency-resource"><strong>${item.label}:</strong> ${item.count.toLocaleString()}</div>`;
+        }
+        html += '</div>';
+    }
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Get the resources to show as cards for a result
+ * Primary resources are always listed; any other resource is listed when the result uses it
+ * @param {Object} costs - The result's total costs
+ * @returns {Array} - Resource keys in display order
+ */
+function getResultResources(costs) {
+    return resourceOrder.filter(resource =>
+        CalculatorModule.getResourceInfo(resource).primary || (costs[resource] || 0) > 0
+    );
+}
+
+function renderResourceCards(costs, resources) {
+    let html = '<div class="resource-display">';
+    for (let resource of resources) {
+        const amount = costs[resource] || 0;
         const displayAmount = amount.toLocaleString();
+        const info = CalculatorModule.getResourceInfo(resource);
         html += `
             <div class="resource-item ${resource}">
-                <div class="resource-label">${resource}</div>
+                <div class="resource-label">${info.icon} ${info.name}</div>
                 <div class="resource-value">${displayAmount}</div>
             </div>
         `;
     }
     html += '</div>';
+    return html;
+}
+
+function displayResults(result, graph, schedule, targetStructure, targetLevel, currentLevel) {
+    const container = document.getElementById('resultsContainer');
+    const content = document.getElementById('resultsContent');
+
+    const cardResources = getResultResources(result.totalCosts);
+
+    lastReport = {
+        // Exports list dependencies on their own rows, so the target row holds only its own levels
+        targets: [{ structure: targetStructure, currentLevel, targetLevel, costs: result.individualCosts, time: result.individualTimes }],
+        result: result,
+        constructionSpeedBonus: getSpeedBonusModel(),
+        resources: cardResources,
+        schedule: schedule
+    };
+
+    let html = renderReportActions();
+
+    // Display upgrade range
+    html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += `<p style="color: #333; font-weight: 600; margin: 0;">Upgrade Path: ${targetStructure} Level ${currentLevel} → Level ${targetLevel}</p>`;
+    html += '</div>';
+
+    // Display individual structure cost
+    html += '<div style="margin-bottom: 30px;">';
+    html += `<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Cost to Upgrade ${targetStructure} (Levels ${currentLevel + 1} - ${targetLevel})</h3>`;
+    html += renderResourceCards(result.individualCosts, cardResources);
     // Show upgrade time for individual structure
     if (result.individualTimes > 0) {
         html += `<div style="margin-top: 15px; padding: 10px; background: #f0f0f0; border-radius: 5px; text-align: center;">`;
@@ -248,112 +1848,943 @@ function displayResults(result, targetStructure, targetLevel, currentLevel, cons
     }
     html += '</div>';
 
-    // Display dependency costs
-    if (result.dependencies && result.dependencies.length > 0) {
-        html += '<div style="margin-bottom: 30px; padding: 20px; background: #f8f9fa; border-radius: 5px; border-left: 4px solid #fa709a;">';
-        html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Cost for Required Dependencies</h3>';
-        html += '<div class="resource-display">';
+    // Display dependency costs
+    if (result.dependencies && result.dependencies.length > 0) {
+        html += '<div style="margin-bottom: 30px; padding: 20px; background: #f8f9fa; border-radius: 5px; border-left: 4px solid #fa709a;">';
+        html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Cost for Required Dependencies</h3>';
+        html += renderResourceCards(result.dependencyCosts, cardResources);
+        // Show total dependency time
+        if (result.dependencyTimes > 0) {
+            html += `<div style="margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.7); border-radius: 5px; text-align: center;">`;
+            html += `<span style="color: #666; font-weight: 600;">Dependency Build Time: ${CalculatorModule.formatTime(result.dependencyTimes)}</span>`;
+            html += `</div>`;
+        }
+        html += '</div>';
+    }
+
+    // Display total cost
+    html += '<div style="margin-bottom: 30px; padding: 20px; background: #f0f0f0; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Total Cumulative Cost</h3>';
+    html += renderResourceCards(result.totalCosts, cardResources);
+    // Show total time
+    if (result.totalTime > 0) {
+        html += `<div style="margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.7); border-radius: 5px; text-align: center;">`;
+        html += `<span style="color: #333; font-weight: 600;">Total Build Time: ${CalculatorModule.formatTime(result.totalTime)}</span>`;
+        html += `</div>`;
+    }
+    html += '</div>';
+
+    html += renderCostSavings(result);
+    html += renderShortfall(result.totalCosts);
+
+    if (graph.nodes.length > 0) {
+        html += renderDependencyGraph(graph);
+    }
+
+    html += renderBuildTimeline(schedule);
+
+    content.innerHTML = html;
+    container.style.display = 'block';
+    showDependencyGraph(graph);
+}
+
+function displayPlanResults(result, graph, schedule) {
+    const container = document.getElementById('resultsContainer');
+    const content = document.getElementById('resultsContent');
+
+    const cardResources = getResultResources(result.totalCosts);
+
+    lastReport = {
+        targets: result.targets.map(target => Object.assign({}, target, { costs: target.individualCosts, time: target.individualTime })),
+        result: result,
+        constructionSpeedBonus: getSpeedBonusModel(),
+        resources: cardResources,
+        schedule: schedule
+    };
+
+    let html = renderReportActions();
+
+    // Display plan summary
+    html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += `<p style="color: #333; font-weight: 600; margin: 0;">Build Plan: ${result.targets.map(t => `${t.structure} ${t.currentLevel} → ${t.targetLevel}`).join(', ')}</p>`;
+    html += '</div>';
+
+    // Display combined total cost
+    html += '<div style="margin-bottom: 30px; padding: 20px; background: #f0f0f0; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Combined Plan Cost</h3>';
+    html += renderResourceCards(result.totalCosts, cardResources);
+    if (result.totalTime > 0) {
+        html += `<div style="margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.7); border-radius: 5px; text-align: center;">`;
+        html += `<span style="color: #333; font-weight: 600;">Total Build Time: ${CalculatorModule.formatTime(result.totalTime)}</span>`;
+        html += `</div>`;
+    }
+    html += '</div>';
+
+    html += renderCostSavings(result);
+    html += renderShortfall(result.totalCosts);
+
+    // Display what each target would cost on its own
+    html += '<div style="margin-bottom: 30px;">';
+    html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Cost of Each Target on Its Own</h3>';
+    html += '<p style="color: #666; font-size: 14px; margin-bottom: 15px;">Shared prerequisites are only counted once in the combined cost above.</p>';
+    for (let target of result.targets) {
+        html += '<div class="dependency-item">';
+        html += `<div class="dependency-name">${target.structure} Level ${target.currentLevel} → ${target.targetLevel}</div>`;
+        html += '<div class="dependency-resources">';
+        let hasCosts = false;
+        for (let resource of resourceOrder) {
+            const amount = target.costs[resource] || 0;
+            if (amount > 0) {
+                hasCosts = true;
+                html += `<div class="dependency-resource"><strong>${CalculatorModule.getResourceInfo(resource).name}:</strong> ${amount.toLocaleString()}</div>`;
+            }
+        }
+        if (!hasCosts) {
+            html += '<div class="dependency-resource" style="color: #999;">Already at target level</div>';
+        }
+        html += '</div>';
+        if (target.time > 0) {
+            html += `<div style="margin-top: 8px; font-size: 13px; color: #666;">Build Time: ${CalculatorModule.formatTime(target.time)}</div>`;
+        }
+        html += '</div>';
+    }
+    html += '</div>';
+
+    if (graph.nodes.length > 0) {
+        html += renderDependencyGraph(graph);
+    }
+
+    html += renderBuildTimeline(schedule);
+
+    content.innerHTML = html;
+    container.style.display = 'block';
+    showDependencyGraph(graph);
+}
+
+function getBudget() {
+    if (Object.keys(inventory.stock).length === 0) {
+        showError('Enter your resources in the My Resources panel first');
+        return null;
+    }
+    return inventory.stock;
+}
+
+async function findHighestAffordableLevel() {
+    const targetStructure = document.getElementById('targetStructure').value;
+    if (!targetStructure) {
+        showError('Please select a target structure');
+        return;
+    }
+    const budget = getBudget();
+    if (!budget) {
+        return;
+    }
+
+    let best;
+    try {
+        best = await runEngineQuery('findHighestAffordableLevel', [
+            targetStructure,
+            budget,
+            getSpeedBonusModel(),
+            structuresData,
+            currentLevels
+        ]);
+    } catch (error) {
+        console.error('Error finding the highest affordable level:', error);
+        showError('Could not work out the highest level your resources reach. Please try again.');
+        return;
+    }
+
+    let html = '';
+    html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+    if (best.level > best.currentLevel) {
+        html += `<p style="color: #333; font-weight: 600; margin: 0;">With your resources you can take ${targetStructure} from Level ${best.currentLevel} to Level ${best.level}, including all dependencies.</p>`;
+    } else {
+        html += `<p style="color: #333; font-weight: 600; margin: 0;">Your resources do not cover the next level of ${targetStructure} (Level ${best.currentLevel + 1}) yet.</p>`;
+    }
+    html += '</div>';
+
+    if (best.level > best.currentLevel) {
+        html += '<div style="margin-bottom: 30px; padding: 20px; background: #f0f0f0; border-radius: 5px; border-left: 4px solid #667eea;">';
+        html += `<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Cost to Reach Level ${best.level}</h3>`;
+        html += renderResourceCards(best.costs, getResultResources(best.costs));
+        html += `<div style="margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.7); border-radius: 5px; text-align: center;">`;
+        html += `<span style="color: #333; font-weight: 600;">Total Build Time: ${CalculatorModule.formatTime(best.time)}</span>`;
+        html += `</div>`;
+        html += '</div>';
+
+        html += '<div style="margin-bottom: 30px;">';
+        html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Resources Left Over</h3>';
+        html += renderResourceCards(best.remaining, getResultResources(best.remaining));
+        html += '</div>';
+    }
+
+    if (best.next) {
+        html += '<div style="margin-bottom: 30px; padding: 20px; background: #fff8e1; border-radius: 5px; border-left: 4px solid #f6d365;">';
+        html += `<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Still Missing for Level ${best.next.level}</h3>`;
+        html += renderResourceCards(best.next.shortfall, resourceOrder.filter(resource => best.next.shortfall[resource]));
+        html += '</div>';
+    }
+
+    showResultsHtml(html);
+}
+
+async function findBestUseOfResources() {
+    const budget = getBudget();
+    if (!budget) {
+        return;
+    }
+
+    let options;
+    try {
+        options = await runEngineQuery('rankAffordableUpgrades', [
+            budget,
+            getSpeedBonusModel(),
+            structuresData,
+            currentLevels
+        ]);
+    } catch (error) {
+        console.error('Error ranking affordable upgrades:', error);
+        showError('Could not work out which upgrades your resources cover. Please try again.');
+        return;
+    }
+
+    let html = '';
+    html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += `<p style="color: #333; font-weight: 600; margin: 0;">${options.length} upgrade${options.length === 1 ? '' : 's'} fit your resources, cheapest first. Costs include all dependencies.</p>`;
+    html += '</div>';
+
+    if (options.length === 0) {
+        html += '<div class="no-results">None of your structures\' next levels fit your current resources.</div>';
+    }
+
+    for (let option of options) {
+        html += '<div class="dependency-item">';
+        html += `<div class="dependency-name">${option.structure} Level ${option.currentLevel} → ${option.level}</div>`;
+        html += '<div class="dependency-resources" style="margin-bottom: 8px;">';
         for (let resource of resourceOrder) {
-            const amount = result.dependencyCosts[resource] || 0;
-            const displayAmount = amount.toLocaleString();
-            html += `
-                <div class="resource-item ${resource}">
-                    <div class="resource-label">${resource}</div>
-                    <div class="resource-value">${displayAmount}</div>
-                </div>
-            `;
+            if ((option.costs[resource] || 0) > 0) {
+                html += `<div class="dependency-resource"><strong>${CalculatorModule.getResourceInfo(resource).name}:</strong> ${option.costs[resource].toLocaleString()}</div>`;
+            }
         }
         html += '</div>';
-        // Show total dependency time
-        if (result.dependencyTimes > 0) {
-            html += `<div style="margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.7); border-radius: 5px; text-align: center;">`;
-            html += `<span style="color: #666; font-weight: 600;">Dependency Build Time: ${CalculatorModule.formatTime(result.dependencyTimes)}</span>`;
-            html += `</div>`;
-        }
+        html += `<div style="font-size: 12px; color: #666;">Build Time: ${CalculatorModule.formatTime(option.time)} · Left over: `;
+        html += resourceOrder
+            .filter(resource => budget[resource] !== undefined)
+            .map(resource => `${CalculatorModule.getResourceInfo(resource).name} ${option.remaining[resource].toLocaleString()}`)
+            .join(', ');
+        html += '</div>';
         html += '</div>';
     }
 
-    // Display total cost
-    html += '<div style="margin-bottom: 30px; padding: 20px; background: #f0f0f0; border-radius: 5px; border-left: 4px solid #667eea;">';
-    html += '<h3 style="color: #333; margin-bottom: 15px; font-size: 16px;">Total Cumulative Cost</h3>';
-    html += '<div class="resource-display">';
-    for (let resource of resourceOrder) {
-        const amount = result.totalCosts[resource] || 0;
-        const displayAmount = amount.toLocaleString();
-        html += `
-            <div class="resource-item ${resource}">
-                <div class="resource-label">${resource}</div>
-                <div class="resource-value">${displayAmount}</div>
-            </div>
-        `;
+    showResultsHtml(html);
+}
+
+/**
+ * Show every level of a structure with its costs, time, requirements and what it unlocks
+ * @param {string} structure - Structure name, defaults to the selected target structure
+ */
+function showLevelTable(structure) {
+    structure = structure || document.getElementById('targetStructure').value;
+    if (!structure) {
+        showError('Please select a target structure');
+        return;
     }
+
+    // Keep the target selection in step when following links between structures
+    document.getElementById('targetStructure').value = structure;
+    updateTargetLevels();
+
+    const rows = CalculatorModule.getLevelTable(structure, structuresData, unlockIndex, getSpeedBonusModel());
+    const currentLevel = currentLevels[structure] || 1;
+    const resources = resourceOrder.filter(resource => rows.some(row => (row.costs[resource] || 0) > 0));
+
+    let html = '';
+    html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += `<p style="color: #333; font-weight: 600; margin: 0;">${structure}: ${rows.length} levels, you are at Level ${currentLevel}</p>`;
     html += '</div>';
-    // Show total time
-    if (result.totalTime > 0) {
-        html += `<div style="margin-top: 15px; padding: 10px; background: rgba(255,255,255,0.7); border-radius: 5px; text-align: center;">`;
-        html += `<span style="color: #333; font-weight: 600;">Total Build Time: ${CalculatorModule.formatTime(result.totalTime)}</span>`;
+
+    html += '<div class="level-table-wrap"><table class="level-table">';
+    html += '<thead><tr><th>Level</th>';
+    for (let resource of resources) {
+        html += `<th>${CalculatorModule.getResourceInfo(resource).name}</th>`;
+    }
+    html += '<th>Time</th><th>Requires</th><th>Unlocks</th></tr></thead><tbody>';
+
+    for (let row of rows) {
+        const rowClass = row.level === currentLevel ? ' class="current"' : (row.level < currentLevel ? ' class="done"' : '');
+        html += `<tr${rowClass}><td>${row.level}</td>`;
+        for (let resource of resources) {
+            html += `<td>${(row.costs[resource] || 0).toLocaleString()}</td>`;
+        }
+        html += `<td>${CalculatorModule.formatTime(row.time)}</td>`;
+        html += `<td>${row.requirements.map(req => renderLevelLink(req, (currentLevels[req.structure] || 1) >= req.level)).join('<br>')}</td>`;
+        html += `<td>${row.unlocks.map(unlock => renderLevelLink(unlock, false)).join('<br>')}</td>`;
+        html += '</tr>';
+    }
+    html += '</tbody></table></div>';
+
+    showResultsHtml(html);
+}
+
+function renderLevelLink(entry, met) {
+    return `<a href="#" class="level-link${met ? ' met' : ''}" data-structure="${escapeHtml(entry.structure)}"` +
+        ` onclick="showLevelTable(this.dataset.structure); return false;">${escapeHtml(entry.structure)} ${entry.level}</a>`;
+}
+
+function renderReportActions() {
+    let html = '<div class="report-actions">';
+    html += '<button class="btn-secondary" onclick="downloadReportCsv()">Download CSV</button>';
+    html += '<button class="btn-secondary" onclick="copyReportMarkdown()">Copy for Discord</button>';
+    html += '<button class="btn-secondary" onclick="window.print()">Print</button>';
+    html += '<button class="btn-secondary" onclick="trackProgress()">Track Progress</button>';
+    html += '</div>';
+    return html;
+}
+
+function downloadReportCsv() {
+    if (!lastReport) {
+        return;
+    }
+    const blob = new Blob([CalculatorModule.formatReportCsv(lastReport)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${lastReport.targets.map(t => `${t.structure}-${t.targetLevel}`).join('_').replace(/[^a-z0-9_-]+/gi, '-').toLowerCase()}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function copyReportMarkdown() {
+    if (!lastReport) {
+        return;
+    }
+    const markdown = CalculatorModule.formatReportMarkdown(lastReport);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(markdown).catch(() => { });
+    }
+    prompt('Summary for Discord (copied to clipboard):', markdown);
+}
+
+/**
+ * Save the current result's build queue as the profile's progress checklist
+ */
+function trackProgress() {
+    if (!lastReport) {
+        return;
+    }
+    const settings = profiles[activeProfileId].settings;
+    if (settings.checklist && !confirm('Replace your current progress checklist with this one?')) {
+        return;
+    }
+
+    settings.checklist = {
+        title: lastReport.targets.map(t => `${t.structure} ${t.targetLevel}`).join(', '),
+        steps: CalculatorModule.createChecklist(lastReport.schedule, structuresData, lastReport.constructionSpeedBonus)
+    };
+    saveProfiles();
+    renderChecklist();
+    document.getElementById('checklistPanel').scrollIntoView({ behavior: 'smooth' });
+}
+
+function clearChecklist() {
+    if (confirm('Stop tracking this checklist? Your levels are kept.')) {
+        profiles[activeProfileId].settings.checklist = null;
+        saveProfiles();
+        renderChecklist();
+    }
+}
+
+/**
+ * Tick or untick a checklist step by moving the structure's current level
+ */
+function toggleChecklistStep(index, checked) {
+    const steps = profiles[activeProfileId].settings.checklist.steps;
+    const step = steps[index];
+    const level = currentLevels[step.structure] || 1;
+    let newLevel = level;
+    if (checked && level < step.toLevel) {
+        newLevel = step.toLevel;
+    } else if (!checked && level >= step.toLevel) {
+        // Going back below this step would also undo the later steps of the structure that are ticked
+        const later = steps
+            .filter(other => other.structure === step.structure && other.toLevel > step.toLevel && level >= other.toLevel)
+            .sort((a, b) => b.toLevel - a.toLevel)[0];
+        if (later) {
+            showError(`Untick ${step.structure} ${later.fromLevel} → ${later.toLevel} first, it builds on this step.`);
+            renderChecklist();
+            return;
+        }
+        newLevel = step.fromLevel;
+    }
+
+    updateLevel(step.structure, newLevel);
+    syncStructureInput(step.structure);
+}
+
+function renderChecklist() {
+    const container = document.getElementById('checklistContent');
+    const checklist = profiles[activeProfileId].settings.checklist;
+    document.getElementById('checklistActions').style.display = checklist ? 'flex' : 'none';
+
+    if (!checklist) {
+        container.innerHTML = '<div class="no-results">Calculate a target or plan and choose Track Progress to follow it step by step here.</div>';
+        return;
+    }
+
+    const progress = CalculatorModule.getChecklistProgress(checklist.steps, currentLevels);
+    let html = '';
+    html += `<div class="dependency-name" style="margin-bottom: 10px;">${checklist.title}: ${progress.doneCount} of ${checklist.steps.length} steps done</div>`;
+    html += renderProgressBar('Resources', progress.resourcePercent);
+    html += renderProgressBar('Time', progress.timePercent);
+
+    if (progress.doneCount < checklist.steps.length) {
+        html += '<h3 style="color: #333; margin: 20px 0 15px; font-size: 16px;">Still to Go</h3>';
+        html += renderResourceCards(progress.remainingCosts, resourceOrder.filter(resource => progress.remainingCosts[resource]));
+        html += `<div style="margin-top: 15px; padding: 10px; background: #f0f0f0; border-radius: 5px; text-align: center;">`;
+        html += `<span style="color: #333; font-weight: 600;">Remaining Build Time: ${CalculatorModule.formatTime(progress.remainingTime)}</span>`;
         html += `</div>`;
     }
+
+    html += '<div class="checklist">';
+    progress.steps.forEach((step, index) => {
+        const costs = resourceOrder
+            .filter(resource => step.costs[resource])
+            .map(resource => `${CalculatorModule.getResourceInfo(resource).name} ${step.costs[resource].toLocaleString()}`)
+            .join(', ');
+        html += `<label class="checklist-step${step.done ? ' done' : ''}">`;
+        html += `<input type="checkbox"${step.done ? ' checked' : ''} onchange="toggleChecklistStep(${index}, this.checked)">`;
+        html += `<span><strong>${step.structure} ${step.fromLevel} → ${step.toLevel}</strong>`;
+        html += `<span class="checklist-detail">${costs || 'No costs'} · ${CalculatorModule.formatTime(step.time)}</span></span>`;
+        html += '</label>';
+    });
     html += '</div>';
 
-    // Display detailed dependencies breakdown with full tree
-    if (result.dependencies && result.dependencies.length > 0) {
-        html += '<div class="dependencies-section">';
-        html += '<h3>Upgrade Path Details</h3>';
-        html += '<p style="color: #666; font-size: 14px; margin-bottom: 15px;">Complete dependency chain required for the upgrade:</p>';
+    container.innerHTML = html;
+}
 
-        // Build and render the dependency tree
-        const currentLevel = currentLevels[targetStructure] || 1;
-        const tree = CalculatorModule.buildDependencyTree(
-            targetStructure,
-            targetLevel,
-            currentLevel,
+function renderProgressBar(label, percent) {
+    let html = '<div class="progress">';
+    html += `<div class="progress-label"><span>${label}</span><span>${percent.toFixed(1)}%</span></div>`;
+    html += `<div class="progress-bar"><div class="progress-fill" style="width: ${percent}%;"></div></div>`;
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Compare the next levels of every structure from the current base
+ * @param {number} levelsAhead - Levels to look ahead, defaults to the last value used
+ */
+async function showUpgradeComparison(levelsAhead) {
+    upgradeComparison.levelsAhead = Math.max(1, Math.min(10, parseInt(levelsAhead) || upgradeComparison.levelsAhead));
+    try {
+        upgradeComparison.options = await runEngineQuery('compareUpgradeOptions', [
+            upgradeComparison.levelsAhead,
+            getSpeedBonusModel(),
             structuresData,
-            currentLevels,
-            constructionSpeedBonus
-        );
+            currentLevels
+        ]);
+    } catch (error) {
+        console.error('Error comparing upgrades:', error);
+        showError('Could not compare the next upgrades. Please try again.');
+        return;
+    }
+    renderUpgradeComparison();
+}
 
-        // Show main structure upgrade
-        html += '<div style="margin-bottom: 20px; padding: 15px; background: #e8f5e9; border-radius: 5px; border-left: 4px solid #43e97b;">';
-        html += `<div class="dependency-name" style="margin-bottom: 10px;">${targetStructure} Level ${currentLevel} → ${targetLevel}</div>`;
-        html += '<div class="dependency-resources">';
-        let hasMainCosts = false;
-        for (let resource of resourceOrder) {
-            const amount = result.individualCosts[resource] || 0;
-            if (amount > 0) {
-                hasMainCosts = true;
-                html += `<div class="dependency-resource"><strong>${resource}:</strong> ${amount.toLocaleString()}</div>`;
-            }
+function sortUpgradeComparison(key) {
+    if (upgradeComparison.sortKey === key) {
+        upgradeComparison.ascending = !upgradeComparison.ascending;
+    } else {
+        upgradeComparison.sortKey = key;
+        upgradeComparison.ascending = key !== 'hiddenShare';
+    }
+    renderUpgradeComparison();
+}
+
+function renderUpgradeComparison() {
+    const { sortKey, ascending } = upgradeComparison;
+    const options = upgradeComparison.options.slice().sort((a, b) => {
+        const order = sortKey === 'structure' ? a.structure.localeCompare(b.structure) : a[sortKey] - b[sortKey];
+        return ascending ? order : -order;
+    });
+
+    const columns = [
+        { key: 'structure', label: 'Structure' },
+        { key: 'targetLevel', label: 'Levels' },
+        { key: 'totalAmount', label: 'Total Resources' },
+        { key: 'individualAmount', label: 'Own' },
+        { key: 'dependencyAmount', label: 'Prerequisites' },
+        { key: 'hiddenShare', label: 'Hidden' },
+        { key: 'time', label: 'Time' }
+    ];
+
+    let html = '';
+    html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+    html += '<p style="color: #333; font-weight: 600; margin: 0;">Upgrade Comparison: ';
+    html += `<input type="number" min="1" max="10" value="${upgradeComparison.levelsAhead}" style="width: 60px;" onchange="showUpgradeComparison(this.value)">`;
+    html += ' levels ahead for each structure</p>';
+    html += '<p style="color: #666; font-size: 13px; margin: 5px 0 0;">Hidden is the share of the total spent on prerequisites. ';
+    html += 'Click a column to sort, or a structure to see how its costs grow.</p>';
+    html += '</div>';
+
+    html += '<div class="level-table-wrap"><table class="level-table totals-table">';
+    html += '<thead><tr>';
+    for (let column of columns) {
+        const arrow = column.key === sortKey ? (ascending ? ' ▲' : ' ▼') : '';
+        html += `<th style="cursor: pointer;" onclick="sortUpgradeComparison('${column.key}')">${column.label}${arrow}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+    for (let option of options) {
+        const hiddenClass = option.hiddenShare > 0.5 ? ' class="hidden-cost-high"' : '';
+        html += '<tr>';
+        html += `<td><a href="#" class="level-link" data-structure="${escapeHtml(option.structure)}" onclick="showGrowthCharts(this.dataset.structure); return false;">${escapeHtml(option.structure)}</a></td>`;
+        html += `<td>${option.currentLevel} → ${option.targetLevel}</td>`;
+        html += `<td>${option.totalAmount.toLocaleString()}</td>`;
+        html += `<td>${option.individualAmount.toLocaleString()}</td>`;
+        html += `<td>${option.dependencyAmount.toLocaleString()}</td>`;
+        html += `<td${hiddenClass}>${(option.hiddenShare * 100).toFixed(0)}%</td>`;
+        html += `<td>${CalculatorModule.formatTime(option.time)}</td>`;
+        html += '</tr>';
+    }
+    html += '</tbody></table></div>';
+    html += '<div id="growthCharts"></div>';
+
+    showResultsHtml(html);
+}
+
+/**
+ * Chart how a structure's cost and build time grow per level
+ */
+function showGrowthCharts(structure) {
+    const rows = CalculatorModule.getLevelTable(structure, structuresData, unlockIndex, getSpeedBonusModel());
+    const currentLevel = currentLevels[structure] || 1;
+    const costPoints = rows.map(row => ({
+        level: row.level,
+        value: Object.values(row.costs).reduce((total, amount) => total + amount, 0)
+    }));
+    const timePoints = rows.map(row => ({ level: row.level, value: row.time }));
+
+    let html = '<div class="dependencies-section">';
+    html += `<h3>${structure} Growth per Level</h3>`;
+    html += '<p style="color: #666; font-size: 14px; margin-bottom: 15px;">Logarithmic scale. The dashed line marks your current level.</p>';
+    html += renderLineChart('Total resources per level', costPoints, currentLevel, formatCompactNumber);
+    html += renderLineChart('Build time per level', timePoints, currentLevel, CalculatorModule.formatTime);
+    html += '</div>';
+
+    document.getElementById('growthCharts').innerHTML = html;
+}
+
+/**
+ * Draw a line chart of values per level on a logarithmic scale
+ * @param {string} title - Chart title
+ * @param {Array} points - Array of { level, value }
+ * @param {number} markLevel - Level to mark with a dashed line
+ * @param {Function} format - Formats axis values
+ * @returns {string} - SVG markup
+ */
+function renderLineChart(title, points, markLevel, format) {
+    const width = 600;
+    const height = 220;
+    const margin = { top: 30, right: 20, bottom: 30, left: 70 };
+    const positive = points.filter(point => point.value > 0);
+    if (positive.length === 0) {
+        return '';
+    }
+
+    const minLevel = points[0].level;
+    const maxLevel = points[points.length - 1].level;
+    const minLog = Math.floor(Math.log10(Math.min(...positive.map(point => point.value))));
+    const maxLog = Math.max(minLog + 1, Math.ceil(Math.log10(Math.max(...positive.map(point => point.value)))));
+    const x = (level) => margin.left + (level - minLevel) / Math.max(1, maxLevel - minLevel) * (width - margin.left - margin.right);
+    const y = (value) => margin.top + (maxLog - Math.log10(value)) / (maxLog - minLog) * (height - margin.top - margin.bottom);
+
+    let svg = `<svg class="line-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${title}">`;
+    svg += `<text x="${margin.left}" y="18" font-size="13" font-weight="600" fill="#333">${title}</text>`;
+    for (let power = minLog; power <= maxLog; power++) {
+        const value = Math.pow(10, power);
+        svg += `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(value)}" y2="${y(value)}" stroke="#eee"/>`;
+        svg += `<text x="${margin.left - 8}" y="${y(value) + 4}" font-size="11" fill="#666" text-anchor="end">${format(value)}</text>`;
+    }
+    const step = Math.max(1, Math.ceil((maxLevel - minLevel) / 10));
+    for (let level = minLevel; level <= maxLevel; level += step) {
+        svg += `<text x="${x(level)}" y="${height - 10}" font-size="11" fill="#666" text-anchor="middle">${level}</text>`;
+    }
+    if (markLevel >= minLevel && markLevel <= maxLevel) {
+        svg += `<line x1="${x(markLevel)}" x2="${x(markLevel)}" y1="${margin.top}" y2="${height - margin.bottom}" stroke="#fa709a" stroke-dasharray="4 3"/>`;
+    }
+    svg += `<polyline fill="none" stroke="#667eea" stroke-width="2" points="${positive.map(point => `${x(point.level)},${y(point.value)}`).join(' ')}"/>`;
+    for (let point of positive) {
+        svg += `<circle cx="${x(point.level)}" cy="${y(point.value)}" r="3" fill="#667eea"><title>Level ${point.level}: ${format(point.value)}</title></circle>`;
+    }
+    svg += '</svg>';
+    return svg;
+}
+
+function formatCompactNumber(value) {
+    const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    for (let [size, suffix] of units) {
+        if (value >= size) {
+            return `${parseFloat((value / size).toFixed(1))}${suffix}`;
         }
-        if (!hasMainCosts) {
-            html += '<div class="dependency-resource" style="color: #999;">No costs</div>';
+    }
+    return String(Math.round(value));
+}
+
+function loadRoster() {
+    const saved = localStorage.getItem('allianceRoster');
+    if (saved) {
+        try {
+            const parsed = JSON.parse(saved);
+            roster = {
+                members: Array.isArray(parsed.members) ? parsed.members : [],
+                goal: parsed.goal || null
+            };
+        } catch (error) {
+            console.error('Error loading saved roster:', error);
         }
-        html += '</div>';
-        // Show main structure upgrade time
-        if (result.individualTimes > 0) {
-            html += `<div style="margin-top: 10px; padding: 8px; background: rgba(255,255,255,0.6); border-radius: 3px; text-align: center;">`;
-            html += `<span style="color: #333; font-weight: 600; font-size: 13px;">Build Time: ${CalculatorModule.formatTime(result.individualTimes)}</span>`;
-            html += `</div>`;
+    }
+    renderRoster();
+}
+
+function saveRoster() {
+    localStorage.setItem('allianceRoster', JSON.stringify(roster));
+}
+
+/**
+ * Add a member to the roster, replacing a member with the same name
+ * @param {Object} imported - Profile from parseProfileImport or decodeShareCode
+ * @param {string} fallbackName - Name to use when the import has no name of its own
+ */
+function addRosterMember(imported, fallbackName) {
+    const genericNames = ['Imported Base', 'Shared Base'];
+    const name = !genericNames.includes(imported.name) ? imported.name : (fallbackName || imported.name);
+    const member = {
+        name: name,
+        levels: imported.levels,
+        constructionSpeedBonus: imported.constructionSpeedBonus || 0
+    };
+
+    const existing = roster.members.findIndex(m => m.name.toLowerCase() === name.toLowerCase());
+    if (existing >= 0) {
+        roster.members[existing] = member;
+    } else {
+        roster.members.push(member);
+    }
+}
+
+function addRosterFiles(input) {
+    const files = Array.from(input.files).filter(file => /\.json$/i.test(file.name));
+    input.value = '';
+    if (files.length === 0) {
+        return;
+    }
+
+    const failed = [];
+    Promise.all(files.map(file => file.text().then(text => {
+        const imported = CalculatorModule.parseProfileImport(JSON.parse(text));
+        if (!imported) {
+            throw new Error('Not a profile export');
         }
-        html += '</div>';
+        addRosterMember(imported, file.name.replace(/\.json$/i, ''));
+    }).catch(error => {
+        console.error(`Error importing ${file.name}:`, error);
+        failed.push(file.name);
+    }))).then(() => {
+        saveRoster();
+        renderRoster();
+        if (failed.length > 0) {
+            showError(`Could not import ${failed.join(', ')}. Make sure they are level or profile exports.`);
+        }
+    });
+}
+
+function addRosterCodes() {
+    const input = document.getElementById('rosterCodes');
+    const codes = input.value.split(/\s+/).filter(Boolean);
+    const invalid = [];
+    for (let code of codes) {
+        const imported = CalculatorModule.decodeShareCode(code, structuresData);
+        if (imported) {
+            addRosterMember(imported, `Member ${roster.members.length + 1}`);
+        } else {
+            invalid.push(code);
+        }
+    }
+    input.value = invalid.join('\n');
+    saveRoster();
+    renderRoster();
+    if (invalid.length > 0) {
+        showError(`${invalid.length} share code${invalid.length === 1 ? ' is' : 's are'} not valid and ${invalid.length === 1 ? 'was' : 'were'} left in the box.`);
+    }
+}
+
+function addActiveProfileToRoster() {
+    const profile = profiles[activeProfileId];
+    addRosterMember({ name: profile.name, levels: Object.assign({}, currentLevels), constructionSpeedBonus: profile.constructionSpeedBonus });
+    saveRoster();
+    renderRoster();
+}
+
+function removeRosterMember(index) {
+    roster.members.splice(index, 1);
+    saveRoster();
+    renderRoster();
+}
+
+function clearRoster() {
+    if (confirm('Remove every member from the roster?')) {
+        roster.members = [];
+        saveRoster();
+        renderRoster();
+    }
+}
+
+function setRosterGoal() {
+    const structure = document.getElementById('rosterGoalStructure').value;
+    const level = parseInt(document.getElementById('rosterGoalLevel').value);
+    if (!structure || !level) {
+        showError('Please select a goal structure and level');
+        return;
+    }
+    const maxLevel = CalculatorModule.getStructureInfo(structure, structuresData).maxLevel;
+    if (level < 1 || level > maxLevel) {
+        showError(`Level for ${structure} must be between 1 and ${maxLevel}`);
+        return;
+    }
+    roster.goal = { structure, level };
+    saveRoster();
+    renderRoster();
+}
+
+async function renderRoster() {
+    // Only the latest render is shown when the roster changes while a query runs
+    const requestId = ++rosterRequestId;
+    const container = document.getElementById('rosterContent');
+    if (roster.goal) {
+        document.getElementById('rosterGoalStructure').value = roster.goal.structure;
+        document.getElementById('rosterGoalLevel').value = roster.goal.level;
+    }
+    if (roster.members.length === 0) {
+        container.innerHTML = '<div class="no-results">Add members from exported profile files, share codes or your own base.</div>';
+        return;
+    }
 
-        // Show dependency tree
-        if (tree.children && tree.children.length > 0) {
-            html += '<div style="margin-top: 20px; padding: 15px; background: #fff3e0; border-radius: 5px; border-left: 4px solid #fa709a;">';
-            html += '<div style="font-weight: 600; color: #333; margin-bottom: 15px;">Required Dependencies:</div>';
-            for (let child of tree.children) {
-                html += renderDependencyTree(child, resourceOrder, 0);
+    let html = '';
+    if (roster.goal && structuresData[roster.goal.structure]) {
+        let evaluation;
+        try {
+            evaluation = await runEngineQuery('evaluateRosterGoal', [roster.members, roster.goal, structuresData]);
+        } catch (error) {
+            console.error('Error evaluating the roster goal:', error);
+            if (requestId === rosterRequestId) {
+                showError('Could not work out the alliance goal. Please try again.');
             }
-            html += '</div>';
+            return;
+        }
+        if (requestId !== rosterRequestId) {
+            return;
         }
+        const reached = evaluation.members.filter(member => member.reached).length;
 
+        html += '<div style="margin-bottom: 20px; padding: 15px; background: #e3f2fd; border-radius: 5px; border-left: 4px solid #667eea;">';
+        html += `<p style="color: #333; font-weight: 600; margin: 0;">Goal: everyone to ${roster.goal.structure} ${roster.goal.level} · ${reached} of ${roster.members.length} members there</p>`;
         html += '</div>';
+
+        html += '<div class="level-table-wrap"><table class="level-table text-table">';
+        html += `<thead><tr><th>Member</th><th>${roster.goal.structure}</th><th>Status</th><th>Time</th><th></th></tr></thead><tbody>`;
+        evaluation.members.forEach((member, index) => {
+            let status = '<span class="step-status ready">Reached</span>';
+            if (!member.reached) {
+                status = member.blockers.length > 0 ?
+                    `<span class="step-status blocked">Blocked</span> ${member.blockers.map(b => `${b.structure} ${b.currentLevel} → ${b.level}`).join(', ')}` :
+                    '<span class="step-status short">Can upgrade</span>';
+            }
+            html += `<tr><td>${escapeHtml(member.name)}</td><td>${member.currentLevel}</td><td>${status}</td>`;
+            html += `<td>${member.reached ? '' : CalculatorModule.formatTime(member.time)}</td>`;
+            html += `<td><button class="plan-target-remove" onclick="removeRosterMember(${index})" title="Remove">×</button></td></tr>`;
+        });
+        html += '</tbody></table></div>';
+
+        html += '<h3 style="color: #333; margin: 20px 0 15px; font-size: 16px;">Total Needed by the Alliance</h3>';
+        html += renderResourceCards(evaluation.totalCosts, getResultResources(evaluation.totalCosts));
     }
 
-    content.innerHTML = html;
-    container.style.display = 'block';
+    html += '<details style="margin-top: 20px;"><summary style="cursor: pointer; font-weight: 600; color: #333;">Levels by Structure</summary>';
+    html += '<div class="level-table-wrap" style="margin-top: 10px;"><table class="level-table totals-table">';
+    html += `<thead><tr><th>Structure</th>${roster.members.map(member => `<th>${escapeHtml(member.name)}</th>`).join('')}</tr></thead><tbody>`;
+    for (let structure of filteredStructures) {
+        html += `<tr><td>${structure}</td>${roster.members.map(member => `<td>${escapeHtml(member.levels[structure] || 1)}</td>`).join('')}</tr>`;
+    }
+    html += '</tbody></table></div></details>';
+
+    container.innerHTML = html;
+}
+
+/**
+ * Save the current target (or the plan, when no target is selected), levels
+ * and bonuses as a new scenario
+ */
+function addScenario() {
+    let targets = planTargets.map(t => ({ structure: t.structure, level: t.level }));
+    if (document.getElementById('targetStructure').value || document.getElementById('targetLevel').value) {
+        const target = getTargetInput();
+        if (!target) {
+            return;
+        }
+        targets = [{ structure: target.targetStructure, level: target.targetLevel }];
+    }
+    if (targets.length === 0) {
+        showError('Select a target or add targets to the plan before saving a scenario');
+        return;
+    }
+
+    const constructionSpeedBonus = JSON.parse(JSON.stringify(getSpeedBonusModel()));
+    const scenarios = profiles[activeProfileId].settings.scenarios;
+    scenarios.push({
+        name: `${targets.map(t => `${t.structure} ${t.level}`).join(', ')} at ${constructionSpeedBonus.base}%`,
+        targets: targets,
+        levels: Object.assign({}, currentLevels),
+        constructionSpeedBonus: constructionSpeedBonus,
+        builderSlots: getBuilderSlots()
+    });
+    saveProfiles();
+    renderScenarios();
+}
+
+function removeScenario(index) {
+    profiles[activeProfileId].settings.scenarios.splice(index, 1);
+    saveProfiles();
+    renderScenarios();
+}
+
+function clearScenarios() {
+    profiles[activeProfileId].settings.scenarios = [];
+    saveProfiles();
+    renderScenarios();
+}
+
+function renameScenario(index, name) {
+    profiles[activeProfileId].settings.scenarios[index].name = name.trim() || `Scenario ${index + 1}`;
+    saveProfiles();
+}
+
+function updateScenarioBonus(index, value) {
+    profiles[activeProfileId].settings.scenarios[index].constructionSpeedBonus.base = parseFloat(value) || 0;
+    saveProfiles();
+    renderScenarios();
+}
+
+function updateScenarioSlots(index, value) {
+    profiles[activeProfileId].settings.scenarios[index].builderSlots = Math.max(1, parseInt(value) || 1);
+    saveProfiles();
+    renderScenarios();
+}
+
+function useCurrentLevelsInScenario(index) {
+    profiles[activeProfileId].settings.scenarios[index].levels = Object.assign({}, currentLevels);
+    saveProfiles();
+    renderScenarios();
+}
+
+/**
+ * Render a delta against the first scenario; lower is better for costs and times
+ */
+function renderScenarioDelta(delta, format) {
+    if (Math.round(delta) === 0) {
+        return '';
+    }
+    return ` <span class="${delta < 0 ? 'delta-better' : 'delta-worse'}">${delta > 0 ? '+' : '−'}${format(Math.abs(delta))}</span>`;
+}
+
+function renderScenarios() {
+    const container = document.getElementById('scenarioContent');
+    const scenarios = profiles[activeProfileId].settings.scenarios;
+    document.getElementById('scenarioActions').style.display = scenarios.length > 0 ? 'flex' : 'none';
+
+    if (scenarios.length === 0) {
+        container.innerHTML = '<div class="no-results">Set up a target or plan with your levels and bonuses, then save it as a scenario. Save another with different inputs to compare them side by side.</div>';
+        return;
+    }
+
+    const results = CalculatorModule.compareScenarios(scenarios, structuresData);
+    const resources = resourceOrder.filter(resource =>
+        CalculatorModule.getResourceInfo(resource).primary || results.some(result => (result.totalCosts[resource] || 0) > 0)
+    );
+    const formatAmount = (amount) => Math.round(amount).toLocaleString();
+
+    let html = '<div class="level-table-wrap"><table class="level-table scenario-table">';
+    html += '<thead><tr><th></th>';
+    scenarios.forEach((scenario, index) => {
+        html += `<th><div class="scenario-name"><input type="text" value="${escapeHtml(scenario.name)}" onchange="renameScenario(${index}, this.value)">`;
+        html += `<button class="plan-target-remove" onclick="removeScenario(${index})" title="Remove scenario">✕</button></div></th>`;
+    });
+    html += '</tr></thead><tbody>';
+
+    // Only the structures whose level differs between the scenarios tell them apart
+    const structures = Array.from(new Set(scenarios.flatMap(scenario => Object.keys(scenario.levels)))).sort();
+    const differing = structures.filter(structure =>
+        new Set(scenarios.map(scenario => scenario.levels[structure] || 1)).size > 1
+    );
+    const describeLevels = (levels) => {
+        if (differing.length === 0) {
+            return scenarios.length > 1 ? 'Same in every scenario' : 'Saved with the scenario';
+        }
+        return differing.slice(0, 5).map(structure => `${structure} ${levels[structure] || 1}`).join(', ') +
+            (differing.length > 5 ? ` and ${differing.length - 5} more` : '');
+    };
+
+    html += '<tr><td>Targets</td>' + scenarios.map(scenario =>
+        `<td>${escapeHtml(scenario.targets.map(t => `${t.structure} ${t.level}`).join(', '))}</td>`).join('') + '</tr>';
+    html += '<tr><td>Levels That Differ</td>' + scenarios.map((scenario, index) =>
+        `<td>${escapeHtml(describeLevels(scenario.levels))} <button class="btn-secondary scenario-button" onclick="useCurrentLevelsInScenario(${index})">Use my current levels</button></td>`).join('') + '</tr>';
+    html += '<tr><td>Speed Bonus (%)</td>' + scenarios.map((scenario, index) =>
+        `<td><input type="number" min="0" step="0.01" value="${scenario.constructionSpeedBonus.base}" onchange="updateScenarioBonus(${index}, this.value)">` +
+        `${scenario.constructionSpeedBonus.extra.length > 0 ? ` + ${scenario.constructionSpeedBonus.extra.length} extra` : ''}</td>`).join('') + '</tr>';
+    html += '<tr><td>Builder Slots</td>' + scenarios.map((scenario, index) =>
+        `<td><input type="number" min="1" max="10" value="${scenario.builderSlots}" onchange="updateScenarioSlots(${index}, this.value)"></td>`).join('') + '</tr>';
+
+    for (let resource of resources) {
+        const info = CalculatorModule.getResourceInfo(resource);
+        html += `<tr><td>${info.icon} ${info.name}</td>`;
+        html += results.map(result =>
+            `<td>${formatAmount(result.totalCosts[resource] || 0)}${renderScenarioDelta(result.costDeltas[resource] || 0, formatAmount)}</td>`).join('');
+        html += '</tr>';
+    }
+    html += '<tr><td>Total Build Time</td>' + results.map(result =>
+        `<td>${CalculatorModule.formatTime(result.totalTime)}${renderScenarioDelta(result.timeDelta, CalculatorModule.formatTime)}</td>`).join('') + '</tr>';
+    html += '<tr><td>Finish Time</td>' + results.map(result =>
+        `<td>${CalculatorModule.formatTime(result.finishTime)}${renderScenarioDelta(result.finishDelta, CalculatorModule.formatTime)}</td>`).join('') + '</tr>';
+    html += '</tbody></table></div>';
+    html += '<p class="header-description" style="margin-top: 10px;">Differences are against the first scenario. Finish time uses each scenario\'s builder slots.</p>';
+
+    container.innerHTML = html;
+}
+
+function showResultsHtml(html) {
+    document.getElementById('resultsContent').innerHTML = html;
+    document.getElementById('resultsContainer').style.display = 'block';
+}
+
+/**
+ * Apply an edit to any structure's level input, named by its data-structure attribute
+ */
+function handleStructureInput(event) {
+    const input = event.target;
+    if (!input.matches('input[data-structure]') || (event.type === 'keyup' && input.type === 'checkbox')) {
+        return;
+    }
+    const structure = input.dataset.structure;
+    if (input.type === 'checkbox') {
+        const info = CalculatorModule.getStructureInfo(structure, structuresData);
+        updateLevel(structure, input.checked ? info.maxLevel : info.minLevel);
+    } else {
+        updateLevel(structure, input.value);
+    }
 }
 
+document.getElementById('structureInputs').addEventListener('change', handleStructureInput);
+document.getElementById('structureInputs').addEventListener('keyup', handleStructureInput);
+
 // Search functionality
 document.getElementById('structureSearch').addEventListener('input', function (e) {
     const searchTerm = e.target.value.toLowerCase();
@@ -369,3 +2800,4 @@ document.getElementById('structureSearch').addEventListener('input', function (e
 
 // Initialize on page load
 window.addEventListener('load', loadData);
+window.addEventListener('hashchange', openSharedLinkFromHash);
@@ -0,0 +1,90 @@
+/**
+ * Service Worker - Keeps the calculator working offline
+ * The page and scripts are served from the cache and refreshed in the background.
+ * The database is fetched from the network first so updates show up as soon as
+ * they are published, with the cached copy used when offline.
+ *
+ * Bump CACHE_VERSION when the list of precached files changes.
+ */
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = `gxk-calculator-v${CACHE_VERSION}`;
+const DATABASE_PATH = 'data/structures_database.json';
+
+const PRECACHE_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'js/calculator.js',
+    'js/graph.js',
+    'js/site.js',
+    'js/engine-worker.js',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    DATABASE_PATH
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (url.pathname.endsWith(DATABASE_PATH)) {
+        event.respondWith(networkFirst(event.request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event.request, event));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    if (cached) {
+        event.waitUntil(update);
+        return cached;
+    }
+    return update;
+}
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculatorModule = require('../js/calculator.js');
+const { validateDatabase } = require('../tools/validate-database.js');
+
+const smallBase = require('./fixtures/small-base.json');
+const brokenBase = require('./fixtures/broken-base.json');
+const structuresData = CalculatorModule.parseDatabase(smallBase).structures;
+
+test('parseRequirement reads the level and structure name', () => {
+    assert.deepEqual(CalculatorModule.parseRequirement('Level 5 Steel Works'), { structure: 'Steel Works', level: 5 });
+    assert.deepEqual(CalculatorModule.parseRequirement('Level 12 Farm'), { structure: 'Farm', level: 12 });
+});
+
+test('parseRequirement returns null for malformed requirements', () => {
+    assert.equal(CalculatorModule.parseRequirement('Steel Works 5'), null);
+    assert.equal(CalculatorModule.parseRequirement('Level five Farm'), null);
+    assert.equal(CalculatorModule.parseRequirement(''), null);
+});
+
+test('formatTime shows seconds only for times under an hour', () => {
+    assert.equal(CalculatorModule.formatTime(0), '0s');
+    assert.equal(CalculatorModule.formatTime(45), '45s');
+    assert.equal(CalculatorModule.formatTime(90), '1m 30s');
+    assert.equal(CalculatorModule.formatTime(3661), '1h 1m');
+    assert.equal(CalculatorModule.formatTime(90061), '1d 1h 1m');
+    assert.equal(CalculatorModule.formatTime(86400), '1d');
+});
+
+test('calculateResourcesRecursive splits own and dependency costs', () => {
+    const result = CalculatorModule.calculateResourcesRecursive('Headquarters', 3, 1, 0, structuresData, {});
+
+    assert.deepEqual(result.individualCosts, { food: 600, metal: 300 });
+    assert.deepEqual(result.dependencyCosts, { food: 200, wood: 200 });
+    assert.deepEqual(result.totalCosts, { food: 800, metal: 300, wood: 200 });
+    assert.equal(result.individualTimes, 360);
+    assert.equal(result.dependencyTimes, 195);
+    assert.equal(result.totalTime, 555);
+    assert.deepEqual(
+        result.dependencies.map(d => [d.name, d.fromLevel, d.level]),
+        [['Farm', 1, 3], ['Steel Works', 1, 2]]
+    );
+});
+
+test('calculateResourcesRecursive costs a prerequisite needed twice only once', () => {
+    // Headquarters 3 and Farm 3 both need Steel Works 2
+    const result = CalculatorModule.calculateResourcesRecursive('Headquarters', 3, 1, 0, structuresData, {});
+    const steelWorks = result.dependencies.find(d => d.name === 'Steel Works');
+
+    assert.deepEqual(steelWorks.resources, { wood: 100 });
+    assert.equal(steelWorks.time, 60);
+});
+
+test('calculateResourcesRecursive starts prerequisites from their current levels', () => {
+    const result = CalculatorModule.calculateResourcesRecursive(
+        'Headquarters', 3, 1, 0, structuresData, { 'Farm': 2, 'Steel Works': 2 }
+    );
+
+    assert.deepEqual(result.dependencyCosts, { food: 120, wood: 60 });
+    assert.deepEqual(result.dependencies.map(d => [d.name, d.fromLevel, d.level]), [['Farm', 2, 3]]);
+});
+
+test('calculateResourcesRecursive applies the construction speed bonus to times only', () => {
+    const result = CalculatorModule.calculateResourcesRecursive('Headquarters', 3, 1, 50, structuresData, {});
+
+    assert.deepEqual(result.totalCosts, { food: 800, metal: 300, wood: 200 });
+    assert.equal(result.totalTime, 370);
+});
+
+test('calculateResourcesRecursive returns nothing to build for met or unknown targets', () => {
+    const met = CalculatorModule.calculateResourcesRecursive('Farm', 2, 3, 0, structuresData, {});
+    assert.deepEqual(met.totalCosts, {});
+    assert.equal(met.totalTime, 0);
+
+    const unknown = CalculatorModule.calculateResourcesRecursive('Castle', 3, 1, 0, structuresData, {});
+    assert.deepEqual(unknown.totalCosts, {});
+    assert.deepEqual(unknown.dependencies, []);
+});
+
+test('buildDependencyTree shows a shared prerequisite once, under the first upgrade that needs it', () => {
+    const tree = CalculatorModule.buildDependencyTree('Headquarters', 3, 1, structuresData, {});
+    const describe = (node) => ({
+        structure: node.structure,
+        levels: `${node.currentLevel}-${node.targetLevel}`,
+        children: node.children.map(describe)
+    });
+
+    assert.deepEqual(describe(tree), {
+        structure: 'Headquarters',
+        levels: '1-3',
+        children: [{
+            structure: 'Farm',
+            levels: '1-3',
+            children: [{ structure: 'Steel Works', levels: '1-2', children: [] }]
+        }]
+    });
+    assert.deepEqual(tree.costs, { food: 600, metal: 300 });
+    assert.equal(tree.time, 360);
+    assert.deepEqual(tree.children[0].costs, { food: 200, wood: 100 });
+});
+
+test('buildDependencyTree returns a single node when no upgrade is needed', () => {
+    const tree = CalculatorModule.buildDependencyTree('Farm', 2, 3, structuresData, {});
+
+    assert.equal(tree.structure, 'Farm');
+    assert.deepEqual(tree.costs, {});
+    assert.equal(tree.time, 0);
+    assert.deepEqual(tree.children, []);
+});
+
+test('formatReportCsv starts dependency rows at the level the plan starts them from', () => {
+    const levels = { 'Steel Works': 2 };
+    const result = CalculatorModule.calculatePlan(
+        [{ structure: 'Headquarters', level: 3 }, { structure: 'Barracks', level: 2 }], 0, structuresData, levels
+    );
+    const csv = CalculatorModule.formatReportCsv({
+        targets: result.targets.map(target => Object.assign({}, target, { costs: target.individualCosts, time: target.individualTime })),
+        result: result
+    });
+
+    assert.ok(csv.split('\n').includes('dependency,Steel Works,2,3,0,0,150,0,0,90'), csv);
+});
+
+test('validateDatabase accepts the small base', () => {
+    assert.deepEqual(validateDatabase(smallBase), { errors: [], warnings: [] });
+});
+
+test('validateDatabase reports each mistake in the broken base', () => {
+    const messages = validateDatabase(brokenBase).errors.map(issue => `${issue.structure} ${issue.level}: ${issue.message}`);
+
+    assert.deepEqual(messages.sort(), [
+        'Farm 2: unknown resource "gold"',
+        'Farm 3: dependency cycle: Farm level 3 → Lab level 2 → Farm level 3',
+        'Headquarters 2: requirement "Level 2 Steelworks" references unknown structure "Steelworks"',
+        'Headquarters 3: requirement "Level 5 Farm" references a level that does not exist',
+        'Steel Works 3: levels jump from 1 to 3'
+    ]);
+});
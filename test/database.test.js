@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildDatabaseScript } = require('../tools/build-database-script.js');
+const { validateDatabase } = require('../tools/validate-database.js');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const database = JSON.parse(fs.readFileSync(path.join(dataDir, 'structures_database.json'), 'utf8'));
+
+test('data/structures_database.js is built from the current structures_database.json', () => {
+    const script = fs.readFileSync(path.join(dataDir, 'structures_database.js'), 'utf8');
+
+    assert.ok(script === buildDatabaseScript(database),
+        'data/structures_database.js is out of date; run node tools/build-database-script.js');
+});
+
+test('the bundled database has no errors', () => {
+    assert.deepEqual(validateDatabase(database).errors, []);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CalculatorModule = require('../js/calculator.js');
+
+const structuresData = CalculatorModule.parseDatabase(require('./fixtures/small-base.json')).structures;
+
+// Build times are divided by the speed bonus, so sums in another order can differ in the last decimal places
+const TIME_TOLERANCE = 1e-9;
+
+/**
+ * Add up the costs and time of every node of some trees
+ */
+function sumTrees(trees) {
+    const total = { costs: {}, time: 0 };
+    const visit = (node) => {
+        for (let [resource, amount] of Object.entries(node.costs)) {
+            total.costs[resource] = (total.costs[resource] || 0) + amount;
+        }
+        total.time += node.time;
+        node.children.forEach(visit);
+    };
+    trees.forEach(visit);
+    return total;
+}
+
+/**
+ * Every combination of levels of the small base
+ */
+function allLevels() {
+    let combinations = [{}];
+    for (let [structure, data] of Object.entries(structuresData)) {
+        const maxLevel = Object.keys(data.levels).length;
+        combinations = combinations.flatMap(levels => Array.from({ length: maxLevel }, (_, i) =>
+            Object.assign({}, levels, { [structure]: i + 1 })
+        ));
+    }
+    return combinations;
+}
+
+test('a prerequisite needed at two levels is costed once, split at each level', () => {
+    // Headquarters 3 needs Steel Works 2 and Barracks 2 needs Steel Works 3
+    const plan = CalculatorModule.resolvePlan(
+        [{ structure: 'Headquarters', level: 3 }, { structure: 'Barracks', level: 2 }], structuresData, {}
+    );
+    const steelWorks = plan.segments.filter(segment => segment.structure === 'Steel Works');
+
+    assert.deepEqual(plan.ranges['Steel Works'], { from: 1, to: 3 });
+    assert.deepEqual(steelWorks.map(segment => [segment.fromLevel, segment.toLevel, segment.costs.wood]), [[1, 2, 100], [2, 3, 150]]);
+
+    const totals = CalculatorModule.calculatePlan(
+        [{ structure: 'Headquarters', level: 3 }, { structure: 'Barracks', level: 2 }], 0, structuresData, {}
+    );
+    assert.deepEqual(totals.dependencies.find(d => d.name === 'Steel Works').resources, { wood: 250 });
+});
+
+test('prerequisites that are already met are left out of the totals and the tree', () => {
+    const levels = { 'Farm': 3, 'Steel Works': 3 };
+    const result = CalculatorModule.calculateResourcesRecursive('Headquarters', 3, 1, 0, structuresData, levels);
+    const tree = CalculatorModule.buildDependencyTree('Headquarters', 3, 1, structuresData, levels);
+
+    assert.deepEqual(result.dependencies, []);
+    assert.deepEqual(result.totalCosts, result.individualCosts);
+    assert.deepEqual(tree.children, []);
+    assert.deepEqual(tree.costs, result.totalCosts);
+});
+
+test('the tree adds up to the totals for every upgrade from every base', () => {
+    for (let levels of allLevels()) {
+        for (let [structure, data] of Object.entries(structuresData)) {
+            for (let targetLevel = levels[structure] + 1; targetLevel <= Object.keys(data.levels).length; targetLevel++) {
+                for (let bonus of [0, 35]) {
+                    const message = `${structure} ${levels[structure]} → ${targetLevel} from ${JSON.stringify(levels)}, bonus ${bonus}`;
+                    const result = CalculatorModule.calculateResourcesRecursive(
+                        structure, targetLevel, levels[structure], bonus, structuresData, levels
+                    );
+                    const tree = sumTrees([CalculatorModule.buildDependencyTree(
+                        structure, targetLevel, levels[structure], structuresData, levels, bonus
+                    )]);
+
+                    assert.deepEqual(tree.costs, result.totalCosts, message);
+                    assert.ok(Math.abs(tree.time - result.totalTime) <= TIME_TOLERANCE * Math.max(1, result.totalTime), message);
+                }
+            }
+        }
+    }
+});
+
+test('the trees of a plan add up to its totals, with shared prerequisites placed once', () => {
+    const targetSets = [
+        [{ structure: 'Headquarters', level: 3 }, { structure: 'Barracks', level: 2 }],
+        [{ structure: 'Barracks', level: 2 }, { structure: 'Farm', level: 3 }],
+        [{ structure: 'Headquarters', level: 2 }, { structure: 'Farm', level: 3 }, { structure: 'Steel Works', level: 3 }]
+    ];
+    for (let levels of allLevels()) {
+        for (let targets of targetSets) {
+            const message = `${targets.map(t => `${t.structure} ${t.level}`).join(', ')} from ${JSON.stringify(levels)}`;
+            const result = CalculatorModule.calculatePlan(targets, 20, structuresData, levels);
+            const tree = sumTrees([CalculatorModule.buildPlanTree(targets, structuresData, levels, 20)]);
+
+            assert.deepEqual(tree.costs, result.totalCosts, message);
+            assert.ok(Math.abs(tree.time - result.totalTime) <= TIME_TOLERANCE * Math.max(1, result.totalTime), message);
+        }
+    }
+});
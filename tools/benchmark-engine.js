@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Engine Benchmark - Times the cached engine (createEngine) against
+ * calculateResourcesRecursive on random bases, and checks both give the same totals
+ *
+ * The baseline is the current calculateResourcesRecursive, which resolves each
+ * query from scratch with resolvePlan. It is not the older recursive walk that
+ * resolvePlan replaced: that walk costed shared prerequisites more than once, so
+ * its totals cannot be checked against the engine's.
+ *
+ * Usage: node tools/benchmark-engine.js [--queries <n>] [--bases <n>] [--db <file>]
+ * Exits with code 1 when the two disagree
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const CalculatorModule = require('../js/calculator.js');
+
+// Build times are summed in a different order, so they can differ in the last decimal places
+const TIME_TOLERANCE = 1e-9;
+
+/**
+ * Seeded random numbers, so every run times the same queries
+ */
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random bases that the game allows, each with a bonus model
+ */
+function createBases(count, structuresData, random) {
+    const structures = Object.keys(structuresData);
+    const bases = [];
+    for (let i = 0; i < count; i++) {
+        const levels = {};
+        for (let structure of structures) {
+            const info = CalculatorModule.getStructureInfo(structure, structuresData);
+            levels[structure] = info.minLevel + Math.floor(random() * random() * (info.maxLevel - info.minLevel + 1));
+        }
+        bases.push({
+            levels: CalculatorModule.getImpliedLevels(structuresData, levels),
+            bonus: {
+                base: Math.round(random() * 100),
+                extra: [],
+                costReductions: random() < 0.5 ? [{ label: 'Research', percent: 10 }] : []
+            }
+        });
+    }
+    return bases;
+}
+
+/**
+ * Random upgrades from each base, up to the structure's max level
+ */
+function createQueries(count, bases, structuresData, random) {
+    const structures = Object.keys(structuresData);
+    const queries = [];
+    for (let i = 0; i < count; i++) {
+        const base = bases[i % bases.length];
+        const structure = structures[Math.floor(random() * structures.length)];
+        const currentLevel = base.levels[structure] || 1;
+        const maxLevel = CalculatorModule.getStructureInfo(structure, structuresData).maxLevel;
+        const targetLevel = Math.min(maxLevel, currentLevel + 1 + Math.floor(random() * 10));
+        queries.push({ base, structure, currentLevel, targetLevel });
+    }
+    return queries;
+}
+
+/**
+ * Time a run a few times and keep the fastest, so JIT compilation and garbage
+ * collection in the first runs don't skew the comparison
+ */
+function time(run, repeat = 3) {
+    let best = null;
+    for (let i = 0; i < repeat; i++) {
+        const start = performance.now();
+        const results = run();
+        const ms = performance.now() - start;
+        if (!best || ms < best.ms) {
+            best = { results, ms };
+        }
+    }
+    return best;
+}
+
+/**
+ * Describe how two results differ, or return null when they agree
+ */
+function compareResults(expected, actual) {
+    for (let key of ['totalCosts', 'grossCosts', 'individualCosts', 'dependencyCosts']) {
+        for (let resource of new Set(Object.keys(expected[key]).concat(Object.keys(actual[key])))) {
+            if ((expected[key][resource] || 0) !== (actual[key][resource] || 0)) {
+                return `${key}.${resource} is ${actual[key][resource] || 0}, expected ${expected[key][resource] || 0}`;
+            }
+        }
+    }
+    for (let key of ['totalTime', 'individualTimes', 'dependencyTimes']) {
+        if (Math.abs(expected[key] - actual[key]) > TIME_TOLERANCE * Math.max(1, expected[key])) {
+            return `${key} is ${actual[key]}, expected ${expected[key]}`;
+        }
+    }
+    // The engine can list dependencies in another order
+    const describe = (result) => result.dependencies.map(d => `${d.name} ${d.fromLevel}-${d.level}`).sort().join(', ');
+    if (describe(expected) !== describe(actual)) {
+        return `dependencies are ${describe(actual)}, expected ${describe(expected)}`;
+    }
+    return null;
+}
+
+function formatRows(rows) {
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => String(row[col]).length)));
+    return rows.map(row => row.map((cell, col) =>
+        col === 0 ? String(cell).padEnd(widths[col]) : String(cell).padStart(widths[col])
+    ).join('   ')).join('\n');
+}
+
+function main(args) {
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+    const queryCount = parseInt(option('queries', 2000));
+    const baseCount = parseInt(option('bases', 20));
+    const dbFile = option('db', path.join(__dirname, '..', 'data', 'structures_database.json'));
+
+    let structuresData;
+    try {
+        structuresData = CalculatorModule.parseDatabase(JSON.parse(fs.readFileSync(dbFile, 'utf8'))).structures;
+    } catch (error) {
+        console.error(`Could not read ${dbFile}: ${error.message}`);
+        return 1;
+    }
+
+    const random = createRandom(1);
+    const bases = createBases(baseCount, structuresData, random);
+    const queries = createQueries(queryCount, bases, structuresData, random);
+
+    const reference = time(() => queries.map(query => CalculatorModule.calculateResourcesRecursive(
+        query.structure, query.targetLevel, query.currentLevel, query.base.bonus, structuresData, query.base.levels
+    )));
+
+    // Fresh engines for the cold runs, so table building and first-time resolving are part of the time
+    let engines = new Map();
+    const engineFor = (bonus) => {
+        if (!engines.has(bonus)) {
+            engines.set(bonus, CalculatorModule.createEngine(structuresData, bonus));
+        }
+        return engines.get(bonus);
+    };
+    const runEngine = () => queries.map(query =>
+        engineFor(query.base.bonus).calculate(query.structure, query.targetLevel, query.currentLevel, query.base.levels)
+    );
+    const cold = time(() => {
+        engines = new Map();
+        return runEngine();
+    });
+    const warm = time(runEngine);
+
+    // The upgrade comparison for every base, as the page runs it
+    const compareUpgrades = (base, calculate) => Object.keys(structuresData).map(structure => {
+        const currentLevel = base.levels[structure] || 1;
+        const targetLevel = Math.min(CalculatorModule.getStructureInfo(structure, structuresData).maxLevel, currentLevel + 5);
+        return calculate(structure, targetLevel, currentLevel);
+    });
+    const bulkReference = time(() => bases.map(base => compareUpgrades(base, (structure, targetLevel, currentLevel) =>
+        CalculatorModule.calculateResourcesRecursive(structure, targetLevel, currentLevel, base.bonus, structuresData, base.levels)
+    )));
+    // A fresh engine per base in every run, like the page's first comparison for a base
+    const bulkCold = time(() => bases.map(base => {
+        const engine = CalculatorModule.createEngine(structuresData, base.bonus);
+        return compareUpgrades(base, (structure, targetLevel, currentLevel) =>
+            engine.calculate(structure, targetLevel, currentLevel, base.levels)
+        );
+    }));
+    // compareUpgradeOptions keeps its engines between calls, so fill them before timing
+    const compareWithSharedEngines = () => bases.map(base =>
+        CalculatorModule.compareUpgradeOptions(5, base.bonus, structuresData, base.levels)
+    );
+    compareWithSharedEngines();
+    const bulkWarm = time(compareWithSharedEngines);
+
+    const perQuery = (run, count) => `${(run.ms * 1000 / count).toFixed(1)} µs`;
+    const speedup = (run, against) => `${(against.ms / run.ms).toFixed(1)}x`;
+    const bulkCount = bases.length * Object.keys(structuresData).length;
+    console.log(`${queries.length} random upgrades on ${bases.length} bases, ${Object.keys(structuresData).length} structures`);
+    console.log('Baseline: calculateResourcesRecursive, resolving every query from scratch with resolvePlan\n');
+    console.log(formatRows([
+        ['Run', 'Total', 'Per query', 'Speedup'],
+        ['calculateResourcesRecursive', `${reference.ms.toFixed(1)} ms`, perQuery(reference, queries.length), '1.0x'],
+        ['Engine, cold cache', `${cold.ms.toFixed(1)} ms`, perQuery(cold, queries.length), speedup(cold, reference)],
+        ['Engine, warm cache', `${warm.ms.toFixed(1)} ms`, perQuery(warm, queries.length), speedup(warm, reference)],
+        ['Upgrade comparison, recursive', `${bulkReference.ms.toFixed(1)} ms`, perQuery(bulkReference, bulkCount), '1.0x'],
+        ['Upgrade comparison, engine, cold cache', `${bulkCold.ms.toFixed(1)} ms`, perQuery(bulkCold, bulkCount), speedup(bulkCold, bulkReference)],
+        ['Upgrade comparison, engine, warm cache', `${bulkWarm.ms.toFixed(1)} ms`, perQuery(bulkWarm, bulkCount), speedup(bulkWarm, bulkReference)]
+    ]));
+
+    const mismatches = [];
+    queries.forEach((query, index) => {
+        const difference = compareResults(reference.results[index], cold.results[index]);
+        if (difference) {
+            mismatches.push(`${query.structure} ${query.currentLevel} → ${query.targetLevel}: ${difference}`);
+        }
+    });
+    if (mismatches.length > 0) {
+        console.log(`\n${mismatches.length} results differ from calculateResourcesRecursive:`);
+        mismatches.slice(0, 10).forEach(mismatch => console.log(`  ${mismatch}`));
+        return 1;
+    }
+    console.log('\nAll engine results match calculateResourcesRecursive.');
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
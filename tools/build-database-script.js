@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Database Script Builder - Writes data/structures_database.js from the JSON database
+ * Browsers block fetch() for pages opened straight from disk (file://), so the
+ * page falls back to loading this script, which sets window.STRUCTURES_DATABASE.
+ *
+ * Usage: node tools/build-database-script.js
+ * Run it after every change to data/structures_database.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const source = path.join(dataDir, 'structures_database.json');
+const target = path.join(dataDir, 'structures_database.js');
+
+/**
+ * Build the script for a database
+ * @param {Object} database - The parsed JSON database
+ * @returns {string} - Contents of data/structures_database.js
+ */
+function buildDatabaseScript(database) {
+    return '// Generated by tools/build-database-script.js from structures_database.json - do not edit\n' +
+        `window.STRUCTURES_DATABASE = ${JSON.stringify(database)};\n`;
+}
+
+function main() {
+    let structuresData;
+    try {
+        structuresData = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${source}: ${error.message}`);
+        return 1;
+    }
+
+    fs.writeFileSync(target, buildDatabaseScript(structuresData));
+    console.log(`Wrote ${path.relative(process.cwd(), target)}`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = { buildDatabaseScript };
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * Database Validator - Checks structures_database.json for mistakes that the
+ * calculator would otherwise skip silently, producing totals that are too low
+ *
+ * Usage: node tools/validate-database.js [path/to/structures_database.json] [--strict]
+ * Exits with code 1 when errors are found (or warnings, with --strict)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CalculatorModule = require('../js/calculator.js');
+
+// Costs or times growing by more than this factor between two levels are flagged
+const JUMP_FACTOR = 10;
+
+/**
+ * Validate a structures database
+ * @param {Object} data - The database file, with or without its metadata header
+ * @returns {Object} - { errors, warnings } arrays of { structure, level, message }
+ */
+function validateDatabase(data) {
+    const errors = [];
+    const warnings = [];
+    const knownResources = CalculatorModule.RESOURCE_TYPES.map(type => type.key);
+
+    const report = (list, structure, level, message) => {
+        list.push({ structure, level, message });
+    };
+
+    const database = CalculatorModule.parseDatabase(data);
+    if (!database) {
+        report(errors, 'database', null, 'is not a JSON object');
+        return { errors, warnings };
+    }
+    const structuresData = database.structures;
+
+    // The header identifies the database when members load a newer file
+    if (!data.structures) {
+        report(warnings, 'meta', null, 'database has no metadata header');
+    } else {
+        if (!database.meta.version) {
+            report(errors, 'meta', null, 'has no version');
+        }
+        if (database.meta.date && !/^\d{4}-\d{2}-\d{2}$/.test(database.meta.date)) {
+            report(warnings, 'meta', null, `date "${database.meta.date}" is not in YYYY-MM-DD format`);
+        }
+        if (database.meta.version && !database.meta.changelog.some(entry => entry.version === database.meta.version)) {
+            report(warnings, 'meta', null, `changelog has no entry for version ${database.meta.version}`);
+        }
+    }
+
+    for (let [structure, data] of Object.entries(structuresData)) {
+        if (!data || typeof data.levels !== 'object' || data.levels === null) {
+            report(errors, structure, null, 'has no "levels" object');
+            continue;
+        }
+        if (data.name !== undefined && data.name !== structure) {
+            report(warnings, structure, null, `name "${data.name}" does not match its key`);
+        }
+
+        // Level keys must be whole numbers without gaps
+        const levelKeys = Object.keys(data.levels);
+        const levels = levelKeys.map(Number).sort((a, b) => a - b);
+        for (let key of levelKeys) {
+            if (!/^\d+$/.test(key)) {
+                report(errors, structure, key, 'level key is not a whole number');
+            }
+        }
+        for (let i = 1; i < levels.length; i++) {
+            if (levels[i] !== levels[i - 1] + 1) {
+                report(errors, structure, levels[i], `levels jump from ${levels[i - 1]} to ${levels[i]}`);
+            }
+        }
+        if (levels.length > 0 && levels[0] > 2) {
+            report(warnings, structure, levels[0], `first defined level is ${levels[0]}`);
+        }
+
+        // Metadata drives grouping, level limits and unlock toggles on the page
+        const meta = data.meta;
+        if (!meta || typeof meta !== 'object') {
+            report(warnings, structure, null, 'has no "meta" section');
+        } else {
+            if (typeof meta.category !== 'string' || meta.category === '') {
+                report(warnings, structure, null, 'meta has no category');
+            }
+            if (meta.icon !== undefined && typeof meta.icon !== 'string') {
+                report(errors, structure, null, 'meta icon is not a string');
+            }
+            for (let key of ['minLevel', 'maxLevel']) {
+                if (meta[key] !== undefined && !(Number.isInteger(meta[key]) && meta[key] >= 1)) {
+                    report(errors, structure, null, `meta ${key} is not a whole number of 1 or more`);
+                }
+            }
+            if (meta.minLevel > meta.maxLevel) {
+                report(errors, structure, null, `meta minLevel ${meta.minLevel} is above maxLevel ${meta.maxLevel}`);
+            }
+            if (meta.maxLevel !== undefined && levels.length > 0 && meta.maxLevel !== levels[levels.length - 1]) {
+                report(errors, structure, null, `meta maxLevel is ${meta.maxLevel} but the highest defined level is ${levels[levels.length - 1]}`);
+            }
+            if (meta.unlockable !== undefined && typeof meta.unlockable !== 'boolean') {
+                report(errors, structure, null, 'meta unlockable is not true or false');
+            }
+        }
+
+        for (let level of levels) {
+            const levelData = data.levels[level];
+
+            // Costs must use known resources and positive amounts
+            for (let [resource, amount] of Object.entries(levelData.costs || {})) {
+                if (!knownResources.includes(resource)) {
+                    report(errors, structure, level, `unknown resource "${resource}"`);
+                }
+                if (typeof amount !== 'number' || !(amount >= 0)) {
+                    report(errors, structure, level, `cost for ${resource} is negative or not a number`);
+                }
+            }
+            if (levelData.upgrade_time !== undefined && (typeof levelData.upgrade_time !== 'number' || !(levelData.upgrade_time >= 0))) {
+                report(errors, structure, level, 'upgrade_time is negative or not a number');
+            }
+
+            // Requirements must reference an existing structure and level
+            for (let requirement of levelData.requirements || []) {
+                const parsed = CalculatorModule.parseRequirement(requirement);
+                if (!parsed) {
+                    report(errors, structure, level, `malformed requirement "${requirement}"`);
+                } else if (!structuresData[parsed.structure]) {
+                    report(errors, structure, level, `requirement "${requirement}" references unknown structure "${parsed.structure}"`);
+                } else if (!structuresData[parsed.structure].levels[parsed.level] && parsed.level > 1) {
+                    report(errors, structure, level, `requirement "${requirement}" references a level that does not exist`);
+                }
+            }
+
+            // Flag costs and times that shrink or jump compared to the previous level
+            const previous = data.levels[level - 1];
+            if (!previous) {
+                continue;
+            }
+            for (let [resource, amount] of Object.entries(levelData.costs || {})) {
+                const previousAmount = (previous.costs || {})[resource];
+                if (previousAmount > 0) {
+                    if (amount < previousAmount) {
+                        report(warnings, structure, level, `${resource} cost drops from ${previousAmount} to ${amount}`);
+                    } else if (amount > previousAmount * JUMP_FACTOR) {
+                        report(warnings, structure, level, `${resource} cost jumps from ${previousAmount} to ${amount}`);
+                    }
+                }
+            }
+            if (previous.upgrade_time > 0 && levelData.upgrade_time !== undefined) {
+                if (levelData.upgrade_time < previous.upgrade_time) {
+                    report(warnings, structure, level, `upgrade_time drops from ${previous.upgrade_time} to ${levelData.upgrade_time}`);
+                } else if (levelData.upgrade_time > previous.upgrade_time * JUMP_FACTOR) {
+                    report(warnings, structure, level, `upgrade_time jumps from ${previous.upgrade_time} to ${levelData.upgrade_time}`);
+                }
+            }
+        }
+    }
+
+    for (let cycle of findDependencyCycles(structuresData)) {
+        report(errors, cycle[0].split('@')[0], Number(cycle[0].split('@')[1]),
+            `dependency cycle: ${cycle.map(node => node.replace('@', ' level ')).join(' → ')}`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Find dependency cycles between structure levels
+ * Each level depends on the previous level of the same structure and on its requirements
+ * @param {Object} structuresData - The structures database
+ * @returns {Array} - Array of cycles, each an array of "Structure@level" nodes
+ */
+function findDependencyCycles(structuresData) {
+    const edges = {};
+    for (let [structure, data] of Object.entries(structuresData)) {
+        for (let [level, levelData] of Object.entries((data && data.levels) || {})) {
+            const node = `${structure}@${level}`;
+            edges[node] = [];
+            if (data.levels[Number(level) - 1]) {
+                edges[node].push(`${structure}@${Number(level) - 1}`);
+            }
+            for (let requirement of levelData.requirements || []) {
+                const parsed = CalculatorModule.parseRequirement(requirement);
+                if (parsed) {
+                    edges[node].push(`${parsed.structure}@${parsed.level}`);
+                }
+            }
+        }
+    }
+
+    const cycles = [];
+    const state = {};
+    const stack = [];
+
+    const visit = (node) => {
+        state[node] = 'visiting';
+        stack.push(node);
+        for (let next of edges[node] || []) {
+            if (state[next] === 'visiting') {
+                cycles.push(stack.slice(stack.indexOf(next)).concat(next));
+            } else if (!state[next] && edges[next]) {
+                visit(next);
+            }
+        }
+        stack.pop();
+        state[node] = 'done';
+    };
+
+    for (let node of Object.keys(edges)) {
+        if (!state[node]) {
+            visit(node);
+        }
+    }
+
+    return cycles;
+}
+
+function formatIssue(issue) {
+    const location = issue.level !== null ? `${issue.structure} level ${issue.level}` : issue.structure;
+    return `  ${location}: ${issue.message}`;
+}
+
+function main(args) {
+    const strict = args.includes('--strict');
+    const file = args.find(arg => !arg.startsWith('--')) ||
+        path.join(__dirname, '..', 'data', 'structures_database.json');
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${file}: ${error.message}`);
+        return 1;
+    }
+
+    const { errors, warnings } = validateDatabase(data);
+
+    if (errors.length > 0) {
+        console.log(`Errors (${errors.length}):`);
+        errors.forEach(issue => console.log(formatIssue(issue)));
+    }
+    if (warnings.length > 0) {
+        console.log(`Warnings (${warnings.length}):`);
+        warnings.forEach(issue => console.log(formatIssue(issue)));
+    }
+    if (errors.length === 0 && warnings.length === 0) {
+        const database = CalculatorModule.parseDatabase(data);
+        console.log(`${path.basename(file)}: version ${database.meta.version}, ${Object.keys(database.structures).length} structures, no problems found`);
+    }
+
+    return errors.length > 0 || (strict && warnings.length > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { validateDatabase, findDependencyCycles };